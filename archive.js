@@ -0,0 +1,425 @@
+import { Buffer } from "node:buffer"
+import nodeFs from "node:fs"
+import { join, posix, relative } from "node:path"
+import { gunzip, gzip } from "node:zlib"
+import { unzip, zip } from "fflate"
+import { Future, both, chain, mapRej, parallel, reject, resolve } from "fluture"
+import { minimatch } from "minimatch"
+import {
+  curry,
+  filter,
+  fromPairs,
+  identity,
+  includes,
+  map,
+  pipe,
+  sortBy,
+  uniq,
+} from "ramda"
+import tar from "tar-stream"
+import { InvalidArgumentError } from "./errors.js"
+import { NO_OP, destinedWith } from "./fs.js"
+import { futurify } from "./future.js"
+import { toPosix } from "./path.js"
+
+/**
+ * @pageSummary Pack files into tar, tar.gz and zip archives, and unpack them safely.
+ */
+
+const gzipF = futurify(gzip, { arity: 1 })
+const gunzipF = futurify(gunzip, { arity: 1 })
+
+/**
+ * The archive formats {@link pack} and {@link unpack} know about:
+ * `tar`, `tgz` (a gzipped tar, from `.tar.gz` or `.tgz`) and `zip`.
+ * @name ARCHIVE_FORMATS
+ * @see {@link packWithConfigAndCancel}
+ * @see {@link unpackWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { ARCHIVE_FORMATS } from 'destined'
+ * ARCHIVE_FORMATS // ['tar', 'tgz', 'zip']
+ * ```
+ */
+export const ARCHIVE_FORMATS = [`tar`, `tgz`, `zip`]
+
+const EXTENSIONS = [
+  [/\.(tar\.gz|tgz)$/i, `tgz`],
+  [/\.tar$/i, `tar`],
+  [/\.zip$/i, `zip`],
+]
+
+// the format to use for an archive, given one or from its extension
+const formatOf = (operation, format, path) => {
+  const [, found] = EXTENSIONS.find(([pattern]) => pattern.test(path)) ?? []
+  const chosen = format ?? found
+  if (includes(chosen, ARCHIVE_FORMATS)) return resolve(chosen)
+  return reject(
+    new InvalidArgumentError(
+      `Expected an archive format, one of ${ARCHIVE_FORMATS.join(`, `)}, given ${chosen ?? path}.`,
+      { operation, path },
+    ),
+  )
+}
+
+// every entry as a `{ path, type, mode, mtime, content }` object, in and out of a tarball
+const encodeTar = (entries) =>
+  Future((bad, good) => {
+    const packer = tar.pack()
+    const chunks = []
+    packer.on(`data`, (x) => chunks.push(x))
+    packer.on(`end`, () => good(Buffer.concat(chunks)))
+    packer.on(`error`, bad)
+    entries.forEach(({ path, mode, mtime, content }) =>
+      packer.entry({ name: path, mode, mtime }, content),
+    )
+    packer.finalize()
+    return () => packer.destroy()
+  })
+
+const decodeTar = (buffer) =>
+  Future((bad, good) => {
+    const extractor = tar.extract()
+    const entries = []
+    extractor.on(`entry`, ({ name, type, mode, mtime }, stream, next) => {
+      const chunks = []
+      stream.on(`data`, (x) => chunks.push(x))
+      stream.on(`end`, () => {
+        entries.push({
+          path: name,
+          type,
+          mode,
+          mtime,
+          content: Buffer.concat(chunks),
+        })
+        next()
+      })
+    })
+    extractor.on(`finish`, () => good(entries))
+    extractor.on(`error`, bad)
+    extractor.end(buffer)
+    return () => extractor.destroy()
+  })
+
+const encodeZip = (entries) =>
+  Future((bad, good) => {
+    const files = fromPairs(
+      map(({ path, mtime, content }) => [path, [content, { mtime }]], entries),
+    )
+    const terminate = zip(files, (e, x) => (e ? bad(e) : good(Buffer.from(x))))
+    return terminate
+  })
+
+const decodeZip = (buffer) =>
+  Future((bad, good) => {
+    const terminate = unzip(buffer, (e, files) => {
+      if (e) {
+        bad(e)
+        return
+      }
+      good(
+        map(
+          ([path, content]) => ({
+            path,
+            type: path.endsWith(`/`) ? `directory` : `file`,
+            content: Buffer.from(content),
+          }),
+          Object.entries(files),
+        ),
+      )
+    })
+    return terminate
+  })
+
+const ENCODERS = {
+  tar: encodeTar,
+  tgz: pipe(encodeTar, chain(gzipF)),
+  zip: encodeZip,
+}
+const DECODERS = {
+  tar: decodeTar,
+  tgz: pipe(gunzipF, chain(decodeTar)),
+  zip: decodeZip,
+}
+
+const badArchive = (operation, path) => (e) =>
+  new InvalidArgumentError(`Expected a valid archive, given ${path}.`, {
+    operation,
+    path,
+    cause: e,
+  })
+
+/**
+ * Pack the files some globs match into an archive, with configuration and a cancellation
+ * function. Paths in the archive are relative to `cwd`, using `/` as the separator,
+ * and the Future resolves with them, in order. The archive itself is never packed,
+ * and any directories it needs are made. Configuration is passed to
+ * [glob](https://www.npmjs.com/package/glob), as with {@link readDirWithConfig},
+ * so `ignore` excludes files, along with:
+ *  - `fs` - the `fs` implementation to use, defaulting to `node:fs`
+ *  - `format` - one of {@link ARCHIVE_FORMATS}, defaulting to whatever `dest` ends with
+ *  - `onProgress` - called with `{ path, done, total, bytes }` as each file is read
+ *  - `parallel` - how many files to read at once, defaulting to 10
+ *
+ * Only files are packed, so empty directories are left out. The whole archive is built in
+ * memory before it is written, along with every file in it, so this suits templates and
+ * releases rather than anything too big to fit in memory.
+ * @name packWithConfigAndCancel
+ * @see {@link packWithConfig}
+ * @see {@link pack}
+ * @see {@link unpackWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { packWithConfigAndCancel } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   packWithConfigAndCancel(
+ *     cancellationFunction,
+ *     {
+ *       cwd: 'fixture/apps/cool',
+ *       ignore: ['node_modules/**'],
+ *       onProgress: ({ done, total }) => console.log(`${done}/${total}`),
+ *     },
+ *     ['**'],
+ *     'releases/cool.tar.gz',
+ *   ),
+ * )
+ * // ['package.json', 'src/index.js']
+ * ```
+ */
+export const packWithConfigAndCancel = curry(
+  function _packWithConfigAndCancel(cancel, conf, globs, dest) {
+    const {
+      fs = nodeFs,
+      format,
+      onProgress = NO_OP,
+      parallel: limit = 10,
+      cwd = `.`,
+      ...globConf
+    } = conf
+    const api = destinedWith(fs)
+    const itself = toPosix(relative(cwd, dest))
+    const toEntries = (paths) => {
+      let done = 0
+      const readEntry = (path) =>
+        chain(([content, stats]) => {
+          done += 1
+          onProgress({ path, done, total: paths.length, bytes: content.length })
+          return resolve({
+            path,
+            type: `file`,
+            mode: stats.mode & 0o7777,
+            mtime: stats.mtime,
+            content,
+          })
+        })(
+          both(api.readFileWithFormatAndCancel(cancel, null, join(cwd, path)))(
+            api.statWithCancel(cancel, join(cwd, path)),
+          ),
+        )
+      return parallel(limit)(map(readEntry, paths))
+    }
+    const packAll = ([chosen, found]) => {
+      const paths = pipe(
+        map(toPosix),
+        filter((x) => x !== itself),
+        uniq,
+        sortBy(identity),
+      )(found)
+      return pipe(
+        chain(ENCODERS[chosen]),
+        chain((archive) =>
+          api.writeFileWithAutoPathAndConfigAndCancel(
+            cancel,
+            {},
+            dest,
+            archive,
+          ),
+        ),
+        map(() => paths),
+      )(toEntries(paths))
+    }
+    return chain(packAll)(
+      both(formatOf(`pack`, format, dest))(
+        api.readDirWithConfigAndCancel(
+          cancel,
+          { ...globConf, cwd, nodir: true },
+          globs,
+        ),
+      ),
+    )
+  },
+)
+
+/**
+ * Pack the files some globs match into an archive, with configuration.
+ * @name packWithConfig
+ * @see {@link packWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { packWithConfig } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   packWithConfig({ cwd: 'dist', ignore: ['**\/*.map'] }, '**', '../dist.zip'),
+ * )
+ * ```
+ */
+export const packWithConfig = packWithConfigAndCancel(NO_OP)
+
+/**
+ * Pack the files some globs match into an archive.
+ * @name pack
+ * @see {@link packWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { pack } from 'destined'
+ * fork(console.warn)(console.log)(pack(['src/**', 'package.json'], 'release.tgz'))
+ * ```
+ */
+export const pack = packWithConfig({})
+
+const matchesAny = (globs, path) =>
+  globs.some((g) => minimatch(path, g, { dot: true }))
+
+// only files and directories are unpacked, so nothing can be written through a link
+const UNPACKED_TYPES = [`file`, `directory`]
+const isUnpacked = ({ type }) => includes(type, UNPACKED_TYPES)
+
+/**
+ * Unpack an archive into a directory, with configuration and a cancellation function.
+ * Every path, even one which is not included, is checked with {@link safeJoin} before
+ * anything is written, so an archive with a path like `../../etc/passwd`, or one which would
+ * be written through a symlink outside of the directory, rejects with an `OutsideRootError`
+ * and leaves everything as it was.
+ * Only files and directories are unpacked; links and anything else are skipped. Files keep
+ * their permissions, but not setuid, setgid or the sticky bit. As with {@link pack}, the
+ * whole archive, and every file in it, is read into memory first.
+ * The Future resolves with the paths which were unpacked, as they were in the archive.
+ * Configuration:
+ *  - `fs` - the `fs` implementation to use, defaulting to `node:fs`
+ *  - `format` - one of {@link ARCHIVE_FORMATS}, defaulting to whatever `archive` ends with
+ *  - `include` - globs of the paths to unpack, defaulting to all of them
+ *  - `ignore` - globs of the paths not to unpack, as with {@link readDirWithConfig}
+ *  - `onProgress` - called with `{ path, done, total, bytes }` as each entry is written
+ *  - `parallel` - how many entries to write at once, defaulting to 10
+ * @name unpackWithConfigAndCancel
+ * @see {@link unpackWithConfig}
+ * @see {@link unpack}
+ * @see {@link packWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { unpackWithConfigAndCancel } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   unpackWithConfigAndCancel(
+ *     cancellationFunction,
+ *     { include: ['template/**'], ignore: ['**\/.DS_Store'] },
+ *     'templates/app.zip',
+ *     'my-new-app',
+ *   ),
+ * )
+ * ```
+ */
+export const unpackWithConfigAndCancel = curry(
+  function _unpackWithConfigAndCancel(cancel, conf, archive, destDir) {
+    const {
+      fs = nodeFs,
+      format,
+      include = [`**`],
+      ignore = [],
+      onProgress = NO_OP,
+      parallel: limit = 10,
+    } = conf
+    const api = destinedWith(fs)
+    const wanted = ({ entry: { path } }) =>
+      matchesAny(include, path) && !matchesAny(ignore, path)
+    const writeEntry = ({ type, mode, content }, target) => {
+      if (type === `directory`) {
+        return api.mkdirWithCancel(cancel, { recursive: true }, target)
+      }
+      // only the permissions are kept, never setuid, setgid or the sticky bit
+      const writeConf = mode ? { mode: mode & 0o777 } : {}
+      return api.writeFileWithAutoPathAndConfigAndCancel(
+        cancel,
+        writeConf,
+        target,
+        content,
+      )
+    }
+    const unpackAll = (entries) => {
+      let done = 0
+      const unpackEntry = ({ entry, target }) => {
+        const written = writeEntry(entry, target)
+        return chain(() => {
+          done += 1
+          onProgress({
+            path: entry.path,
+            done,
+            total: entries.length,
+            bytes: entry.content.length,
+          })
+          return resolve(entry.path)
+        })(written)
+      }
+      // directories first, so that files never race to make them
+      const ordered = sortBy(({ entry }) => entry.type !== `directory`, entries)
+      return parallel(limit)(map(unpackEntry, ordered))
+    }
+    const checked = (entries) =>
+      parallel(limit)(
+        map(
+          (entry) =>
+            chain((target) => resolve({ entry, target }))(
+              api.safeJoinWithCancel(
+                cancel,
+                destDir,
+                posix.normalize(entry.path),
+              ),
+            ),
+          entries,
+        ),
+      )
+    const decode = (chosen) =>
+      pipe(
+        chain(DECODERS[chosen]),
+        mapRej(badArchive(`unpack`, archive)),
+      )(api.readFileWithFormatAndCancel(cancel, null, archive))
+    return pipe(
+      chain(decode),
+      // every path is checked, even the ones which won't be unpacked
+      chain((entries) =>
+        map(filter(wanted), checked(filter(isUnpacked, entries))),
+      ),
+      chain(unpackAll),
+    )(formatOf(`unpack`, format, archive))
+  },
+)
+
+/**
+ * Unpack an archive into a directory, with configuration.
+ * @name unpackWithConfig
+ * @see {@link unpackWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { unpackWithConfig } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   unpackWithConfig({ format: 'tgz' }, 'downloads/app', 'vendor/app'),
+ * )
+ * ```
+ */
+export const unpackWithConfig = unpackWithConfigAndCancel(NO_OP)
+
+/**
+ * Unpack an archive into a directory.
+ * @name unpack
+ * @see {@link unpackWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { unpack } from 'destined'
+ * fork(console.warn)(console.log)(unpack('release.tar.gz', 'deploy'))
+ * ```
+ */
+export const unpack = unpackWithConfig({})
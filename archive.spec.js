@@ -0,0 +1,160 @@
+import { zipSync } from "fflate"
+import { chain, fork, parallel, swap } from "fluture"
+import { map, pipe } from "ramda"
+import tar from "tar-stream"
+import { test, expect } from "vitest"
+import { packWithConfig, unpackWithConfig } from "./archive.js"
+import { destinedWith } from "./fs.js"
+import { createMemoryFs } from "./memory.js"
+
+const app = {
+  "package.json": `{ "name": "cool" }`,
+  src: { "index.js": `export default 1`, "index.js.map": `{}` },
+  node_modules: { dep: { "index.js": `nope` } },
+}
+
+// a tarball made by hand, with whatever entries we like
+const tarball = (entries) =>
+  new Promise((good) => {
+    const packer = tar.pack()
+    const chunks = []
+    packer.on(`data`, (x) => chunks.push(x))
+    packer.on(`end`, () => good(Buffer.concat(chunks)))
+    entries.forEach(([header, content]) => packer.entry(header, content))
+    packer.finalize()
+  })
+
+test(`pack and unpack - round trips every format`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({ apps: { cool: app } })
+    const progress = []
+    const conf = {
+      fs: memoryFs,
+      cwd: `apps/cool`,
+      ignore: [`node_modules/**`, `**/*.map`],
+    }
+    const archives = [`cool.tar`, `cool.tar.gz`, `cool.zip`]
+    const roundTrip = (archive) =>
+      pipe(
+        chain((packed) => {
+          expect(packed).toEqual([`package.json`, `src/index.js`])
+          return unpackWithConfig(
+            { fs: memoryFs },
+            `releases/${archive}`,
+            `out/${archive}`,
+          )
+        }),
+      )(
+        packWithConfig(
+          { ...conf, onProgress: (x) => progress.push([archive, x]) },
+          [`**`],
+          `releases/${archive}`,
+        ),
+      )
+    pipe(
+      chain((unpacked) => {
+        expect(unpacked).toEqual([
+          [`package.json`, `src/index.js`],
+          [`package.json`, `src/index.js`],
+          [`package.json`, `src/index.js`],
+        ])
+        expect(progress.slice(-2)).toEqual([
+          [`cool.zip`, { path: `package.json`, done: 1, total: 2, bytes: 18 }],
+          [`cool.zip`, { path: `src/index.js`, done: 2, total: 2, bytes: 16 }],
+        ])
+        const out = memoryFs.snapshot(`out`)
+        const expected = {
+          "package.json": `{ "name": "cool" }`,
+          src: { "index.js": `export default 1` },
+        }
+        expect(out).toEqual({
+          "cool.tar": expected,
+          "cool.tar.gz": expected,
+          "cool.zip": expected,
+        })
+        return unpackWithConfig(
+          { fs: memoryFs, include: [`src/**`] },
+          `releases/cool.tar.gz`,
+          `only-src`,
+        )
+      }),
+      fork(done)((unpacked) => {
+        expect(unpacked).toEqual([`src/index.js`])
+        expect(memoryFs.snapshot(`only-src`)).toEqual({
+          src: { "index.js": `export default 1` },
+        })
+        done()
+      }),
+    )(parallel(1)(map(roundTrip, archives)))
+  }))
+
+test(`unpack - rejects paths outside of the directory`, () =>
+  tarball([
+    [{ name: `fine.txt` }, `fine`],
+    [{ name: `../evil.txt` }, `evil`],
+  ]).then(
+    (evilTar) =>
+      new Promise((done) => {
+        const memoryFs = createMemoryFs({
+          "evil.tar": evilTar,
+          "evil.zip": Buffer.from(
+            zipSync({ "a/../../evil.txt": new Uint8Array([1]) }),
+          ),
+          out: {},
+        })
+        pipe(
+          chain((errors) => {
+            expect(map(({ tag, path }) => [tag, path], errors)).toEqual([
+              [`OutsideRoot`, `../evil.txt`],
+              [`OutsideRoot`, `../evil.txt`],
+            ])
+            expect(memoryFs.snapshot()).not.toHaveProperty(`evil.txt`)
+            expect(memoryFs.snapshot(`out`)).toEqual({})
+            return swap(unpackWithConfig({ fs: memoryFs }, `evil.rar`, `out`))
+          }),
+          fork(done)((e) => {
+            expect(e).toMatchObject({
+              tag: `InvalidArgument`,
+              operation: `unpack`,
+            })
+            done()
+          }),
+        )(
+          parallel(2)([
+            swap(unpackWithConfig({ fs: memoryFs }, `evil.tar`, `out`)),
+            swap(unpackWithConfig({ fs: memoryFs }, `evil.zip`, `out`)),
+          ]),
+        )
+      }),
+  ))
+
+test(`unpack - skips links`, () =>
+  tarball([
+    [{ name: `fine.txt` }, `fine`],
+    [{ name: `link`, type: `symlink`, linkname: `/etc` }, ``],
+  ]).then(
+    (linkTar) =>
+      new Promise((done) => {
+        const memoryFs = createMemoryFs({ "links.tar": linkTar })
+        fork(done)((unpacked) => {
+          expect(unpacked).toEqual([`fine.txt`])
+          expect(memoryFs.snapshot(`out`)).toEqual({ "fine.txt": `fine` })
+          done()
+        })(unpackWithConfig({ fs: memoryFs }, `links.tar`, `out`))
+      }),
+  ))
+
+test(`unpack - keeps permissions but not special bits`, () =>
+  tarball([[{ name: `bin/cool`, mode: 0o4755 }, `#!/bin/sh`]]).then(
+    (setuidTar) =>
+      new Promise((done) => {
+        const memoryFs = createMemoryFs({ "setuid.tar": setuidTar })
+        pipe(
+          chain(() => destinedWith(memoryFs).stat(`out/bin/cool`)),
+          fork(done)((stats) => {
+            expect(stats.mode & 0o7777).toEqual(0o755)
+            done()
+          }),
+        )(unpackWithConfig({ fs: memoryFs }, `setuid.tar`, `out`))
+      }),
+  ))
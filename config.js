@@ -0,0 +1,230 @@
+import { basename, extname, join } from "node:path"
+import { pathToFileURL } from "node:url"
+import {
+  alt,
+  chain,
+  coalesce,
+  encase,
+  mapRej,
+  promise,
+  reject,
+  resolve,
+} from "fluture"
+import {
+  curry,
+  filter,
+  has,
+  identity,
+  keys,
+  map,
+  mergeDeepRight,
+  pipe,
+  prop,
+  reduce,
+} from "ramda"
+import { digUpWithCancel } from "./dig-up.js"
+import {
+  DestinedError,
+  ImportError,
+  NotFoundError,
+  ParseError,
+  ValidationError,
+} from "./errors.js"
+import { NO_OP, exists, readFile } from "./fs.js"
+import { interpretWithCancel } from "./interpret.js"
+
+/**
+ * @pageSummary Find, load, validate and merge configuration files, given the name of a tool.
+ */
+
+/**
+ * The places `loadConfig` looks in each directory, in order of preference.
+ * @name searchPlacesFor
+ * @example
+ * ```js
+ * import { searchPlacesFor } from 'destined'
+ * searchPlacesFor('cool')
+ * // ['package.json', '.coolrc', 'cool.json',
+ * //  'cool.config.js', 'cool.config.mjs', 'cool.config.cjs']
+ * ```
+ */
+export const searchPlacesFor = (name) => [
+  `package.json`,
+  `.${name}rc`,
+  `${name}.json`,
+  `${name}.config.js`,
+  `${name}.config.mjs`,
+  `${name}.config.cjs`,
+]
+
+const failedToLoad = curry(
+  function _failedToLoad(ErrorClass, path, reason, cause) {
+    return new ErrorClass(`Unable to load config from ${path}: ${reason}`, {
+      operation: `loadConfig`,
+      path,
+      cause,
+      code: cause?.code ?? null,
+      errno: cause?.errno ?? null,
+    })
+  },
+)
+
+// keep the kind of failure we were given, but say which config file it came from
+const failedFrom = curry(function _failedFrom(ErrorClass, path, e) {
+  const kind = e instanceof DestinedError ? e.constructor : ErrorClass
+  return failedToLoad(kind, path, e.message, e)
+})
+
+const parseJSON = (path) =>
+  pipe(
+    readFile,
+    chain(encase(JSON.parse)),
+    mapRej(failedFrom(ParseError, path)),
+  )(path)
+
+// `import()` takes URLs, so a path like `C:\\cool.config.js` or `cool#1/cool.config.js`
+// has to become one first
+const importFrom = (path) =>
+  interpretWithCancel(NO_OP, pathToFileURL(path).href)
+
+const LOADERS = {
+  ".js": importFrom,
+  ".mjs": importFrom,
+  ".cjs": importFrom,
+}
+
+// pick a loader by file name: package.json keys, JavaScript modules, or JSON
+const loaderFor = (packageKey) => (path) => {
+  if (basename(path) === `package.json`) {
+    return map(prop(packageKey), parseJSON(path))
+  }
+  const loader = LOADERS[extname(path)]
+  if (!loader) return parseJSON(path)
+  return mapRej(failedFrom(ImportError, path))(loader(path))
+}
+
+// a package.json only counts if it has the key we are looking for
+const isCandidate = curry(function _isCandidate(packageKey, path) {
+  if (basename(path) !== `package.json`) {
+    return chain((present) => (present ? resolve(path) : reject(path)))(
+      exists(path),
+    )
+  }
+  return chain((pkg) => (has(packageKey, pkg) ? resolve(path) : reject(path)))(
+    parseJSON(path),
+  )
+})
+
+// given a directory, find the most preferred search place within it, if any
+const searchDirectory = curry(
+  function _searchDirectory(searchPlaces, packageKey, directory) {
+    return pipe(
+      reduce(
+        (future, place) =>
+          alt(isCandidate(packageKey, join(directory, place)))(future),
+        reject(null),
+      ),
+      coalesce(() => undefined)(identity),
+      promise,
+    )(searchPlaces)
+  },
+)
+
+// predicates are given the whole config, schemas are objects of predicates keyed by property
+const validateWith = (validate, path) => (config) => {
+  if (!validate) return resolve(config)
+  if (typeof validate === `function`) {
+    const valid = validate(config)
+    if (valid === true) return resolve(config)
+    const reason = typeof valid === `string` ? valid : `failed validation`
+    return reject(failedToLoad(ValidationError, path, reason, null))
+  }
+  const invalid = filter((key) => !validate[key](config[key]), keys(validate))
+  if (!invalid.length) return resolve(config)
+  const invalidValues = `invalid values for ${invalid.join(`, `)}`
+  return reject(failedToLoad(ValidationError, path, invalidValues, null))
+}
+
+/**
+ * Search upwards for a configuration file, load it, merge it with defaults and validate it.
+ * Resolves with `{ config, path }`, where `path` is the file the config came from.
+ * It always reads from the disk, since JavaScript configs have to be imported.
+ * Options:
+ *  - `cwd` - where to start searching from
+ *  - `stopAt` - the last directory to search
+ *  - `defaults` - an object the loaded config is deeply merged on top of
+ *  - `validate` - a predicate given the merged config which returns `true` or a reason for failing,
+ *    or a schema: an object of predicates keyed by property name
+ *  - `packageKey` - which key of `package.json` to use, defaults to `name`
+ *  - `searchPlaces` - which files to look for, defaults to {@link searchPlacesFor}
+ *  - `required` - when `false`, resolve with `{ config: defaults, path: null }` if nothing is
+ *    found, rather than rejecting with a `NotFoundError` whose `candidates` are the `searchPlaces`
+ * @curried
+ *
+ *  1. loadConfigWithCancel - Can be given a cancellation function.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { loadConfigWithCancel } from 'destined'
+ *     fork(console.warn)(({ config, path }) => console.log(path, config))(
+ *       loadConfigWithCancel(cancellationFn, 'cool', { defaults: { port: 3000 } })
+ *     )
+ *     ```
+ *
+ *  2. loadConfig - Eschews any custom cancellation.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { loadConfig } from 'destined'
+ *     fork(console.warn)(({ config, path }) => console.log(path, config))(
+ *       loadConfig('cool', {
+ *         defaults: { port: 3000 },
+ *         validate: { port: Number.isInteger }
+ *       })
+ *     )
+ *     ```
+ */
+export const loadConfigWithCancel = curry(
+  function _loadConfigWithCancel(cancel, name, opts) {
+    const {
+      defaults = {},
+      validate,
+      packageKey = name,
+      searchPlaces = searchPlacesFor(name),
+      required = true,
+      ...searchOpts
+    } = opts
+    const notFound = (e) => {
+      if (!required) return resolve({ config: defaults, path: null })
+      const looked = searchPlaces.join(`, `)
+      const error = new NotFoundError(
+        `No config found for ${name}, looked for ${looked}`,
+        {
+          operation: `loadConfig`,
+          path: searchPlaces[0] ?? null,
+          cause: e,
+          code: `ENOENT`,
+        },
+      )
+      return reject(Object.assign(error, { candidates: searchPlaces }))
+    }
+    const found = (path) =>
+      pipe(
+        loaderFor(packageKey),
+        map((config) => mergeDeepRight(defaults, config ?? {})),
+        chain(validateWith(validate, path)),
+        map((config) => ({ config, path })),
+      )(path)
+    return pipe(
+      coalesce(notFound)(found),
+      chain(identity),
+    )(
+      digUpWithCancel(
+        cancel,
+        searchOpts,
+        searchDirectory(searchPlaces, packageKey),
+      ),
+    )
+  },
+)
+export const loadConfig = loadConfigWithCancel(NO_OP)
@@ -0,0 +1,106 @@
+import path from "node:path"
+import { fork } from "fluture"
+import { afterAll, beforeAll, test, expect } from "vitest"
+import { loadConfig, searchPlacesFor } from "./config.js"
+import { rimraf, transactionWithConfig } from "./fs.js"
+
+const DIR = path.resolve(__dirname, `config-dir`)
+const at = (x) => path.join(DIR, x)
+
+beforeAll(
+  () =>
+    new Promise((done) => {
+      fork(done)(() => done())(
+        transactionWithConfig({ autoPath: true }, [
+          [at(`rc/.coolrc`), `{ "port": 8080, "nested": { "a": 1 } }`],
+          [at(`rc/deep/er/fakefile.biz`), ``],
+          [at(`js/cool.config.js`), `export default { port: 9000 }`],
+          [at(`pkg/package.json`), `{ "name": "pkg", "cool": { "port": 1 } }`],
+          [at(`broken/cool.json`), `{ "port": `],
+          [at(`empty/fakefile.biz`), ``],
+        ]),
+      )
+    }),
+)
+
+test(`loadConfig - rc file`, () =>
+  new Promise((done) => {
+    fork(done)((x) => {
+      expect(x).toEqual({
+        path: at(`rc/.coolrc`),
+        config: { port: 8080, host: `localhost`, nested: { a: 1, b: 2 } },
+      })
+      done()
+    })(
+      loadConfig(`cool`, {
+        cwd: at(`rc/deep/er`),
+        defaults: { host: `localhost`, nested: { b: 2 } },
+      }),
+    )
+  }))
+
+test(`loadConfig - js and package.json`, () =>
+  new Promise((done) => {
+    fork(done)((x) => {
+      expect(x.config).toEqual({ port: 9000 })
+      fork(done)((y) => {
+        expect(y).toEqual({ path: at(`pkg/package.json`), config: { port: 1 } })
+        done()
+      })(loadConfig(`cool`, { cwd: at(`pkg`) }))
+    })(loadConfig(`cool`, { cwd: at(`js`) }))
+  }))
+
+test(`loadConfig - parse failure`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`ParseError`)
+      expect(e.path).toEqual(at(`broken/cool.json`))
+      expect(e.message).toMatch(
+        `Unable to load config from ${at(`broken/cool.json`)}:`,
+      )
+      done()
+    })(done)(loadConfig(`cool`, { cwd: at(`broken`) }))
+  }))
+
+test(`loadConfig - validation`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`ValidationError`)
+      expect(e.message).toEqual(
+        `Unable to load config from ${at(`rc/.coolrc`)}: invalid values for host`,
+      )
+      done()
+    })(done)(
+      loadConfig(`cool`, {
+        cwd: at(`rc`),
+        validate: { port: Number.isInteger, host: Boolean },
+      }),
+    )
+  }))
+
+test(`loadConfig - not found`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.message).toMatch(`No config found for cool, looked for`)
+      expect(e.path).toEqual(`package.json`)
+      expect(e.candidates).toEqual(searchPlacesFor(`cool`))
+      fork(done)((x) => {
+        expect(x).toEqual({ config: { port: 1 }, path: null })
+        done()
+      })(
+        loadConfig(`cool`, {
+          cwd: at(`empty`),
+          stopAt: DIR,
+          required: false,
+          defaults: { port: 1 },
+        }),
+      )
+    })(done)(loadConfig(`cool`, { cwd: at(`empty`), stopAt: DIR }))
+  }))
+
+afterAll(
+  () =>
+    new Promise((done) => {
+      fork(done)(() => done())(rimraf(DIR))
+    }),
+)
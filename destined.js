@@ -1,4 +1,17 @@
+export * from "./archive.js"
+export * from "./config.js"
 export * from "./dig-up.js"
+export * from "./errors.js"
+export * from "./formats.js"
 export * from "./fs.js"
+export * from "./future.js"
+export * from "./gitignore.js"
 export * from "./interpret.js"
+export * from "./memory.js"
 export * from "./path.js"
+export * from "./plan.js"
+export * from "./retry.js"
+export * from "./scaffold.js"
+export * from "./stream.js"
+export * from "./trace.js"
+export * from "./watch.js"
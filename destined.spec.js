@@ -3,52 +3,228 @@ import * as DESTINED from "./destined.js"
 
 test("destined exports", () => {
   expect(Object.keys(DESTINED)).toEqual([
+    "ARCHIVE_FORMATS",
+    "packWithConfigAndCancel",
+    "packWithConfig",
+    "pack",
+    "unpackWithConfigAndCancel",
+    "unpackWithConfig",
+    "unpack",
+    "searchPlacesFor",
+    "loadConfigWithCancel",
+    "loadConfig",
     "digUpWithCancel",
     "digUp",
+    "DestinedError",
+    "NotFoundError",
+    "PermissionDeniedError",
+    "AlreadyExistsError",
+    "NotADirectoryError",
+    "IsADirectoryError",
+    "NotEmptyError",
+    "BusyError",
+    "TooManyOpenFilesError",
+    "CrossDeviceError",
+    "BadDescriptorError",
+    "AbortedError",
+    "InvalidArgumentError",
+    "ParseError",
+    "OutsideRootError",
+    "ImportError",
+    "ValidationError",
+    "toDestinedError",
+    "toParseError",
+    "toImportError",
+    "matchError",
+    "FORMATS",
+    "formatFor",
+    "unknownFormat",
     "NO_OP",
     "localize",
+    "DEFAULT_REMOVAL_CONFIG",
+    "DEFAULT_BULK_CONFIG",
+    "directoryOnly",
+    "DEFAULT_COPY_CONFIG",
+    "DEFAULT_TEMP_CONFIG",
+    "CONFLICT_POLICIES",
+    "ioWithCancel",
+    "io",
+    "WALK_OUTPUTS",
+    "diffManifests",
+    "findFileWithConfig",
+    "findFile",
+    "destinedWith",
     "readFileWithFormatAndCancel",
     "readFileWithCancel",
     "readFile",
     "readJSONFileWithCancel",
     "readJSONFile",
+    "readStructuredWithConfigAndCancel",
+    "readStructuredWithConfig",
+    "readStructured",
     "readDirWithConfigAndCancel",
     "readDirWithConfig",
     "readDir",
+    "walkWithConfigAndCancel",
+    "walkWithConfig",
+    "walk",
     "writeFileWithConfigAndCancel",
     "writeFileWithConfig",
     "writeFile",
+    "writeStructuredWithConfigAndCancel",
+    "writeStructuredWithConfig",
+    "writeStructured",
     "removeFileWithConfigAndCancel",
     "removeFileWithConfig",
     "rm",
     "removeFile",
     "rimraf",
-    "DEFAULT_REMOVAL_CONFIG",
     "removeFilesWithConfigAndCancel",
     "removeFilesWithConfig",
     "removeFiles",
+    "readFilesWithConfigAndCancel",
+    "readFilesWithConfig",
+    "readFiles",
+    "readJSONFilesWithConfigAndCancel",
+    "readJSONFilesWithConfig",
+    "readJSONFiles",
+    "writeFilesWithConfigAndCancel",
+    "writeFilesWithConfig",
+    "writeFiles",
+    "statFilesWithConfigAndCancel",
+    "statFilesWithConfig",
+    "statFiles",
     "mkdirWithCancel",
     "mkdir",
     "mkdirp",
+    "withTempDirWithConfigAndCancel",
+    "withTempDirWithConfig",
+    "withTempDir",
+    "withTempFileWithConfigAndCancel",
+    "withTempFileWithConfig",
+    "withTempFile",
     "access",
     "exists",
     "readable",
-    "directoryOnly",
+    "writable",
+    "executable",
+    "statWithCancel",
+    "stat",
+    "lstatWithCancel",
+    "lstat",
+    "isFile",
+    "isDirectory",
+    "isSymlink",
+    "chmodWithCancel",
+    "chmod",
+    "chownWithCancel",
+    "chown",
+    "symlinkWithCancel",
+    "symlink",
+    "readlinkWithCancel",
+    "readlink",
+    "realpathWithCancel",
+    "realpath",
+    "resolveRealWithCancel",
+    "resolveReal",
+    "safeJoinWithCancel",
+    "safeJoin",
+    "utimesWithCancel",
+    "utimes",
+    "truncateWithCancel",
+    "truncate",
+    "writeFileWithAutoPathAndConfigAndCancel",
+    "writeFileWithAutoPathAndConfig",
     "writeFileWithAutoPath",
-    "ioWithCancel",
-    "io",
+    "appendFileWithAutoPath",
+    "writeJSONFileWithAutoPath",
+    "transactionWithConfigAndCancel",
+    "transactionWithConfig",
+    "transaction",
+    "copyFileWithConfigAndCancel",
+    "copyFileWithConfig",
+    "copyFile",
+    "copyDirWithConfigAndCancel",
+    "copyDirWithConfig",
+    "copyDir",
+    "moveWithConfigAndCancel",
+    "moveWithConfig",
+    "move",
     "read",
     "write",
-    "findFile",
-    "readAnyOr",
+    "withFileWithCancel",
+    "withFile",
+    "hashFileWithCancel",
+    "hashFile",
+    "hashTreeWithConfigAndCancel",
+    "hashTreeWithConfig",
+    "hashTree",
+    "verifyManifestWithConfigAndCancel",
+    "verifyManifestWithConfig",
+    "verifyManifest",
+    "readAnyWithConfigAndCancel",
+    "readAnyWithConfig",
     "readAny",
+    "readAnyOr",
     "requireAnyOr",
+    "futurify",
+    "futurifyAll",
+    "passFailCallbackWithArityAndCancel",
+    "passFailCallbackWithArity",
+    "abortableWithCancel",
+    "parseGitignore",
+    "isIgnored",
+    "isIgnoredWithin",
     "interpretWithCancel",
     "interpret",
     "importF",
+    "demandWithConfigAndCancel",
+    "demandWithConfig",
     "demandWithCancel",
     "demand",
     "requireF",
+    "loadModuleWithConfigAndCancel",
+    "loadModuleWithConfig",
+    "loadModule",
+    "createMemoryFs",
     "relativePathJoin",
+    "relativeTo",
+    "isWithin",
+    "toPosix",
+    "toNative",
+    "dryRunWith",
+    "dryRun",
+    "unifiedDiff",
+    "formatPlan",
+    "applyPlanWithConfigAndCancel",
+    "applyPlanWithConfig",
+    "applyPlan",
+    "RETRYABLE_CODES",
+    "isRetryable",
+    "DEFAULT_RETRY_POLICY",
+    "backoff",
+    "retry",
+    "scaffoldWithConfigAndCancel",
+    "scaffoldWithConfig",
+    "scaffold",
+    "readStreamWithConfigAndCancel",
+    "readStreamWithConfig",
+    "readStream",
+    "writeStreamWithConfigAndCancel",
+    "writeStreamWithConfig",
+    "writeStream",
+    "pipelineWithCancel",
+    "pipeline",
+    "foldLinesWithConfigAndCancel",
+    "foldLinesWithConfig",
+    "foldLines",
+    "tracedWith",
+    "traced",
+    "createChromeTrace",
+    "createMetrics",
+    "DEFAULT_WATCH_CONFIG",
+    "watchWithConfigAndCancel",
+    "watchWithConfig",
+    "watch",
   ])
 })
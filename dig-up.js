@@ -1,16 +1,29 @@
-import { Future } from "fluture"
 import { curry } from "ramda"
-import { findUp as __findUp } from "find-up"
+import { findUp as __findUp, findUpStop } from "find-up"
+import { NotFoundError, toDestinedError } from "./errors.js"
+import { abortableWithCancel } from "./future.js"
+
+// find-up has no `signal` option, so we search one directory at a time
+// and stop walking upwards as soon as the signal is aborted
+const abortableMatcher = (signal, opts, x) => (directory) =>
+  signal.aborted
+    ? findUpStop
+    : typeof x === `function`
+      ? x(directory)
+      : __findUp(x, { ...opts, cwd: directory, stopAt: directory })
 
 export const digUpWithCancel = curry(
   function _digUpWithCancel(cancel, opts, x) {
-    return Future((bad, good) => {
-      __findUp(x, opts)
-        .catch(bad)
-        .then((raw) =>
-          raw ? good(raw) : bad(new Error(`No config file found!`)),
-        )
-      return cancel
+    return abortableWithCancel(cancel, (bad, good, signal) => {
+      const notFound = () =>
+        new NotFoundError(`No config file found!`, {
+          operation: `digUp`,
+          path: x,
+          code: `ENOENT`,
+        })
+      __findUp(abortableMatcher(signal, opts, x), opts)
+        .then((raw) => (raw ? good(raw) : bad(notFound())))
+        .catch((e) => bad(toDestinedError(`digUp`, x, e)))
     })
   },
 )
@@ -0,0 +1,57 @@
+import path from "node:path"
+import { fork } from "fluture"
+import { test, expect } from "vitest"
+import { digUp, digUpWithCancel } from "./dig-up.js"
+
+test(`digUp`, () =>
+  new Promise((done) => {
+    fork(done)((x) => {
+      expect(x).toEqual(path.resolve(__dirname, `package.json`))
+      done()
+    })(digUp({ cwd: path.resolve(__dirname, `fixture/apps`) }, `package.json`))
+  }))
+
+test(`digUp - fail`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`NotFound`)
+      expect(e.path).toEqual(`no-such-file-anywhere.biz`)
+      done()
+    })(done)(digUp({}, `no-such-file-anywhere.biz`))
+  }))
+
+test(`digUpWithCancel - cancel`, () =>
+  new Promise((done, fail) => {
+    const cancel = fork(fail)(fail)(
+      digUpWithCancel(
+        () => {
+          setTimeout(done, 20)
+        },
+        {},
+        [`no-such-file-anywhere.biz`, `package.json`],
+      ),
+    )
+    cancel()
+  }))
+
+test(`digUpWithCancel - cancel stops walking upwards`, () =>
+  new Promise((done, fail) => {
+    const visited = []
+    const results = []
+    const cancel = fork(fail)((x) => results.push(x))(
+      digUpWithCancel(
+        () => {},
+        { cwd: path.resolve(__dirname, `fixture/apps`) },
+        (directory) => {
+          visited.push(directory)
+          return undefined
+        },
+      ),
+    )
+    cancel()
+    setTimeout(() => {
+      expect(visited.length).toBeLessThanOrEqual(1)
+      expect(results).toEqual([])
+      done()
+    }, 20)
+  }))
@@ -0,0 +1,228 @@
+import { reject } from "fluture"
+import { curry, propOr } from "ramda"
+
+/**
+ * @pageSummary Tagged errors, so that failures can be pattern-matched instead of string-sniffed.
+ */
+
+/**
+ * The root of every error `destined` rejects with.
+ * Each error carries the `operation` that failed, the `path` (and `dest`, if any) it failed on,
+ * the original `cause` and, when the failure came from Node, its `code` and `errno`.
+ * The `tag` is the same for every instance of a given class, so it can be matched on.
+ * @name DestinedError
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { readFile, NotFoundError } from 'destined'
+ * fork((e) => {
+ *   console.log(e instanceof NotFoundError, e.tag, e.operation, e.path, e.code)
+ *   // true NotFound readFile nope.txt ENOENT
+ * })(console.log)(readFile('nope.txt'))
+ * ```
+ */
+export class DestinedError extends Error {
+  static tag = `Unknown`
+  constructor(
+    message,
+    {
+      operation = null,
+      path = null,
+      dest = null,
+      cause = null,
+      code = null,
+      errno = null,
+    } = {},
+  ) {
+    super(message, { cause })
+    this.name = this.constructor.name
+    this.tag = this.constructor.tag
+    this.operation = operation
+    this.path = path
+    this.dest = dest
+    this.code = code
+    this.errno = errno
+  }
+}
+
+export class NotFoundError extends DestinedError {
+  static tag = `NotFound`
+}
+export class PermissionDeniedError extends DestinedError {
+  static tag = `PermissionDenied`
+}
+export class AlreadyExistsError extends DestinedError {
+  static tag = `AlreadyExists`
+}
+export class NotADirectoryError extends DestinedError {
+  static tag = `NotADirectory`
+}
+export class IsADirectoryError extends DestinedError {
+  static tag = `IsADirectory`
+}
+export class NotEmptyError extends DestinedError {
+  static tag = `NotEmpty`
+}
+export class BusyError extends DestinedError {
+  static tag = `Busy`
+}
+export class TooManyOpenFilesError extends DestinedError {
+  static tag = `TooManyOpenFiles`
+}
+export class CrossDeviceError extends DestinedError {
+  static tag = `CrossDevice`
+}
+export class BadDescriptorError extends DestinedError {
+  static tag = `BadDescriptor`
+}
+export class AbortedError extends DestinedError {
+  static tag = `Aborted`
+}
+export class InvalidArgumentError extends DestinedError {
+  static tag = `InvalidArgument`
+}
+/**
+ * A failure to parse a file, which knows the `line` and `column` it failed at when the
+ * parser said so, both counting from 1.
+ * @name ParseError
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { readJSONFile } from 'destined'
+ * fork((e) => console.log(e.tag, e.line, e.column))(console.log)(readJSONFile('broken.json'))
+ * // ParseError 3 1
+ * ```
+ */
+export class ParseError extends DestinedError {
+  static tag = `ParseError`
+  constructor(message, options = {}) {
+    super(message, options)
+    this.line = options.line ?? null
+    this.column = options.column ?? null
+  }
+}
+/**
+ * A path which would end up outside of the directory it was meant to stay within,
+ * whether through `..` or through a symlink. The `dest` is the root it escaped.
+ * @name OutsideRootError
+ * @see {@link safeJoin}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { safeJoin } from 'destined'
+ * fork((e) => console.log(e.tag, e.path))(console.log)(
+ *   safeJoin('plugins', '../../etc/passwd'),
+ * )
+ * // OutsideRoot ../etc/passwd
+ * ```
+ */
+export class OutsideRootError extends DestinedError {
+  static tag = `OutsideRoot`
+}
+export class ImportError extends DestinedError {
+  static tag = `ImportError`
+}
+export class ValidationError extends DestinedError {
+  static tag = `ValidationError`
+}
+
+const ERRORS_BY_CODE = {
+  ABORT_ERR: AbortedError,
+  EACCES: PermissionDeniedError,
+  EAGAIN: BusyError,
+  EBADF: BadDescriptorError,
+  EBUSY: BusyError,
+  EEXIST: AlreadyExistsError,
+  EINVAL: InvalidArgumentError,
+  EISDIR: IsADirectoryError,
+  EMFILE: TooManyOpenFilesError,
+  ENFILE: TooManyOpenFilesError,
+  ENOENT: NotFoundError,
+  ENOTDIR: NotADirectoryError,
+  ENOTEMPTY: NotEmptyError,
+  EPERM: PermissionDeniedError,
+  EXDEV: CrossDeviceError,
+}
+
+// build a tagged error of a given class from any thrown value
+const wrapAs = curry(function _wrapAs(ErrorClass, operation, path, e) {
+  if (e instanceof DestinedError) return e
+  return new ErrorClass(e?.message ?? String(e), {
+    operation,
+    path: path ?? e?.path ?? null,
+    dest: e?.dest ?? null,
+    cause: e,
+    code: e?.code ?? null,
+    errno: e?.errno ?? null,
+    line: e?.line ?? null,
+    column: e?.column ?? null,
+  })
+})
+
+/**
+ * Convert an error from Node into the matching `DestinedError`, based upon its `code`.
+ * Errors which are already a `DestinedError` are passed through unchanged.
+ * @name toDestinedError
+ * @example
+ * ```js
+ * import { mapRej } from 'fluture'
+ * import { toDestinedError } from 'destined'
+ * mapRej(toDestinedError('unlink', 'my-file.txt'))(someFuture)
+ * ```
+ */
+export const toDestinedError = curry(
+  function _toDestinedError(operation, path, e) {
+    const ErrorClass = propOr(DestinedError, e?.code, ERRORS_BY_CODE)
+    return wrapAs(
+      e?.name === `AbortError` ? AbortedError : ErrorClass,
+      operation,
+      path,
+      e,
+    )
+  },
+)
+
+/**
+ * Convert a parsing failure into a `ParseError`.
+ * @name toParseError
+ * @example
+ * ```js
+ * import { chain, encase, mapRej } from 'fluture'
+ * import { toParseError } from 'destined'
+ * mapRej(toParseError('readJSONFile', 'package.json'))(encase(JSON.parse)(raw))
+ * ```
+ */
+export const toParseError = wrapAs(ParseError)
+
+/**
+ * Convert a failed `import` or `require` into an `ImportError`.
+ * @name toImportError
+ * @example
+ * ```js
+ * import { mapRej } from 'fluture'
+ * import { toImportError } from 'destined'
+ * mapRej(toImportError('interpret', './plugin.js'))(somePluginFuture)
+ * ```
+ */
+export const toImportError = wrapAs(ImportError)
+
+/**
+ * Pattern-match on the `tag` of an error, falling back to the `_` case.
+ * Without a matching case, the error is rejected again, so this is made for `chainRej`.
+ * @name matchError
+ * @example
+ * ```js
+ * import { chainRej, resolve } from 'fluture'
+ * import { matchError, readFile } from 'destined'
+ * chainRej(
+ *   matchError({
+ *     NotFound: () => resolve(''),
+ *     PermissionDenied: (e) => resolve(`no access to ${e.path}`),
+ *   })
+ * )(readFile('maybe.txt'))
+ * ```
+ */
+export const matchError = curry(function _matchError(cases, e) {
+  const fallback = propOr(reject, `_`, cases)
+  return propOr(fallback, e?.tag, cases)(e)
+})
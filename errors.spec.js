@@ -0,0 +1,69 @@
+import { chainRej, fork, resolve } from "fluture"
+import { test, expect } from "vitest"
+import {
+  BusyError,
+  DestinedError,
+  matchError,
+  NotFoundError,
+  toDestinedError,
+  toParseError,
+} from "./errors.js"
+import { readFile, readJSONFile } from "./fs.js"
+
+const nodeError = (code) =>
+  Object.assign(new Error(`${code}: oh no`), { code, errno: -1 })
+
+test(`toDestinedError`, () => {
+  const e = toDestinedError(`rm`, `cool.biz`, nodeError(`EBUSY`))
+  expect(e).toBeInstanceOf(BusyError)
+  expect(e).toBeInstanceOf(DestinedError)
+  expect(e).toMatchObject({
+    tag: `Busy`,
+    operation: `rm`,
+    path: `cool.biz`,
+    code: `EBUSY`,
+    errno: -1,
+    message: `EBUSY: oh no`,
+  })
+  expect(toDestinedError(`rm`, `cool.biz`, e)).toBe(e)
+  expect(toDestinedError(`rm`, null, nodeError(`EWHATEVER`)).tag).toEqual(
+    `Unknown`,
+  )
+  expect(
+    toParseError(`parse`, `x.json`, new SyntaxError(`nope`)),
+  ).toMatchObject({ tag: `ParseError`, path: `x.json`, message: `nope` })
+})
+
+test(`matchError`, () =>
+  new Promise((done) => {
+    fork(done)((x) => {
+      expect(x).toEqual(`missing!`)
+      done()
+    })(
+      chainRej(
+        matchError({
+          PermissionDenied: () => resolve(`nope`),
+          NotFound: (e) => resolve(e instanceof NotFoundError && `missing!`),
+        }),
+      )(readFile(`coolfilenice.biz`)),
+    )
+  }))
+
+test(`matchError - fallback`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`NotFound`)
+      done()
+    })(done)(chainRej(matchError({ Busy: resolve }))(readJSONFile(`nope.json`)))
+  }))
+
+test(`readJSONFile - ParseError`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`ParseError`)
+      expect(e.operation).toEqual(`readJSONFile`)
+      expect(e.line).toBeGreaterThan(0)
+      expect(e.column).toBeGreaterThan(0)
+      done()
+    })(done)(readJSONFile(`fixture/raw.js`))
+  }))
@@ -0,0 +1,154 @@
+import { extname } from "node:path"
+import ini from "ini"
+import JSON5 from "json5"
+import { parse as parseTOML, stringify as stringifyTOML } from "smol-toml"
+import YAML from "yaml"
+import { curry, map, propOr } from "ramda"
+import { InvalidArgumentError } from "./errors.js"
+
+/**
+ * @pageSummary Readers and writers for structured text formats, keyed by file extension.
+ */
+
+// the 1-based line and column of an offset into some text
+const positionAt = (raw, offset) => {
+  const before = raw.slice(0, offset).split(`\n`)
+  return { line: before.length, column: before[before.length - 1].length + 1 }
+}
+
+// rethrow a parser's error with the line and column it failed at
+const located = curry(function _located(locate, parse) {
+  return (raw) => {
+    try {
+      return parse(raw)
+    } catch (e) {
+      throw Object.assign(e, locate(e, raw))
+    }
+  }
+})
+
+const locateJSON5 = (e) => ({ line: e.lineNumber, column: e.columnNumber })
+const locateTOML = (e) => ({ line: e.line, column: e.column })
+const locateYAML = (e) => ({
+  line: e.linePos?.[0].line,
+  column: e.linePos?.[0].col,
+})
+
+// JSON.parse only sometimes gives an offset, otherwise ask JSON5, which always gives one,
+// falling back to the end of the text for anything JSON5 is happy with
+const JSON_POSITION = /at position (\d+)/
+const locateJSON = (e, raw) => {
+  const [, offset] = e.message.match(JSON_POSITION) ?? []
+  if (offset) return positionAt(raw, Number(offset))
+  try {
+    JSON5.parse(raw)
+  } catch (e5) {
+    return locateJSON5(e5)
+  }
+  return positionAt(raw, raw.length)
+}
+
+const pretty = (stringify) => (value) => `${stringify(value, null, 2)}\n`
+
+const parseJSON = located(locateJSON, JSON.parse)
+const parseJSON5 = located(locateJSON5, JSON5.parse)
+
+// one JSON value per line, where the error is positioned within the whole file
+const parseNDJSON = (raw) =>
+  raw
+    .split(`\n`)
+    .map((line, i) => {
+      try {
+        return line.trim() ? [parseJSON(line)] : []
+      } catch (e) {
+        throw Object.assign(e, { line: i + 1 })
+      }
+    })
+    .flat()
+
+const stringifyNDJSON = (values) => {
+  if (!Array.isArray(values)) {
+    throw new TypeError(`Expected an array of values to write as NDJSON.`)
+  }
+  return map((x) => `${JSON.stringify(x)}\n`, values).join(``)
+}
+
+const JSON_FORMAT = { parse: parseJSON, stringify: pretty(JSON.stringify) }
+const JSON5_FORMAT = { parse: parseJSON5, stringify: pretty(JSON5.stringify) }
+const JSONC_FORMAT = { parse: parseJSON5, stringify: pretty(JSON.stringify) }
+const NDJSON_FORMAT = { parse: parseNDJSON, stringify: stringifyNDJSON }
+const INI_FORMAT = { parse: ini.parse, stringify: ini.stringify }
+const TOML_FORMAT = {
+  parse: located(locateTOML, parseTOML),
+  stringify: stringifyTOML,
+}
+const YAML_FORMAT = {
+  parse: located(locateYAML, (raw) => YAML.parse(raw)),
+  stringify: (value) => YAML.stringify(value),
+}
+
+/**
+ * The formats {@link readStructured} and {@link writeStructured} know about, keyed by extension.
+ * Each format has a `parse` function, from text to a value, and a `stringify` function,
+ * from a value to text. Parsers throw errors with the `line` and `column` they failed at,
+ * which end up on the `ParseError` a read rejects with.
+ * To add a format, pass `{ formats: { ...FORMATS, '.cool': { parse, stringify } } }`.
+ * JSONC files are read leniently, so comments and trailing commas are fine,
+ * but they are written as plain JSON.
+ * @name FORMATS
+ * @see {@link readStructuredWithConfigAndCancel}
+ * @see {@link writeStructuredWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { FORMATS } from 'destined'
+ * FORMATS['.toml'].parse('name = "cool"')
+ * // { name: 'cool' }
+ * ```
+ */
+export const FORMATS = {
+  ".ini": INI_FORMAT,
+  ".json": JSON_FORMAT,
+  ".json5": JSON5_FORMAT,
+  ".jsonc": JSONC_FORMAT,
+  ".jsonl": NDJSON_FORMAT,
+  ".ndjson": NDJSON_FORMAT,
+  ".toml": TOML_FORMAT,
+  ".yaml": YAML_FORMAT,
+  ".yml": YAML_FORMAT,
+}
+
+/**
+ * Pick a format for a path, given formats keyed by extension and an optional extension
+ * which takes precedence over the path's own. Gives `null` when no format matches.
+ * @name formatFor
+ * @see {@link FORMATS}
+ * @example
+ * ```js
+ * import { FORMATS, formatFor } from 'destined'
+ * formatFor(FORMATS, null, 'config/app.yml') === FORMATS['.yml']
+ * formatFor(FORMATS, '.json5', '.babelrc') === FORMATS['.json5']
+ * ```
+ */
+export const formatFor = curry(function _formatFor(formats, extension, path) {
+  return propOr(null, (extension ?? extname(path)).toLowerCase(), formats)
+})
+
+/**
+ * The error for a path which no format matches.
+ * @name unknownFormat
+ * @see {@link formatFor}
+ * @example
+ * ```js
+ * import { reject } from 'fluture'
+ * import { FORMATS, unknownFormat } from 'destined'
+ * reject(unknownFormat(FORMATS, 'readStructured', 'notes.txt'))
+ * ```
+ */
+export const unknownFormat = curry(
+  function _unknownFormat(formats, operation, path) {
+    return new InvalidArgumentError(
+      `Expected a file ending in one of ${Object.keys(formats).join(`, `)}, given ${path}.`,
+      { operation, path },
+    )
+  },
+)
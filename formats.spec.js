@@ -0,0 +1,101 @@
+import { chain, fork, parallel, swap } from "fluture"
+import { map, pipe } from "ramda"
+import { test, expect } from "vitest"
+import { destinedWith } from "./fs.js"
+import { FORMATS, formatFor } from "./formats.js"
+import { createMemoryFs } from "./memory.js"
+
+const config = { name: `cool`, port: 8080, tags: [`a`, `b`] }
+
+test(`FORMATS - round trips`, () => {
+  map(
+    (extension) => {
+      const { parse, stringify } = FORMATS[extension]
+      expect(parse(stringify(config))).toEqual(config)
+    },
+    [`.json`, `.json5`, `.jsonc`, `.toml`, `.yaml`, `.yml`],
+  )
+  const ndjson = FORMATS[`.ndjson`]
+  expect(ndjson.parse(ndjson.stringify([config, 1, null]))).toEqual([
+    config,
+    1,
+    null,
+  ])
+  const iniFormat = FORMATS[`.ini`]
+  expect(
+    iniFormat.parse(iniFormat.stringify({ cool: { name: `yes` } })),
+  ).toEqual({ cool: { name: `yes` } })
+  expect(FORMATS[`.jsonc`].parse(`{\n  // cool\n  "a": 1,\n}`)).toEqual({
+    a: 1,
+  })
+})
+
+test(`formatFor`, () => {
+  expect(formatFor(FORMATS, null, `a/b.YML`)).toBe(FORMATS[`.yml`])
+  expect(formatFor(FORMATS, `.json5`, `.babelrc`)).toBe(FORMATS[`.json5`])
+  expect(formatFor(FORMATS, null, `notes.txt`)).toBeNull()
+})
+
+const broken = {
+  "bad.json": `{\n  "a": 1,\n}`,
+  "bad.json5": `{\n  a: 1,\n  b: }`,
+  "bad.ndjson": `{"a":1}\n{"a":}\n`,
+  "bad.toml": `a = 1\nb = `,
+  "bad.yaml": `a: 1\n b: [`,
+}
+
+test(`readStructured - ParseError with a position`, () =>
+  new Promise((done) => {
+    const { readStructured } = destinedWith(createMemoryFs(broken))
+    pipe(
+      map((path) => swap(readStructured(path))),
+      parallel(5),
+      fork(done)((errors) => {
+        expect(
+          map(
+            ({ tag, path, line, column }) => [tag, path, line, column],
+            errors,
+          ),
+        ).toEqual([
+          [`ParseError`, `bad.json`, 3, 1],
+          [`ParseError`, `bad.json5`, 3, 6],
+          [`ParseError`, `bad.ndjson`, 2, 6],
+          [`ParseError`, `bad.toml`, 2, 5],
+          [`ParseError`, `bad.yaml`, 1, 4],
+        ])
+        done()
+      }),
+    )(Object.keys(broken))
+  }))
+
+test(`writeStructured and readStructured`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs()
+    const D = destinedWith(memoryFs)
+    pipe(
+      chain(() =>
+        D.writeStructuredWithConfig({ format: `.yaml` }, `.coolrc`, config),
+      ),
+      chain(() => D.readStructured(`app.toml`)),
+      chain((x) => {
+        expect(x).toEqual(config)
+        expect(memoryFs.snapshot()).toEqual({
+          ".coolrc": `name: cool\nport: 8080\ntags:\n  - a\n  - b\n`,
+          "app.toml": `name = "cool"\nport = 8080\ntags = [ "a", "b" ]\n`,
+        })
+        return swap(D.writeStructured(`notes.txt`, config))
+      }),
+      chain((e) => {
+        expect(e.tag).toEqual(`InvalidArgument`)
+        return swap(D.writeStructured(`events.ndjson`, config))
+      }),
+      fork(done)((e) => {
+        expect(e).toMatchObject({
+          tag: `InvalidArgument`,
+          operation: `writeStructured`,
+          path: `events.ndjson`,
+        })
+        done()
+      }),
+    )(D.writeStructured(`app.toml`, config))
+  }))
@@ -1,16 +1,73 @@
-import fs from "node:fs"
-import { sep } from "node:path"
-import { reduce, F, propOr, without, curry, pipe, map, __ as $ } from "ramda"
+import { createHash, randomBytes } from "node:crypto"
+import nodeFs from "node:fs"
+import { tmpdir } from "node:os"
+import {
+  basename,
+  dirname,
+  isAbsolute,
+  join,
+  resolve as resolvePath,
+  sep,
+} from "node:path"
+import { pathToFileURL } from "node:url"
+import {
+  reduce,
+  assocPath,
+  F,
+  T,
+  complement,
+  filter,
+  find,
+  identity,
+  partition,
+  propOr,
+  sortBy,
+  unnest,
+  uniq,
+  fromPairs,
+  keys,
+  omit,
+  curry,
+  pipe,
+  map,
+  __ as $,
+} from "ramda"
 import {
   Future,
   chain,
   chainRej,
+  both,
+  coalesce,
+  encase,
+  fork,
+  hook,
   isFuture,
   mapRej,
   parallel,
-  race,
+  reject,
+  resolve,
+  swap,
 } from "fluture"
 import { glob } from "glob"
+import {
+  AlreadyExistsError,
+  InvalidArgumentError,
+  NotADirectoryError,
+  NotFoundError,
+  OutsideRootError,
+  toDestinedError,
+  toParseError,
+} from "./errors.js"
+import { FORMATS, formatFor, unknownFormat } from "./formats.js"
+import { abortableWithCancel, futurify } from "./future.js"
+import { isIgnoredWithin, parseGitignore } from "./gitignore.js"
+import {
+  demandWithConfigAndCancel,
+  interpretWithCancel,
+  loadModuleWithConfigAndCancel,
+} from "./interpret.js"
+import { isWithin, toPosix } from "./path.js"
+import { DEFAULT_RETRY_POLICY, retry } from "./retry.js"
 
 /* eslint-disable max-len */
 /**
@@ -18,12 +75,27 @@ import { glob } from "glob"
  */
 /* eslint-enable max-len */
 
-const { constants } = fs
-
 export const NO_OP = () => {}
 
-// fs functions that use callbacks of specific arity; a helper
-// const [__cb, __cb2, __cb3] = map(passFailCallbackWithArity, [1, 2, 3])
+// a hidden, unique path next to a given file, so that renaming it stays on the same device
+const siblingOf = curry(function _siblingOf(suffix, file) {
+  const id = `${process.pid}.${randomBytes(6).toString(`hex`)}`
+  return join(dirname(file), `.${basename(file)}.${id}.${suffix}`)
+})
+
+// swallow any failure; used when cleaning up after another failure
+const quietly = pipe(
+  map(() => true),
+  chainRej(() => resolve(false)),
+)
+
+// run a cleanup Future and then reject with the original failure
+const rejectAfter = curry(function _rejectAfter(cleanup, e) {
+  return pipe(
+    quietly,
+    chain(() => reject(e)),
+  )(cleanup)
+})
 
 /**
  * make a file string relative
@@ -37,502 +109,3353 @@ export const NO_OP = () => {}
  */
 export const localize = (z) => `.${sep}${z}`
 
-/**
- * Read a file asynchronously as a Future-wrapped value.
- * @curried
- *
- *  1. readFileWithFormatAndCancel - Can be given a file encoding and a cancellation function.
- *     @example
- *     ```js
- *     import { fork } from 'fluture'
- *     import { readFile } from 'destined'
- *     fork(console.warn)(console.log)(
- *       readFileWithFormatAndCancel(() => process.exit(), 'utf8', './README.md')
- *     )
- *     ```
- *
- *  2. readFileWithCancel - Reads `utf8` files only.
- *     @example
- *     ```js
- *     import { fork } from 'fluture'
- *     import { readFile } from 'destined'
- *     fork(console.warn)(console.log)(
- *       readFileWithCancel(() => process.exit(), './README.md')
- *     )
- *     ```
- *
- *  3. readFile - Eschews any custom cancellation.
- *     @example
- *     ```js
- *     import { fork } from 'fluture'
- *     import { readFile } from 'destined'
- *     fork(console.warn)(console.log)(readFile('./README.md'))
- *     ```
- */
-export const readFileWithFormatAndCancel = curry(
-  function _readFileWithFormatAndCancel(cancel, format, x) {
-    return Future((bad, good) => {
-      fs.readFile(x, format, (err, data) => (err ? bad(err) : good(data)))
-      return cancel
-    })
-  },
-)
-export const readFileWithCancel = readFileWithFormatAndCancel($, `utf8`)
-export const readFile = readFileWithCancel(NO_OP)
+export const DEFAULT_REMOVAL_CONFIG = {
+  force: false,
+  maxRetries: 0,
+  recursive: false,
+  retryDelay: 100,
+  parallel: 10,
+  retry: DEFAULT_RETRY_POLICY,
+}
 
-/**
- * Read a JSON file asynchronously as a Future-wrapped value, given a cancellation function
- * @name readJSONFileWithCancel
- * @see {@link readFile}
- * @see {@link readJSONFile}
- * @example
- * ```js
- * import { fork } from 'fluture'
- * import { readJSONFile } from 'destined'
- * fork(console.warn)(console.log)(readJSONFile('./package.json'))
- * ```
- */
-export const readJSONFileWithCancel = curry(
-  function _readJSONFileWithCancel(cancel, x) {
-    return pipe(readFileWithCancel(cancel), map(JSON.parse))(x)
-  },
+export const DEFAULT_BULK_CONFIG = {
+  parallel: 10,
+  settle: false,
+  retry: DEFAULT_RETRY_POLICY,
+}
+
+const BULK_KEYS = keys(DEFAULT_BULK_CONFIG)
+
+// collect settled results into successes and failures, each keyed by path
+const byPath = pipe(
+  map(([path, , x]) => [path, x]),
+  fromPairs,
 )
+const settleByPath = (results) => {
+  const [ok, failed] = partition(([, succeeded]) => succeeded, results)
+  return { ok: byPath(ok), failed: byPath(failed) }
+}
 
-/**
- * Read a JSON file asynchronously as a Future-wrapped value
- * @name readJSONFile
- * @see {@link readFile}
- * @see {@link readJSONFileWithCancel}
- * @example
- * ```js
- * import { fork } from 'fluture'
- * import { readJSONFile } from 'destined'
- * fork(console.warn)(console.log)(readJSONFile('./package.json'))
- * ```
- */
-export const readJSONFile = readJSONFileWithCancel(NO_OP)
+// run a Future-returning function over many paths, `parallel` at a time,
+// resolving with the results keyed by path
+const bulkWithConfig = curry(function _bulkWithConfig(conf, fn, paths) {
+  const {
+    parallel: limit,
+    settle,
+    retry: policy,
+  } = { ...DEFAULT_BULK_CONFIG, ...conf }
+  const attempt = policy ? (path) => retry(policy, () => fn(path)) : fn
+  if (!settle) {
+    return pipe(
+      map((path) => map((x) => [path, x])(attempt(path))),
+      parallel(limit),
+      map(fromPairs),
+    )(paths)
+  }
+  return pipe(
+    map((path) =>
+      coalesce((e) => [path, false, e])((x) => [path, true, x])(attempt(path)),
+    ),
+    parallel(limit),
+    map(settleByPath),
+  )(paths)
+})
 
 /**
- * Read a glob asynchronously as a Future-wrapped value,
- * with configuration and a cancellation function.
- * Configuration is passed to [glob](https://www.npmjs.com/package/glob)
- * @name readDirWithConfigAndCancel
- * @see {@link readDirWithConfig}
- * @see {@link readDir}
+ * The directory part of a file path, which is `.` for a bare file name.
+ * Separators are whatever the platform uses, so on Windows both `/` and `\\` work, but
+ * elsewhere `\\` is just another character in a name: `dist\\app.css` is a file in `.`.
+ * `/` works everywhere, and {@link toNative} turns it into the platform's own separator.
+ * @name directoryOnly
  * @example
  * ```js
- * import { fork } from 'fluture'
- * import { readDirWithConfigAndCancel } from 'destined'
- * // [...]
- * pipe(
- *   fork(console.warn)(console.log)
- * )(readDirWithConfigAndCancel(cancellationFn, { ignore: ['node_modules/**'] }, 'src/*'))
+ * import { directoryOnly } from 'destined'
+ * directoryOnly('docs/api/index.md') // 'docs/api'
+ * directoryOnly('README.md') // '.'
  * ```
  */
-export const readDirWithConfigAndCancel = curry(
-  function _readDirWithConfigAndCancel(cancel, conf, g) {
-    return Future((bad, good) => {
-      try {
-        glob(g, conf).catch(bad).then(good)
-      } catch (e) {
-        bad(e)
-      }
-      return cancel
-    })
-  },
-)
+export const directoryOnly = (filePath) => dirname(filePath)
+
+export const DEFAULT_COPY_CONFIG = {
+  conflict: `overwrite`,
+  filter: T,
+  ignore: [],
+  parallel: 10,
+}
 
 /**
- * Read a glob asynchronously as a Future-wrapped value, with configuration.
- * Configuration is passed to [glob](https://www.npmjs.com/package/glob)
- * @name readDirWithConfig
- * @see {@link readDirWithConfigAndCancel}
- * @see {@link readDir}
+ * The default configuration for {@link withTempDirWithConfig} and {@link withTempFileWithConfig}:
+ * temporary directories are made in `os.tmpdir()`, their names start with `destined-`,
+ * and they are removed afterwards, even when the work done in them fails.
+ * @name DEFAULT_TEMP_CONFIG
+ * @see {@link withTempDirWithConfigAndCancel}
  * @example
  * ```js
- * import { fork } from 'fluture'
- * import { readDirWithConfig } from 'destined'
- * // [...]
- * pipe(
- *   fork(console.warn)(console.log)
- * )(readDirWithConfig({ ignore: ['node_modules/**'] }, 'src/*'))
+ * import { DEFAULT_TEMP_CONFIG, withTempDirWithConfig } from 'destined'
+ * const keepingTempDir = withTempDirWithConfig({
+ *   ...DEFAULT_TEMP_CONFIG,
+ *   keepOnFailure: true,
+ * })
  * ```
  */
-export const readDirWithConfig = readDirWithConfigAndCancel(NO_OP)
+export const DEFAULT_TEMP_CONFIG = {
+  dir: tmpdir(),
+  prefix: `destined-`,
+  keepOnFailure: false,
+}
 
 /**
- * Read a glob asynchronously as a Future-wrapped value, default config assumed.
- * Configuration is passed to [glob](https://www.npmjs.com/package/glob)
- * @name readDir
- * @see {@link readDirWithConfigAndCancel}
- * @see {@link readDirWithConfig}
+ * What can happen when a file is about to be written over: `overwrite`, `skip` or `error`.
+ * @name CONFLICT_POLICIES
+ * @see {@link copyFileWithConfigAndCancel}
+ * @see {@link scaffoldWithConfigAndCancel}
  * @example
  * ```js
- * import { fork } from 'fluture'
- * import { readDir } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(readDir('src/*'))
+ * import { CONFLICT_POLICIES } from 'destined'
+ * CONFLICT_POLICIES // ['overwrite', 'skip', 'error']
  * ```
  */
-export const readDir = readDirWithConfig({})
+export const CONFLICT_POLICIES = [`overwrite`, `skip`, `error`]
+
+const alreadyExists = (operation, from, to) =>
+  new AlreadyExistsError(
+    `EEXIST: file already exists, ${operation} '${from}' -> '${to}'`,
+    { operation, path: from, dest: to, code: `EEXIST` },
+  )
+
+const badConflictPolicy = (operation, conflict) =>
+  new InvalidArgumentError(
+    `Expected conflict to be one of ${CONFLICT_POLICIES.join(`, `)}, given ${conflict}.`,
+    { operation },
+  )
+
+const kindOf = (stats) => (stats.isDirectory() ? `directory` : `file`)
+
+// a file can only be moved over a file, and a directory over a directory
+const cannotReplace = (operation, from, to, fromStats, toStats) =>
+  new InvalidArgumentError(
+    `Expected ${to} to be a ${kindOf(fromStats)}, like ${from}, given a ${kindOf(toStats)}.`,
+    { operation, path: from, dest: to },
+  )
+
+// glob's `mark` option appends a slash to every directory it finds
+const MARKED_DIRECTORY = /\/$/
+const unmark = (x) => x.replace(MARKED_DIRECTORY, ``)
 
 /**
- * Write to a file, with configuration and a cancellation function.
- * Unlike `fs.writeFile`, this will return the written value as a Future-wrapped value.
- * @name writeFileWithConfigAndCancel
- * @see {@link writeFileWithConfig}
- * @see {@link writeFile}
+ * Read from or write to an open file descriptor, with a cancellation function.
+ * Given `fs.read` or `fs.write`, this resolves with `{ bytesRead, buffer }`: how many bytes
+ * were read (or written) and the buffer which was used.
+ * To get a file descriptor which is always closed afterwards, see {@link withFile}.
+ * A read or write which has started can't be aborted, so cancelling only calls `cancel`
+ * and ignores the outcome.
+ * @name ioWithCancel
+ * @see {@link io}
+ * @see {@link withFile}
  * @example
  * ```js
+ * import fs from 'node:fs'
  * import { fork } from 'fluture'
- * import { writeFileWithConfig } from 'destined'
- * // [...]
+ * import { ioWithCancel } from 'destined'
  * fork(console.warn)(console.log)(
- *   writeFileWithConfigAndCancel(
- *     cancellationFunction,
- *     { ...fs.writeFileConfig },
- *     'my-file.txt',
- *     'hey I am a file'
- *   )
+ *   ioWithCancel(() => {}, fs.read, fd, Buffer.alloc(4), 0, 4, 0)
  * )
+ * // { bytesRead: 4, buffer: <Buffer 89 50 4e 47> }
  * ```
  */
-export const writeFileWithConfigAndCancel = curry(
-  function _writeFileWithConfigAndCancel(cancel, conf, file, content) {
+export const ioWithCancel = curry(
+  function _ioWithCancel(cancel, fn, fd, buffer, offset, len, position) {
     return Future((bad, good) => {
-      fs.writeFile(file, content, conf, (e) => {
-        if (e) {
-          bad(e)
-          return
-        }
-        good(content)
-      })
+      fn(fd, buffer, offset, len, position, (e, bytesRead, buff) =>
+        e
+          ? bad(toDestinedError(fn.name, fd, e))
+          : good({ bytesRead, buffer: buff }),
+      )
       return cancel
     })
   },
 )
 
 /**
- * Write to a file, with configuration.
- * Unlike `fs.writeFile`, this will return the written value as a Future-wrapped value.
- * @name writeFileWithConfig
- * @see {@link writeFileWithConfigAndCancel}
- * @see {@link writeFile}
+ * Read from or write to an open file descriptor, eschewing any custom cancellation.
+ * @name io
+ * @see {@link ioWithCancel}
  * @example
  * ```js
+ * import fs from 'node:fs'
  * import { fork } from 'fluture'
- * import { writeFileWithConfig } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   writeFileWithConfig(
- *     { encoding: 'utf8' },
- *     'my-file.txt',
- *     'hey I am a file'
- *   )
- * )
+ * import { io } from 'destined'
+ * fork(console.warn)(console.log)(io(fs.read, fd, Buffer.alloc(4), 0, 4, 0))
  * ```
  */
-export const writeFileWithConfig = writeFileWithConfigAndCancel(NO_OP)
+export const io = ioWithCancel(NO_OP)
+
+export const WALK_OUTPUTS = [`flat`, `tree`]
+
+const badWalkOutput = (output) =>
+  new InvalidArgumentError(
+    `Expected output to be one of ${WALK_OUTPUTS.join(`, `)}, given ${output}.`,
+    { operation: `walk` },
+  )
+
+const typeOf = (stats) => {
+  if (stats.isDirectory()) return `directory`
+  if (stats.isFile()) return `file`
+  if (stats.isSymbolicLink()) return `symlink`
+  return `other`
+}
+
+// every kept entry, parents before their children
+const flattenWalk = curry(function _flattenWalk(keep, nodes) {
+  return unnest(
+    map(({ children = [], ...entry }) => {
+      const rest = flattenWalk(keep, children)
+      return keep(entry) ? [entry, ...rest] : rest
+    }, nodes),
+  )
+})
+
+// every kept entry in place, along with any directory which has kept entries within it
+const pruneWalk = curry(function _pruneWalk(keep, nodes) {
+  return unnest(
+    map((node) => {
+      if (!node.children) return keep(node) ? [node] : []
+      const children = pruneWalk(keep, node.children)
+      const kept = keep(omit([`children`], node)) || children.length > 0
+      return kept ? [{ ...node, children }] : []
+    }, nodes),
+  )
+})
+
+// how much of a file to hash at a time
+const HASH_CHUNK_SIZE = 64 * 1024
+
+const hasherFor = (operation, algorithm, path) =>
+  mapRej(
+    (e) =>
+      new InvalidArgumentError(
+        `Expected a hash algorithm, like sha256, given ${algorithm}.`,
+        { operation, path, cause: e },
+      ),
+  )(encase(createHash)(algorithm))
+
+// nest `{ path: hash }` by directory, so that each directory can be hashed from its entries
+const toTree = (files) =>
+  reduce(
+    (tree, [path, hash]) => assocPath(path.split(`/`), hash, tree),
+    {},
+    Object.entries(files),
+  )
+
+// a directory's hash covers the name, kind and hash of each of its entries, in name order,
+// so renaming, moving or changing anything within it changes it
+const merkleHash = curry(function _merkleHash(algorithm, tree) {
+  const hash = createHash(algorithm)
+  for (const name of Object.keys(tree).sort()) {
+    const entry = tree[name]
+    const file = typeof entry === `string`
+    const kind = file ? `file` : `directory`
+    const entryHash = file ? entry : merkleHash(algorithm, entry)
+    hash.update(`${kind} ${entryHash} ${name}\n`)
+  }
+  return hash.digest(`hex`)
+})
 
 /**
- * Write to a file, assuming `'utf8'`.
- * Unlike `fs.writeFile`, this will return the written value as a Future-wrapped value.
- * @name writeFile
- * @see {@link writeFileWithConfigAndCancel}
- * @see {@link writeFileWithConfig}
+ * Compare a manifest of `{ path: hash }` with another, listing the paths which were `added`,
+ * `removed` or `changed` in the second one, each in path order, and whether they are the same.
+ * @name diffManifests
+ * @see {@link verifyManifest}
  * @example
  * ```js
- * import { fork } from 'fluture'
- * import { writeFileWithConfig } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   writeFileWithConfig(
- *     'my-file.txt',
- *     'hey I am a file'
- *   )
- * )
+ * import { diffManifests } from 'destined'
+ * diffManifests({ 'a.js': '1', 'b.js': '2' }, { 'b.js': '3', 'c.js': '4' })
+ * // { same: false, added: ['c.js'], removed: ['a.js'], changed: ['b.js'] }
  * ```
  */
-export const writeFile = writeFileWithConfig({ encoding: `utf8` })
+export const diffManifests = curry(function _diffManifests(before, after) {
+  const [kept, added] = partition(
+    (x) => Object.hasOwn(before, x),
+    keys(after).sort(),
+  )
+  const removed = filter((x) => !Object.hasOwn(after, x), keys(before).sort())
+  const changed = filter((x) => before[x] !== after[x], kept)
+  const same = !added.length && !removed.length && !changed.length
+  return { same, added, removed, changed }
+})
 
-/**
- * Remove a file, configurably, with cancellation.
- * Unlike `fs.rm`, this returns the path of the deleted file as a Future-wrapped string.
- * @curried
- *  1. removeFileWithConfigAndCancel - Configuration and cancellation
- *
- *     @example
- *      ```js
- *      import { fork } from 'fluture'
- *      import { removeFileWithConfigAndCancel } from 'destined'
- *
- *      fork(console.warn)(console.log)(
- *        removeFileWithConfigAndCancel(
- *          cancellationFn,
- *          { ...fs.removeFileConfig },
- *          'my-file.txt'
- *        )
- *      )
- *      ```
- *  2. removeFileWithConfig - No config, just cancellation
- *
- *     @example
- *     ```js
- *     import { fork } from 'fluture'
- *     import { removeFileWithConfig } from 'destined'
- *     // [...]
- *     fork(console.warn)(console.log)(
- *       removeFileWithConfig(
- *         { ...fs.removeFileConfig },
- *         'my-file.txt'
- *       )
- *     )
- *     ```
- *
- *  3. removeFile - remove a file. Aliased to `rm`.
- *
- *     @example
- *     ```js
- *     import { fork } from 'fluture'
- *     import { removeFile } from 'destined'
- *     // [...]
- *     fork(console.warn)(console.log)(
- *       removeFile(
- *         'my-file.txt'
- *       )
- *     )
- *     ```
- *
- */
-export const removeFileWithConfigAndCancel = curry(
-  function _removeFileWithConfigAndCancel(cancel, options, fd) {
-    return Future((bad, good) => {
-      fs.rm(fd, options, (err) => (err ? bad(err) : good(fd)))
-      return cancel
-    })
-  },
-)
-export const removeFileWithConfig = removeFileWithConfigAndCancel(NO_OP)
-export const rm = removeFileWithConfig({})
-export const removeFile = rm
-export const rimraf = removeFileWithConfig({ force: true, recursive: true })
+// a candidate which isn't there is skipped, but anything else going wrong is a real failure
+const MISSING_TAGS = [`NotFound`, `NotADirectory`]
+const isMissing = (e) => e == null || MISSING_TAGS.includes(e.tag)
 
-export const DEFAULT_REMOVAL_CONFIG = {
-  force: false,
-  maxRetries: 0,
-  recursive: false,
-  retryDelay: 100,
-  parallel: 10,
-}
+// a fallback has the same shape as anything found, only without a path
+const fallBackTo = (def) =>
+  map(
+    (content) => ({ path: null, content }),
+    isFuture(def) ? def : resolve(def),
+  )
 
 /**
- * Remove multiple files, configurably, with a cancellation function.
- * @name removeFilesWithConfigAndCancel
- * @see {@link removeFilesWithConfig}
- * @see {@link removeFiles}
+ * Find the first of some candidate paths which a given function succeeds upon,
+ * with configuration. The function is given each path and returns a Future, and the result
+ * resolves with `{ path, content }`, where `content` is what the function resolved with.
+ * Candidates are tried one at a time, in order, skipping any which are missing.
+ * If none of them are there, the result falls back to `{ path: null, content: def }`,
+ * where `def` may be a Future of the content instead.
+ * Configuration:
+ *  - `fastest` - try every candidate at once and take whichever is found first, instead
+ * @name findFileWithConfig
+ * @see {@link findFile}
+ * @see {@link readAnyWithConfigAndCancel}
  * @example
  * ```js
  * import { fork } from 'fluture'
- * import { removeFilesWithConfig } from 'destined'
- * // [...]
+ * import { findFileWithConfig, readFile } from 'destined'
  * fork(console.warn)(console.log)(
- *   removeFilesWithConfigAndCancel(
- *     cancellationFn,
- *     { parallel: 30 },
- *     [...list, ...of, ...thirty, ...files]
- *   )
+ *   findFileWithConfig({ fastest: true }, readFile, null, ['.coolrc', 'cool.json'])
  * )
+ * // { path: 'cool.json', content: '{"cool":true}' }
  * ```
  */
-export const removeFilesWithConfigAndCancel = curry(
-  function _removeFilesWithConfigAndCancel(cancel, conf, list) {
+export const findFileWithConfig = curry(
+  function _findFileWithConfig(conf, fn, def, candidates) {
+    const { fastest = false } = conf
+    const found = (x) => map((content) => ({ path: x, content }), fn(x))
+    const recover = (e) => (isMissing(e) ? fallBackTo(def) : reject(e))
+    if (fastest) {
+      return pipe(
+        map(pipe(found, swap)),
+        parallel(Infinity),
+        swap,
+        chainRej((errors) => recover(find(complement(isMissing), errors))),
+      )(candidates)
+    }
+    const orNext = (x) => (e) => (isMissing(e) ? found(x) : reject(e))
     return pipe(
-      map(removeFileWithConfigAndCancel(cancel, without([`parallel`], conf))),
-      parallel(propOr(10, `parallel`, conf)),
-    )(list)
+      reduce((future, x) => chainRej(orNext(x))(future), reject(null)),
+      chainRej(recover),
+    )(candidates)
   },
 )
 
 /**
- * Remove multiple files, configurably.
- * @name removeFilesWithConfig
- * @see {@link removeFilesWithConfigAndCancel}
- * @see {@link removeFiles}
+ * Find the first of some candidate paths which a given function succeeds upon, in order.
+ * @name findFile
+ * @see {@link findFileWithConfig}
  * @example
  * ```js
  * import { fork } from 'fluture'
- * import { DEFAULT_REMOVAL_CONFIG, removeFilesWithConfig } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   removeFilesWithConfig(
- *     DEFAULT_REMOVAL_CONFIG,
- *     [...list, ...of, ...thirty, ...files]
- *   )
- * )
+ * import { findFile, readFile } from 'destined'
+ * fork(console.warn)(console.log)(findFile(readFile, '{}', ['.coolrc', 'cool.json']))
+ * // { path: null, content: '{}' }, when neither of them is there
  * ```
  */
-export const removeFilesWithConfig = removeFilesWithConfigAndCancel(NO_OP)
+export const findFile = findFileWithConfig({})
 
 /**
- * Remove multiple files, configurably.
- * @name removeFilesWithConfig
- * @see {@link removeFilesWithConfigAndCancel}
- * @see {@link removeFiles}
+ * Build the whole Future-wrapped `fs` API over a given `fs` implementation,
+ * instead of `node:fs`. Anything which looks like `node:fs` will do,
+ * e.g. the in-memory backend from {@link createMemoryFs}, so tests can be hermetic.
+ * Streams, watching, archives and scaffolding take the same `fs` as an option instead,
+ * while loading configuration or modules, and `digUp`, always use the disk.
+ * @name destinedWith
+ * @see {@link createMemoryFs}
  * @example
  * ```js
  * import { fork } from 'fluture'
- * import { removeFilesWithConfig } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   removeFilesWithConfig(
- *     [...list, ...of, ...thirty, ...files]
- *   )
- * )
+ * import { createMemoryFs, destinedWith } from 'destined'
+ * const { readFile } = destinedWith(createMemoryFs({ 'cool.txt': 'so cool' }))
+ * fork(console.warn)(console.log)(readFile('cool.txt'))
+ * // so cool
  * ```
  */
-export const removeFiles = removeFilesWithConfig(DEFAULT_REMOVAL_CONFIG)
+export const destinedWith = (fs) => {
+  const { constants } = fs
 
-/**
- * Make a directory, given a cancellation function.
- * Returns a Future-wrapped file path as a discrete value upon success.
- * @name mkdirWithCancel
- * @see {@link mkdir}
- * @see {@link mkdirp}
- * @example
- * ```js
- * import { fork } from 'fluture'
- * import { mkdirWithCancel } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   mkdirWithCancel(
- *     () => {},
- *     {},
- *     'my-dir'
- *   )
- * )
- * ```
- */
-export const mkdirWithCancel = curry(
-  function _mkdirWithCancel(cancel, conf, x) {
+  // internal Future-wrapped versions of the fs primitives we compose with,
+  // whose errors name the path at a given position among their arguments
+  const nodebackAtWithCancel = curry(
+    function _nodebackAtWithCancel(cancel, at, fn) {
+      const futurified = futurify(fn, { cancel, resultMapper: identity })
+      return function nodebackF(...args) {
+        return mapRej(toDestinedError(fn.name, args[at]))(futurified(...args))
+      }
+    },
+  )
+  const nodebackWithCancel = nodebackAtWithCancel($, 0)
+  const nodeback = nodebackWithCancel(NO_OP)
+  const __open = nodeback(fs.open)
+  const __close = nodeback(fs.close)
+  const __copyFile = nodeback(fs.copyFile)
+  const __fsync = nodeback(fs.fsync)
+  const __link = nodeback(fs.link)
+  const __rename = nodeback(fs.rename)
+  const __stat = nodeback(fs.stat)
+  const __unlink = nodeback(fs.unlink)
+  // resolves with the first directory created, or undefined if it already existed
+  const __mkdirp = (dir) => nodeback(fs.mkdir)(dir, { recursive: true })
+
+  // the permission bits of an existing file, or the default for a new one
+  const permissionsOf = pipe(
+    __stat,
+    map((stats) => stats.mode & 0o7777),
+    chainRej(() => resolve(0o666)),
+  )
+
+  /**
+   * Read a file asynchronously as a Future-wrapped value.
+   * Cancelling the Future aborts the underlying read.
+   * @curried
+   *
+   *  1. readFileWithFormatAndCancel - Can be given a file encoding and a cancellation function.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readFile } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       readFileWithFormatAndCancel(() => process.exit(), 'utf8', './README.md')
+   *     )
+   *     ```
+   *
+   *  2. readFileWithCancel - Reads `utf8` files only.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readFile } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       readFileWithCancel(() => process.exit(), './README.md')
+   *     )
+   *     ```
+   *
+   *  3. readFile - Eschews any custom cancellation.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readFile } from 'destined'
+   *     fork(console.warn)(console.log)(readFile('./README.md'))
+   *     ```
+   */
+  const readFileWithFormatAndCancel = curry(
+    function _readFileWithFormatAndCancel(cancel, format, x) {
+      return abortableWithCancel(cancel, (bad, good, signal) => {
+        fs.readFile(x, { encoding: format, signal }, (err, data) =>
+          err ? bad(toDestinedError(`readFile`, x, err)) : good(data),
+        )
+      })
+    },
+  )
+  const readFileWithCancel = readFileWithFormatAndCancel($, `utf8`)
+  const readFile = readFileWithCancel(NO_OP)
+
+  /**
+   * Read a JSON file asynchronously as a Future-wrapped value, given a cancellation function
+   * @name readJSONFileWithCancel
+   * @see {@link readFile}
+   * @see {@link readJSONFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readJSONFile } from 'destined'
+   * fork(console.warn)(console.log)(readJSONFile('./package.json'))
+   * ```
+   */
+  const readJSONFileWithCancel = curry(
+    function _readJSONFileWithCancel(cancel, x) {
+      return pipe(
+        readFileWithCancel(cancel),
+        chain((raw) =>
+          mapRej(toParseError(`readJSONFile`, x))(
+            encase(FORMATS[`.json`].parse)(raw),
+          ),
+        ),
+      )(x)
+    },
+  )
+
+  /**
+   * Read a JSON file asynchronously as a Future-wrapped value
+   * @name readJSONFile
+   * @see {@link readFile}
+   * @see {@link readJSONFileWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readJSONFile } from 'destined'
+   * fork(console.warn)(console.log)(readJSONFile('./package.json'))
+   * ```
+   */
+  const readJSONFile = readJSONFileWithCancel(NO_OP)
+
+  /**
+   * Read a structured file as a Future-wrapped value, with configuration and a cancellation
+   * function. The format is picked by the file's extension, see {@link FORMATS}.
+   * Failing to parse rejects with a `ParseError` which knows the `line` and `column`.
+   * Configuration:
+   *  - `formats` - formats keyed by extension, defaulting to {@link FORMATS}
+   *  - `format` - an extension to use instead of the file's own, e.g. `.json5` for `.babelrc`
+   * @name readStructuredWithConfigAndCancel
+   * @see {@link readStructuredWithConfig}
+   * @see {@link readStructured}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readStructuredWithConfigAndCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   readStructuredWithConfigAndCancel(cancellationFn, { format: '.json5' }, '.babelrc')
+   * )
+   * ```
+   */
+  const readStructuredWithConfigAndCancel = curry(
+    function _readStructuredWithConfigAndCancel(cancel, conf, x) {
+      const { formats = FORMATS, format: extension = null } = conf
+      const format = formatFor(formats, extension, x)
+      if (!format) return reject(unknownFormat(formats, `readStructured`, x))
+      return pipe(
+        readFileWithCancel(cancel),
+        chain((raw) =>
+          mapRej(toParseError(`readStructured`, x))(encase(format.parse)(raw)),
+        ),
+      )(x)
+    },
+  )
+
+  /**
+   * Read a structured file as a Future-wrapped value, with configuration.
+   * @name readStructuredWithConfig
+   * @see {@link readStructuredWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { FORMATS, readStructuredWithConfig } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   readStructuredWithConfig({ formats: { ...FORMATS, '.cool': coolFormat } }, 'x.cool')
+   * )
+   * ```
+   */
+  const readStructuredWithConfig = readStructuredWithConfigAndCancel(NO_OP)
+
+  /**
+   * Read a JSON, JSON5, JSONC, NDJSON, INI, TOML or YAML file as a Future-wrapped value.
+   * @name readStructured
+   * @see {@link readStructuredWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readStructured } from 'destined'
+   * fork(console.warn)(console.log)(readStructured('config/app.yaml'))
+   * ```
+   */
+  const readStructured = readStructuredWithConfig({})
+
+  /**
+   * Read a glob asynchronously as a Future-wrapped value,
+   * with configuration and a cancellation function.
+   * Configuration is passed to [glob](https://www.npmjs.com/package/glob)
+   * and cancelling the Future aborts the glob via its `signal` option.
+   * @name readDirWithConfigAndCancel
+   * @see {@link readDirWithConfig}
+   * @see {@link readDir}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readDirWithConfigAndCancel } from 'destined'
+   * // [...]
+   * pipe(
+   *   fork(console.warn)(console.log)
+   * )(readDirWithConfigAndCancel(cancellationFn, { ignore: ['node_modules/**'] }, 'src/*'))
+   * ```
+   */
+  const readDirWithConfigAndCancel = curry(
+    function _readDirWithConfigAndCancel(cancel, conf, g) {
+      return abortableWithCancel(cancel, (bad, good, signal) => {
+        try {
+          glob(g, { fs, ...conf, signal })
+            .catch((e) => bad(toDestinedError(`readDir`, g, e)))
+            .then(good)
+        } catch (e) {
+          bad(toDestinedError(`readDir`, g, e))
+        }
+      })
+    },
+  )
+
+  /**
+   * Read a glob asynchronously as a Future-wrapped value, with configuration.
+   * Configuration is passed to [glob](https://www.npmjs.com/package/glob)
+   * @name readDirWithConfig
+   * @see {@link readDirWithConfigAndCancel}
+   * @see {@link readDir}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readDirWithConfig } from 'destined'
+   * // [...]
+   * pipe(
+   *   fork(console.warn)(console.log)
+   * )(readDirWithConfig({ ignore: ['node_modules/**'] }, 'src/*'))
+   * ```
+   */
+  const readDirWithConfig = readDirWithConfigAndCancel(NO_OP)
+
+  /**
+   * Read a glob asynchronously as a Future-wrapped value, default config assumed.
+   * Configuration is passed to [glob](https://www.npmjs.com/package/glob)
+   * @name readDir
+   * @see {@link readDirWithConfigAndCancel}
+   * @see {@link readDirWithConfig}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readDir } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(readDir('src/*'))
+   * ```
+   */
+  const readDir = readDirWithConfig({})
+
+  /**
+   * Walk a directory tree, with configuration and a cancellation function.
+   * Unlike {@link readDir}, every entry comes with what is known about it:
+   *  - `path`, `name` and `depth`, where the root's children have a depth of 1
+   *  - `type` - one of `file`, `directory`, `symlink` or `other`
+   *  - `size` and `mtime`
+   *  - `target` - where a symlink points, otherwise `null`
+   *
+   * Entries within each directory are sorted by name. Configuration:
+   *  - `maxDepth` - how deep to go, defaulting to `Infinity`
+   *  - `followSymlinks` - describe and walk into what symlinks point at, instead of the links
+   *    themselves. A directory is never walked into from within itself, so cycles are safe.
+   *  - `prune` - given an entry, whether to skip it along with everything within it
+   *  - `filter` - given an entry, whether to keep it; unlike `prune`, this still walks within
+   *  - `gitignore` - skip anything ignored by `.gitignore` files along the way, and `.git`
+   *  - `output` - `flat` for a list of entries, parents first, or `tree` for the root entry
+   *    with nested `children`, where directories are kept if anything within them is
+   *  - `parallel` - how many entries to look at at once, per directory
+   * @name walkWithConfigAndCancel
+   * @see {@link walkWithConfig}
+   * @see {@link walk}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { walkWithConfigAndCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   walkWithConfigAndCancel(
+   *     cancellationFn,
+   *     { gitignore: true, filter: ({ type }) => type === 'file' },
+   *     'src'
+   *   )
+   * )
+   * // [{ path: 'src/index.js', name: 'index.js', depth: 1, type: 'file', size: 123, ... }]
+   * ```
+   */
+  const walkWithConfigAndCancel = curry(
+    function _walkWithConfigAndCancel(cancel, conf, root) {
+      const {
+        maxDepth = Infinity,
+        followSymlinks = false,
+        prune = F,
+        filter: keep = T,
+        gitignore = false,
+        output = `flat`,
+        parallel: limit = 10,
+      } = conf
+      if (!WALK_OUTPUTS.includes(output)) return reject(badWalkOutput(output))
+      const call = (fn) => nodebackWithCancel(cancel, fn)
+
+      // the .gitignore rules of every directory on the way down
+      const rulesIn = (dir) => {
+        if (!gitignore) return resolve([])
+        return pipe(
+          readFileWithCancel(cancel),
+          map((raw) => [{ base: dir, rules: parseGitignore(raw) }]),
+          chainRej(() => resolve([])),
+        )(join(dir, `.gitignore`))
+      }
+      const ignored = (ruleSets, entry) => {
+        if (!gitignore) return false
+        if (entry.name === `.git`) return true
+        return isIgnoredWithin(ruleSets, entry.path, entry.type === `directory`)
+      }
+      // the real paths of every directory on the way down, when symlinks might loop
+      const realpathsOf = (dir, ancestors) => {
+        if (!followSymlinks) return resolve(ancestors)
+        return map(
+          (real) => (ancestors.includes(real) ? null : [...ancestors, real]),
+          call(fs.realpath)(dir),
+        )
+      }
+
+      // describe a symlink's target when following it, or the symlink itself otherwise
+      const described = (path, stats) => {
+        if (!stats.isSymbolicLink()) return resolve([stats, null])
+        const target = call(fs.readlink)(path)
+        if (!followSymlinks) return map((link) => [stats, link], target)
+        return chain((link) =>
+          pipe(
+            map((followed) => [followed, link]),
+            chainRej(() => resolve([stats, link])),
+          )(call(fs.stat)(path)),
+        )(target)
+      }
+      const entryOf = (path, depth) =>
+        pipe(
+          chain((stats) => described(path, stats)),
+          map(([stats, target]) => ({
+            path,
+            name: basename(path),
+            depth,
+            type: typeOf(stats),
+            size: stats.size,
+            mtime: stats.mtime,
+            target,
+          })),
+        )(call(fs.lstat)(path))
+
+      const descend = (entry, context) => {
+        if (entry.type !== `directory`) return resolve(entry)
+        if (entry.depth >= maxDepth) return resolve({ ...entry, children: [] })
+        return map((children) => ({ ...entry, children }))(
+          visit(entry.path, entry.depth, context),
+        )
+      }
+      const child = (context, depth) => (path) =>
+        chain((entry) => {
+          if (ignored(context.ruleSets, entry) || prune(entry)) {
+            return resolve([])
+          }
+          return map((node) => [node], descend(entry, context))
+        })(entryOf(path, depth))
+      const listing = (dir, depth, context) =>
+        pipe(
+          map(sortBy(identity)),
+          chain((names) =>
+            parallel(limit)(
+              map((name) => child(context, depth + 1)(join(dir, name)), names),
+            ),
+          ),
+          map(unnest),
+        )(call(fs.readdir)(dir))
+      const visit = (dir, depth, { ruleSets, ancestors }) =>
+        chain(([own, realpaths]) => {
+          // a directory which is one of its own ancestors has already been walked
+          if (!realpaths) return resolve([])
+          const context = {
+            ruleSets: [...ruleSets, ...own],
+            ancestors: realpaths,
+          }
+          return listing(dir, depth, context)
+        })(both(rulesIn(dir))(realpathsOf(dir, ancestors)))
+      const walked = visit(root, 0, { ruleSets: [], ancestors: [] })
+
+      if (output === `flat`) return map(flattenWalk(keep), walked)
+      return pipe(
+        chain((entry) => map((children) => ({ ...entry, children }))(walked)),
+        map((tree) => ({ ...tree, children: pruneWalk(keep, tree.children) })),
+      )(entryOf(root, 0))
+    },
+  )
+
+  /**
+   * Walk a directory tree, with configuration.
+   * @name walkWithConfig
+   * @see {@link walkWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { walkWithConfig } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   walkWithConfig({ maxDepth: 2, output: 'tree' }, 'packages')
+   * )
+   * ```
+   */
+  const walkWithConfig = walkWithConfigAndCancel(NO_OP)
+
+  /**
+   * Walk a directory tree into a flat list of entries, parents first.
+   * @name walk
+   * @see {@link walkWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { walk } from 'destined'
+   * fork(console.warn)(console.log)(walk('src'))
+   * ```
+   */
+  const walk = walkWithConfig({})
+
+  // write content to a hidden sibling of a file and fsync it, resolving with the sibling's path.
+  // Cancelling lets the staged write settle and then removes it, so nothing is left behind
+  const stageWithCancel = (cancel, conf, file, content) => {
+    const temp = siblingOf(`tmp`, file)
+    const { mode, ...writeConf } = conf
+    // preserve the permissions of any file we are about to replace
+    const permissions = mode != null ? resolve(mode) : permissionsOf(file)
+    const staging = pipe(
+      chain((fileMode) =>
+        hook(__open(temp, `wx`, fileMode))(__close)((fd) =>
+          pipe(
+            writeFileWithConfig(writeConf, fd),
+            chain(() => __fsync(fd)),
+          )(content),
+        ),
+      ),
+      map(() => temp),
+      chainRej(rejectAfter(__unlink(temp))),
+    )(permissions)
     return Future((bad, good) => {
-      fs.mkdir(x, conf, (err) => (err ? bad(err) : good(x)))
-      return cancel
+      let cancelled = false
+      fork((e) => {
+        if (!cancelled) bad(e)
+      })((x) => {
+        if (cancelled) fork(NO_OP)(NO_OP)(__unlink(x))
+        else good(x)
+      })(staging)
+      return () => {
+        cancelled = true
+        cancel()
+      }
     })
-  },
-)
+  }
 
-/**
- * Make a directory
- * Returns a Future-wrapped file path as a discrete value upon success.
- * @name mkdir
- * @see {@link mkdirWithCancel}
- * @see {@link mkdirp}
- * @example
- * ```js
- * import { fork } from 'fluture'
- * import { mkdir } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   mkdir(
- *     {},
- *     'my-dir'
- *   )
- * )
- * ```
- */
-export const mkdir = mkdirWithCancel(NO_OP)
+  // fsync a directory, so that renames within it survive a crash; not every platform can
+  const syncDirectory = (dir) =>
+    quietly(hook(__open(dir, `r`))(__close)(__fsync))
 
-/**
- * Make a directory, recursively.
- * Returns a Future-wrapped file path as a discrete value upon success.
- * @name mkdirp
- * @see {@link mkdirWithCancel}
- * @see {@link mkdir}
- * @example
- * ```js
- * import { fork } from 'fluture'
- * import { mkdir } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   mkdir(
- *     {},
- *     'my-dir'
- *   )
- * )
- * ```
- */
-export const mkdirp = mkdir({ recursive: true })
+  /**
+   * Write to a file, with configuration and a cancellation function.
+   * Unlike `fs.writeFile`, this will return the written value as a Future-wrapped value.
+   * Cancelling the Future aborts the underlying write.
+   * Passing `{ atomic: true }` writes to a temporary file in the same directory, `fsync`s it
+   * and then renames it over the target, so a crash never leaves a truncated file behind.
+   * Passing `{ retry: policy }` retries failed writes, see {@link retry}.
+   * @name writeFileWithConfigAndCancel
+   * @see {@link writeFileWithConfig}
+   * @see {@link writeFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeFileWithConfig } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   writeFileWithConfigAndCancel(
+   *     cancellationFunction,
+   *     { ...fs.writeFileConfig },
+   *     'my-file.txt',
+   *     'hey I am a file'
+   *   )
+   * )
+   * ```
+   */
+  const writeFileWithConfigAndCancel = curry(
+    function _writeFileWithConfigAndCancel(cancel, conf, file, content) {
+      const { atomic = false, retry: policy = false, ...writeConf } = conf
+      if (policy) {
+        return retry(policy, () =>
+          writeFileWithConfigAndCancel(
+            cancel,
+            { ...conf, retry: false },
+            file,
+            content,
+          ),
+        )
+      }
+      if (atomic) {
+        return pipe(
+          chain((temp) =>
+            chainRej(rejectAfter(__unlink(temp)))(__rename(temp, file)),
+          ),
+          chain(() => syncDirectory(dirname(file))),
+          map(() => content),
+        )(stageWithCancel(cancel, writeConf, file, content))
+      }
+      return abortableWithCancel(cancel, (bad, good, signal) => {
+        fs.writeFile(file, content, { ...writeConf, signal }, (e) => {
+          if (e) {
+            bad(toDestinedError(`writeFile`, file, e))
+            return
+          }
+          good(content)
+        })
+      })
+    },
+  )
 
-export const access = curry(function _access(permissions, filePath) {
-  return Future((bad, good) => {
-    fs.access(filePath, permissions, (err) => (err ? bad(err) : good(true)))
-    return () => {}
+  /**
+   * Write to a file, with configuration.
+   * Unlike `fs.writeFile`, this will return the written value as a Future-wrapped value.
+   * @name writeFileWithConfig
+   * @see {@link writeFileWithConfigAndCancel}
+   * @see {@link writeFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeFileWithConfig } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   writeFileWithConfig(
+   *     { encoding: 'utf8' },
+   *     'my-file.txt',
+   *     'hey I am a file'
+   *   )
+   * )
+   * ```
+   */
+  const writeFileWithConfig = writeFileWithConfigAndCancel(NO_OP)
+
+  /**
+   * Write to a file, assuming `'utf8'`.
+   * Unlike `fs.writeFile`, this will return the written value as a Future-wrapped value.
+   * @name writeFile
+   * @see {@link writeFileWithConfigAndCancel}
+   * @see {@link writeFileWithConfig}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeFileWithConfig } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   writeFileWithConfig(
+   *     'my-file.txt',
+   *     'hey I am a file'
+   *   )
+   * )
+   * ```
+   */
+  const writeFile = writeFileWithConfig({
+    encoding: `utf8`,
+    retry: DEFAULT_RETRY_POLICY,
   })
-})
 
-export const exists = access(constants.F_OK)
-export const readable = access(constants.R_OK)
+  /**
+   * Write a value to a structured file, with configuration and a cancellation function.
+   * The format is picked by the file's extension, see {@link FORMATS}, and the Future
+   * resolves with the value written. Values which cannot be written in that format
+   * reject with an `InvalidArgumentError`. Configuration:
+   *  - `formats` - formats keyed by extension, defaulting to {@link FORMATS}
+   *  - `format` - an extension to use instead of the file's own
+   *  - anything else is passed to {@link writeFileWithConfigAndCancel}
+   * @name writeStructuredWithConfigAndCancel
+   * @see {@link writeStructuredWithConfig}
+   * @see {@link writeStructured}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeStructuredWithConfigAndCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   writeStructuredWithConfigAndCancel(
+   *     cancellationFn,
+   *     { atomic: true },
+   *     'config/app.toml',
+   *     { port: 8080 }
+   *   )
+   * )
+   * ```
+   */
+  const writeStructuredWithConfigAndCancel = curry(
+    function _writeStructuredWithConfigAndCancel(cancel, conf, x, value) {
+      const { formats = FORMATS, format: extension = null, ...writeConf } = conf
+      const format = formatFor(formats, extension, x)
+      if (!format) return reject(unknownFormat(formats, `writeStructured`, x))
+      return pipe(
+        mapRej(
+          (e) =>
+            new InvalidArgumentError(e.message, {
+              operation: `writeStructured`,
+              path: x,
+              cause: e,
+            }),
+        ),
+        chain((raw) =>
+          writeFileWithConfigAndCancel(
+            cancel,
+            { encoding: `utf8`, retry: DEFAULT_RETRY_POLICY, ...writeConf },
+            x,
+            raw,
+          ),
+        ),
+        map(() => value),
+      )(encase(format.stringify)(value))
+    },
+  )
 
-export const directoryOnly = (filePath) =>
-  filePath.slice(0, filePath.lastIndexOf(`/`))
+  /**
+   * Write a value to a structured file, with configuration.
+   * @name writeStructuredWithConfig
+   * @see {@link writeStructuredWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeStructuredWithConfig } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   writeStructuredWithConfig({ format: '.yaml' }, '.coolrc', { cool: true })
+   * )
+   * ```
+   */
+  const writeStructuredWithConfig = writeStructuredWithConfigAndCancel(NO_OP)
 
-/**
- * Write a file to a nested folder and automatically create needed folders, akin to `mkdir -p`
- * @name writeFileWithAutoPath
- * @example
- * ```js
- * import { fork } from 'fluture'
- * import { writeFileWithAutoPath } from 'destined'
- * // [...]
- * fork(console.warn)(console.log)(
- *   writeFileWithAutoPath(
- *     "folders/you/must/exist/file.biz",
- *     "my cool content"
- *   )
- * )
- * ```
- */
-export const writeFileWithAutoPath = curry(
-  function _writeFileWithAutoPath(filePath, content) {
-    return pipe(
-      directoryOnly,
-      (dir) =>
-        pipe(
-          exists,
-          chainRej(() => mkdirp(dir)),
-        )(dir),
-      chain(() => writeFile(filePath, content)),
-    )(filePath)
-  },
-)
+  /**
+   * Write a value to a JSON, JSON5, JSONC, NDJSON, INI, TOML or YAML file.
+   * @name writeStructured
+   * @see {@link writeStructuredWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeStructured } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   writeStructured('config/app.yaml', { port: 8080 })
+   * )
+   * ```
+   */
+  const writeStructured = writeStructuredWithConfig({})
 
-export const ioWithCancel = curry(
-  function _ioWithCancel(cancel, fn, fd, buffer, offset, len, position) {
+  /**
+   * Remove a file, configurably, with cancellation.
+   * Unlike `fs.rm`, this returns the path of the deleted file as a Future-wrapped string.
+   * `fs.rm` takes no `signal`, so cancelling stops any further retries and calls `cancel`,
+   * but a removal which has started still finishes.
+   * Configuration is passed to `fs.rm`, with one addition:
+   *  - `retry` - a policy for retrying failures with a retryable code, like the `EBUSY` a
+   *    file still held open gets, see {@link retry}; defaulting to
+   *    {@link DEFAULT_RETRY_POLICY}, or `false` to fail straight away
+   * @curried
+   *  1. removeFileWithConfigAndCancel - Configuration and cancellation
+   *
+   *     @example
+   *      ```js
+   *      import { fork } from 'fluture'
+   *      import { removeFileWithConfigAndCancel } from 'destined'
+   *
+   *      fork(console.warn)(console.log)(
+   *        removeFileWithConfigAndCancel(
+   *          cancellationFn,
+   *          { ...fs.removeFileConfig },
+   *          'my-file.txt'
+   *        )
+   *      )
+   *      ```
+   *  2. removeFileWithConfig - No config, just cancellation
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { removeFileWithConfig } from 'destined'
+   *     // [...]
+   *     fork(console.warn)(console.log)(
+   *       removeFileWithConfig(
+   *         { ...fs.removeFileConfig },
+   *         'my-file.txt'
+   *       )
+   *     )
+   *     ```
+   *
+   *  3. removeFile - remove a file. Aliased to `rm`.
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { removeFile } from 'destined'
+   *     // [...]
+   *     fork(console.warn)(console.log)(
+   *       removeFile(
+   *         'my-file.txt'
+   *       )
+   *     )
+   *     ```
+   *
+   */
+  const removeFileWithConfigAndCancel = curry(
+    function _removeFileWithConfigAndCancel(cancel, options, fd) {
+      const { retry: policy = DEFAULT_RETRY_POLICY, ...rmOptions } = options
+      const removal = () =>
+        Future((bad, good) => {
+          fs.rm(fd, rmOptions, (err) =>
+            err ? bad(toDestinedError(`removeFile`, fd, err)) : good(fd),
+          )
+          return cancel
+        })
+      return policy ? retry(policy, removal) : removal()
+    },
+  )
+  const removeFileWithConfig = removeFileWithConfigAndCancel(NO_OP)
+  const rm = removeFileWithConfig({})
+  const removeFile = rm
+  const rimraf = removeFileWithConfig({ force: true, recursive: true })
+
+  /**
+   * Remove multiple files, configurably, with a cancellation function.
+   * @name removeFilesWithConfigAndCancel
+   * @see {@link removeFilesWithConfig}
+   * @see {@link removeFiles}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { removeFilesWithConfig } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   removeFilesWithConfigAndCancel(
+   *     cancellationFn,
+   *     { parallel: 30 },
+   *     [...list, ...of, ...thirty, ...files]
+   *   )
+   * )
+   * ```
+   */
+  const removeFilesWithConfigAndCancel = curry(
+    function _removeFilesWithConfigAndCancel(cancel, conf, list) {
+      return pipe(
+        map(removeFileWithConfigAndCancel(cancel, omit([`parallel`], conf))),
+        parallel(propOr(10, `parallel`, conf)),
+      )(list)
+    },
+  )
+
+  /**
+   * Remove multiple files, configurably.
+   * @name removeFilesWithConfig
+   * @see {@link removeFilesWithConfigAndCancel}
+   * @see {@link removeFiles}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { DEFAULT_REMOVAL_CONFIG, removeFilesWithConfig } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   removeFilesWithConfig(
+   *     DEFAULT_REMOVAL_CONFIG,
+   *     [...list, ...of, ...thirty, ...files]
+   *   )
+   * )
+   * ```
+   */
+  const removeFilesWithConfig = removeFilesWithConfigAndCancel(NO_OP)
+
+  /**
+   * Remove multiple files, configurably.
+   * @name removeFilesWithConfig
+   * @see {@link removeFilesWithConfigAndCancel}
+   * @see {@link removeFiles}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { removeFilesWithConfig } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   removeFilesWithConfig(
+   *     [...list, ...of, ...thirty, ...files]
+   *   )
+   * )
+   * ```
+   */
+  const removeFiles = removeFilesWithConfig(DEFAULT_REMOVAL_CONFIG)
+
+  /**
+   * Read many files, a limited number at a time, resolving with their contents keyed by path.
+   * Configuration:
+   *  - `parallel` - how many files to read at once
+   *  - `settle` - when `true`, never fail fast: resolve with `{ ok, failed }`,
+   *    where `ok` holds the contents and `failed` holds the errors, each keyed by path
+   *  - `retry` - a policy for retrying each file, see {@link retry}, or `false`
+   *  - `encoding` - how to read each file, defaults to `utf8`
+   * @curried
+   *
+   *  1. readFilesWithConfigAndCancel - Can be given configuration and a cancellation function.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readFilesWithConfigAndCancel } from 'destined'
+   *     fork(console.warn)(({ ok, failed }) => console.log(ok, failed))(
+   *       readFilesWithConfigAndCancel(
+   *         cancellationFn,
+   *         { parallel: 50, settle: true },
+   *         ['README.md', 'CHANGELOG.md']
+   *       )
+   *     )
+   *     ```
+   *
+   *  2. readFilesWithConfig - Eschews any custom cancellation.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readFilesWithConfig } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       readFilesWithConfig({ encoding: 'latin1' }, ['README.md', 'CHANGELOG.md'])
+   *     )
+   *     ```
+   *
+   *  3. readFiles - Default configuration.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readFiles } from 'destined'
+   *     fork(console.warn)(console.log)(readFiles(['README.md', 'CHANGELOG.md']))
+   *     // { 'README.md': '...', 'CHANGELOG.md': '...' }
+   *     ```
+   */
+  const readFilesWithConfigAndCancel = curry(
+    function _readFilesWithConfigAndCancel(cancel, conf, paths) {
+      const { encoding = `utf8` } = conf
+      return bulkWithConfig(
+        conf,
+        readFileWithFormatAndCancel(cancel, encoding),
+        paths,
+      )
+    },
+  )
+  const readFilesWithConfig = readFilesWithConfigAndCancel(NO_OP)
+  const readFiles = readFilesWithConfig(DEFAULT_BULK_CONFIG)
+
+  /**
+   * Read and parse many JSON files, a limited number at a time,
+   * resolving with their values keyed by path.
+   * Configuration is the same as {@link readFilesWithConfigAndCancel}.
+   * @curried
+   *
+   *  1. readJSONFilesWithConfigAndCancel - Can be given configuration and a cancellation function.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readJSONFilesWithConfigAndCancel } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       readJSONFilesWithConfigAndCancel(cancellationFn, { parallel: 50 }, manifests)
+   *     )
+   *     ```
+   *
+   *  2. readJSONFilesWithConfig - Eschews any custom cancellation.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { readJSONFilesWithConfig } from 'destined'
+   *     fork(console.warn)(({ ok, failed }) => console.log(ok, failed))(
+   *       readJSONFilesWithConfig({ settle: true }, manifests)
+   *     )
+   *     ```
+   *
+   *  3. readJSONFiles - Default configuration.
+   *     @example
+   *     ```js
+   *     import { fork, chain } from 'fluture'
+   *     import { readDir, readJSONFiles } from 'destined'
+   *     pipe(
+   *       chain(readJSONFiles),
+   *       fork(console.warn)(console.log)
+   *     )(readDir('packages/*\/package.json'))
+   *     ```
+   */
+  const readJSONFilesWithConfigAndCancel = curry(
+    function _readJSONFilesWithConfigAndCancel(cancel, conf, paths) {
+      return bulkWithConfig(conf, readJSONFileWithCancel(cancel), paths)
+    },
+  )
+  const readJSONFilesWithConfig = readJSONFilesWithConfigAndCancel(NO_OP)
+  const readJSONFiles = readJSONFilesWithConfig(DEFAULT_BULK_CONFIG)
+
+  /**
+   * Write many files, a limited number at a time,
+   * given an object of contents keyed by path and resolving with the same.
+   * Configuration is the same as {@link readFilesWithConfigAndCancel}, and anything else
+   * (e.g. `encoding` or `atomic`) is passed to {@link writeFileWithConfigAndCancel}.
+   * @curried
+   *
+   *  1. writeFilesWithConfigAndCancel - Can be given configuration and a cancellation function.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { writeFilesWithConfigAndCancel } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       writeFilesWithConfigAndCancel(
+   *         cancellationFn,
+   *         { atomic: true, parallel: 5 },
+   *         { 'a.txt': 'alpha', 'b.txt': 'beta' }
+   *       )
+   *     )
+   *     ```
+   *
+   *  2. writeFilesWithConfig - Eschews any custom cancellation.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { writeFilesWithConfig } from 'destined'
+   *     fork(console.warn)(({ ok, failed }) => console.log(ok, failed))(
+   *       writeFilesWithConfig({ settle: true }, { 'a.txt': 'alpha', 'b.txt': 'beta' })
+   *     )
+   *     ```
+   *
+   *  3. writeFiles - Default configuration, assuming `utf8`.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { writeFiles } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       writeFiles({ 'a.txt': 'alpha', 'b.txt': 'beta' })
+   *     )
+   *     ```
+   */
+  const writeFilesWithConfigAndCancel = curry(
+    function _writeFilesWithConfigAndCancel(cancel, conf, files) {
+      const writeConf = { encoding: `utf8`, ...omit(BULK_KEYS, conf) }
+      return bulkWithConfig(
+        conf,
+        (path) =>
+          writeFileWithConfigAndCancel(cancel, writeConf, path, files[path]),
+        keys(files),
+      )
+    },
+  )
+  const writeFilesWithConfig = writeFilesWithConfigAndCancel(NO_OP)
+  const writeFiles = writeFilesWithConfig(DEFAULT_BULK_CONFIG)
+
+  /**
+   * Stat many files, a limited number at a time, resolving with their `fs.Stats` keyed by path.
+   * Configuration is the same as {@link readFilesWithConfigAndCancel}, without `encoding`.
+   * @curried
+   *
+   *  1. statFilesWithConfigAndCancel - Can be given configuration and a cancellation function.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { statFilesWithConfigAndCancel } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       statFilesWithConfigAndCancel(cancellationFn, { parallel: 50 }, ['src', 'dist'])
+   *     )
+   *     ```
+   *
+   *  2. statFilesWithConfig - Eschews any custom cancellation.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { statFilesWithConfig } from 'destined'
+   *     fork(console.warn)(({ ok, failed }) => console.log(ok, failed))(
+   *       statFilesWithConfig({ settle: true }, ['src', 'dist'])
+   *     )
+   *     ```
+   *
+   *  3. statFiles - Default configuration.
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { statFiles } from 'destined'
+   *     fork(console.warn)(console.log)(statFiles(['src', 'dist']))
+   *     ```
+   */
+  const statFilesWithConfigAndCancel = curry(
+    function _statFilesWithConfigAndCancel(cancel, conf, paths) {
+      return bulkWithConfig(conf, nodebackWithCancel(cancel, fs.stat), paths)
+    },
+  )
+  const statFilesWithConfig = statFilesWithConfigAndCancel(NO_OP)
+  const statFiles = statFilesWithConfig(DEFAULT_BULK_CONFIG)
+
+  /**
+   * Make a directory, given a cancellation function.
+   * Returns a Future-wrapped file path as a discrete value upon success.
+   * `fs.mkdir` can't be aborted, so cancelling only calls `cancel`.
+   * @name mkdirWithCancel
+   * @see {@link mkdir}
+   * @see {@link mkdirp}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { mkdirWithCancel } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   mkdirWithCancel(
+   *     () => {},
+   *     {},
+   *     'my-dir'
+   *   )
+   * )
+   * ```
+   */
+  const mkdirWithCancel = curry(function _mkdirWithCancel(cancel, conf, x) {
     return Future((bad, good) => {
-      fn(fd, buffer, offset, len, position, (e, bytes, buff) =>
-        e ? bad(e) : good(bytes, buff),
+      fs.mkdir(x, conf, (err) =>
+        err ? bad(toDestinedError(`mkdir`, x, err)) : good(x),
       )
       return cancel
     })
-  },
-)
+  })
 
-export const io = ioWithCancel(NO_OP)
+  /**
+   * Make a directory
+   * Returns a Future-wrapped file path as a discrete value upon success.
+   * @name mkdir
+   * @see {@link mkdirWithCancel}
+   * @see {@link mkdirp}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { mkdir } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   mkdir(
+   *     {},
+   *     'my-dir'
+   *   )
+   * )
+   * ```
+   */
+  const mkdir = mkdirWithCancel(NO_OP)
 
-export const read = io(fs.read)
-export const write = io(fs.write)
+  /**
+   * Make a directory, recursively.
+   * Returns a Future-wrapped file path as a discrete value upon success.
+   * @name mkdirp
+   * @see {@link mkdirWithCancel}
+   * @see {@link mkdir}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { mkdir } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   mkdir(
+   *     {},
+   *     'my-dir'
+   *   )
+   * )
+   * ```
+   */
+  const mkdirp = mkdir({ recursive: true })
 
-export const findFile = curry(function _findFile(fn, def, x) {
-  return pipe(
-    map(pipe(fn, mapRej(F))),
-    reduce((a, b) => (isFuture(a) ? race(a)(b) : b), def),
-  )(x)
-})
+  // make a temporary directory and give `fn` a path in it, removing it afterwards
+  const withTempWithCancel = (cancel, conf, toPath, fn) => {
+    const { dir, prefix, keepOnFailure } = { ...DEFAULT_TEMP_CONFIG, ...conf }
+    const acquire = map(
+      (tempDir) => ({ tempDir, failed: false }),
+      nodebackWithCancel(cancel, fs.mkdtemp)(join(dir, prefix)),
+    )
+    // the disposal can't tell how things went, so the consumption marks a failure
+    const consume = (temp) =>
+      mapRej((e) => {
+        temp.failed = true
+        return e
+      })(fn(toPath(temp.tempDir)))
+    const dispose = ({ tempDir, failed }) =>
+      failed && keepOnFailure ? resolve(tempDir) : rimraf(tempDir)
+    return hook(acquire)(dispose)(consume)
+  }
 
-export const readAnyOr = curry(function _readAnyOr(def, format, x) {
-  return findFile(readFile, def, x)
-})
+  /**
+   * Make a temporary directory, give its path to a Future-returning function and remove it
+   * afterwards, with configuration and a cancellation function.
+   * The directory is removed however the function's Future ends: when it resolves,
+   * when it rejects and when it is cancelled. Configuration:
+   *  - `dir` - where to make the temporary directory, defaulting to `os.tmpdir()`
+   *  - `prefix` - what its name starts with, defaulting to `destined-`
+   *  - `keepOnFailure` - leave it behind when the function's Future rejects, for debugging
+   * @name withTempDirWithConfigAndCancel
+   * @see {@link withTempDirWithConfig}
+   * @see {@link withTempDir}
+   * @see {@link DEFAULT_TEMP_CONFIG}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { withTempDirWithConfigAndCancel, writeFile } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withTempDirWithConfigAndCancel(
+   *     cancellationFunction,
+   *     { prefix: 'build-', keepOnFailure: true },
+   *     (dir) => writeFile(`${dir}/index.js`, 'export default 1'),
+   *   ),
+   * )
+   * ```
+   */
+  const withTempDirWithConfigAndCancel = curry(
+    function _withTempDirWithConfigAndCancel(cancel, conf, fn) {
+      return withTempWithCancel(cancel, conf, identity, fn)
+    },
+  )
+
+  /**
+   * Make a temporary directory, give its path to a Future-returning function and remove it
+   * afterwards, with configuration.
+   * @name withTempDirWithConfig
+   * @see {@link withTempDirWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { withTempDirWithConfig, writeFile } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withTempDirWithConfig({ dir: 'scratch' }, (dir) =>
+   *     writeFile(`${dir}/index.js`, 'export default 1'),
+   *   ),
+   * )
+   * ```
+   */
+  const withTempDirWithConfig = withTempDirWithConfigAndCancel(NO_OP)
+
+  /**
+   * Make a temporary directory in `os.tmpdir()`, give its path to a Future-returning function
+   * and remove it afterwards.
+   * @name withTempDir
+   * @see {@link withTempDirWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { chain, fork } from 'fluture'
+   * import { readFile, withTempDir, writeFile } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withTempDir((dir) =>
+   *     chain(() => readFile(`${dir}/cool.txt`))(
+   *       writeFile(`${dir}/cool.txt`, 'so cool'),
+   *     ),
+   *   ),
+   * )
+   * // so cool
+   * ```
+   */
+  const withTempDir = withTempDirWithConfig({})
+
+  /**
+   * Give a Future-returning function the path of a temporary file and remove it afterwards,
+   * with configuration and a cancellation function.
+   * The file isn't made: it is a path called `name` (defaulting to `tmp`) in a fresh
+   * temporary directory, so nothing else can be using it, and the whole directory is removed
+   * afterwards. Otherwise the configuration is the same as
+   * {@link withTempDirWithConfigAndCancel}'s.
+   * @name withTempFileWithConfigAndCancel
+   * @see {@link withTempFileWithConfig}
+   * @see {@link withTempFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { withTempFileWithConfigAndCancel, writeStructured } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withTempFileWithConfigAndCancel(
+   *     cancellationFunction,
+   *     { name: 'config.yaml' },
+   *     (file) => writeStructured(file, { cool: true }),
+   *   ),
+   * )
+   * ```
+   */
+  const withTempFileWithConfigAndCancel = curry(
+    function _withTempFileWithConfigAndCancel(cancel, conf, fn) {
+      const { name = `tmp`, ...tempConf } = conf
+      return withTempWithCancel(cancel, tempConf, (dir) => join(dir, name), fn)
+    },
+  )
+
+  /**
+   * Give a Future-returning function the path of a temporary file and remove it afterwards,
+   * with configuration.
+   * @name withTempFileWithConfig
+   * @see {@link withTempFileWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { withTempFileWithConfig, writeFile } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withTempFileWithConfig({ name: 'notes.md' }, (file) =>
+   *     writeFile(file, '# cool'),
+   *   ),
+   * )
+   * ```
+   */
+  const withTempFileWithConfig = withTempFileWithConfigAndCancel(NO_OP)
+
+  /**
+   * Give a Future-returning function the path of a temporary file in `os.tmpdir()`
+   * and remove it afterwards.
+   * @name withTempFile
+   * @see {@link withTempFileWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { chain, fork } from 'fluture'
+   * import { readFile, withTempFile, writeFile } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withTempFile((file) =>
+   *     chain(() => readFile(file))(writeFile(file, 'so cool')),
+   *   ),
+   * )
+   * // so cool
+   * ```
+   */
+  const withTempFile = withTempFileWithConfig({})
+
+  const access = curry(function _access(permissions, filePath) {
+    return Future((bad, good) => {
+      fs.access(filePath, permissions, (err) =>
+        err ? bad(toDestinedError(`access`, filePath, err)) : good(true),
+      )
+      return () => {}
+    })
+  })
+
+  // a check which resolves `false` rather than rejecting
+  const check = (future) => coalesce(F)(T)(future)
+
+  /**
+   * Whether a path exists, as a Future-wrapped boolean.
+   * @name exists
+   * @see {@link readable}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { exists } from 'destined'
+   * fork(console.warn)(console.log)(exists('package.json'))
+   * // true
+   * ```
+   */
+  const exists = (x) => check(access(constants.F_OK, x))
 
-export const readAny = readAnyOr(null)
+  /**
+   * Whether a path can be read, as a Future-wrapped boolean.
+   * @name readable
+   * @see {@link writable}
+   * @see {@link executable}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readable } from 'destined'
+   * fork(console.warn)(console.log)(readable('package.json'))
+   * ```
+   */
+  const readable = (x) => check(access(constants.R_OK, x))
 
-export const requireAnyOr = findFile(readable)
+  /**
+   * Whether a path can be written to, as a Future-wrapped boolean.
+   * @name writable
+   * @see {@link readable}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writable } from 'destined'
+   * fork(console.warn)(console.log)(writable('dist'))
+   * ```
+   */
+  const writable = (x) => check(access(constants.W_OK, x))
+
+  /**
+   * Whether a path can be executed, as a Future-wrapped boolean.
+   * @name executable
+   * @see {@link readable}
+   * @see {@link chmod}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { executable } from 'destined'
+   * fork(console.warn)(console.log)(executable('bin/cool.js'))
+   * ```
+   */
+  const executable = (x) => check(access(constants.X_OK, x))
+
+  /**
+   * Get the `fs.Stats` of a path, following symlinks, given a cancellation function.
+   * @name statWithCancel
+   * @see {@link stat}
+   * @see {@link lstatWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { statWithCancel } from 'destined'
+   * fork(console.warn)(({ size }) => console.log(size))(
+   *   statWithCancel(cancellationFn, 'package.json')
+   * )
+   * ```
+   */
+  const statWithCancel = curry(function _statWithCancel(cancel, x) {
+    return nodebackWithCancel(cancel, fs.stat)(x)
+  })
+  const stat = statWithCancel(NO_OP)
+
+  /**
+   * Get the `fs.Stats` of a path without following symlinks, given a cancellation function.
+   * @name lstatWithCancel
+   * @see {@link lstat}
+   * @see {@link statWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { lstatWithCancel } from 'destined'
+   * fork(console.warn)((stats) => console.log(stats.isSymbolicLink()))(
+   *   lstatWithCancel(cancellationFn, 'node_modules/.bin/cool')
+   * )
+   * ```
+   */
+  const lstatWithCancel = curry(function _lstatWithCancel(cancel, x) {
+    return nodebackWithCancel(cancel, fs.lstat)(x)
+  })
+  const lstat = lstatWithCancel(NO_OP)
+
+  // whether a path is there and its stats satisfy a predicate, as a Future-wrapped boolean
+  const statIs = curry(function _statIs(getStats, predicate, x) {
+    return coalesce(F)(predicate)(getStats(x))
+  })
+
+  /**
+   * Whether a path is a file, following symlinks, as a Future-wrapped boolean.
+   * Paths which don't exist aren't files.
+   * @name isFile
+   * @see {@link isDirectory}
+   * @see {@link isSymlink}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { isFile } from 'destined'
+   * fork(console.warn)(console.log)(isFile('package.json'))
+   * // true
+   * ```
+   */
+  const isFile = statIs(stat, (stats) => stats.isFile())
+
+  /**
+   * Whether a path is a directory, following symlinks, as a Future-wrapped boolean.
+   * @name isDirectory
+   * @see {@link isFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { isDirectory } from 'destined'
+   * fork(console.warn)(console.log)(isDirectory('src'))
+   * ```
+   */
+  const isDirectory = statIs(stat, (stats) => stats.isDirectory())
+
+  /**
+   * Whether a path is a symlink, as a Future-wrapped boolean.
+   * @name isSymlink
+   * @see {@link readlink}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { isSymlink } from 'destined'
+   * fork(console.warn)(console.log)(isSymlink('node_modules/.bin/cool'))
+   * ```
+   */
+  const isSymlink = statIs(lstat, (stats) => stats.isSymbolicLink())
+
+  /**
+   * Change the permissions of a path, given a cancellation function.
+   * The mode can be a number or an octal string, and the Future resolves with the path.
+   * @name chmodWithCancel
+   * @see {@link chmod}
+   * @see {@link executable}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { chmodWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   chmodWithCancel(cancellationFn, 0o755, 'bin/cool.js')
+   * )
+   * ```
+   */
+  const chmodWithCancel = curry(function _chmodWithCancel(cancel, mode, x) {
+    return map(() => x, nodebackWithCancel(cancel, fs.chmod)(x, mode))
+  })
+
+  /**
+   * Change the permissions of a path, resolving with the path.
+   * @name chmod
+   * @see {@link chmodWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { chmod } from 'destined'
+   * fork(console.warn)(console.log)(chmod('755', 'bin/cool.js'))
+   * ```
+   */
+  const chmod = chmodWithCancel(NO_OP)
+
+  /**
+   * Change the owning user and group of a path, given a cancellation function.
+   * Resolves with the path.
+   * @name chownWithCancel
+   * @see {@link chown}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { chownWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   chownWithCancel(cancellationFn, 1000, 1000, 'dist')
+   * )
+   * ```
+   */
+  const chownWithCancel = curry(function _chownWithCancel(cancel, uid, gid, x) {
+    return map(() => x, nodebackWithCancel(cancel, fs.chown)(x, uid, gid))
+  })
+  const chown = chownWithCancel(NO_OP)
+
+  /**
+   * Make a symlink at a path, pointing at a target, given a cancellation function.
+   * As with `ln -s`, a relative target is relative to the symlink, not the working directory.
+   * Resolves with the path of the symlink.
+   * @name symlinkWithCancel
+   * @see {@link symlink}
+   * @see {@link readlink}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { symlinkWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   symlinkWithCancel(cancellationFn, '../lib/cli.js', 'bin/cool')
+   * )
+   * ```
+   */
+  const symlinkWithCancel = curry(
+    function _symlinkWithCancel(cancel, target, x) {
+      return map(
+        () => x,
+        nodebackAtWithCancel(cancel, 1, fs.symlink)(target, x),
+      )
+    },
+  )
+  const symlink = symlinkWithCancel(NO_OP)
+
+  /**
+   * Read where a symlink points, given a cancellation function.
+   * @name readlinkWithCancel
+   * @see {@link readlink}
+   * @see {@link realpathWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readlinkWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(readlinkWithCancel(cancellationFn, 'bin/cool'))
+   * // ../lib/cli.js
+   * ```
+   */
+  const readlinkWithCancel = curry(function _readlinkWithCancel(cancel, x) {
+    return nodebackWithCancel(cancel, fs.readlink)(x)
+  })
+  const readlink = readlinkWithCancel(NO_OP)
+
+  /**
+   * Resolve a path to an absolute one without any symlinks, given a cancellation function.
+   * @name realpathWithCancel
+   * @see {@link realpath}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { realpathWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(realpathWithCancel(cancellationFn, 'bin/cool'))
+   * // /home/me/cool/lib/cli.js
+   * ```
+   */
+  const realpathWithCancel = curry(function _realpathWithCancel(cancel, x) {
+    return nodebackWithCancel(cancel, fs.realpath)(x)
+  })
+  const realpath = realpathWithCancel(NO_OP)
+
+  /**
+   * Resolve a path to an absolute one without any symlinks, given a cancellation function,
+   * even when it doesn't exist yet. Unlike {@link realpath}, the deepest part of the path which
+   * exists is resolved and the rest is put back on the end, following any dangling symlinks
+   * on the way, so this says where a file would end up if it were written.
+   * @name resolveRealWithCancel
+   * @see {@link resolveReal}
+   * @see {@link safeJoin}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { resolveRealWithCancel } from 'destined'
+   * // where `build` is a symlink to `/tmp/build`
+   * fork(console.warn)(console.log)(
+   *   resolveRealWithCancel(cancellationFunction, 'build/not/yet/there.js'),
+   * )
+   * // /tmp/build/not/yet/there.js
+   * ```
+   */
+  const resolveRealWithCancel = curry(
+    function _resolveRealWithCancel(cancel, x) {
+      const parent = dirname(x)
+      const resolveParent = () =>
+        map(
+          (real) => join(real, basename(x)),
+          resolveRealWithCancel(cancel, parent),
+        )
+      // a dangling symlink is followed to wherever it would make its target
+      const resolveDangling = (stats) => {
+        if (!stats.isSymbolicLink()) return resolveParent()
+        return chain((target) =>
+          resolveRealWithCancel(cancel, resolvePath(parent, target)),
+        )(readlinkWithCancel(cancel, x))
+      }
+      return chainRej((e) => {
+        if (e.tag !== `NotFound` || parent === x) return reject(e)
+        return chain(resolveDangling)(
+          chainRej(() => resolve({ isSymbolicLink: F }))(
+            lstatWithCancel(cancel, x),
+          ),
+        )
+      })(realpathWithCancel(cancel, x))
+    },
+  )
+
+  /**
+   * Resolve a path to an absolute one without any symlinks, even when it doesn't exist yet.
+   * @name resolveReal
+   * @see {@link resolveRealWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { resolveReal } from 'destined'
+   * fork(console.warn)(console.log)(resolveReal('build/index.js'))
+   * ```
+   */
+  const resolveReal = resolveRealWithCancel(NO_OP)
+
+  const outsideRoot = (root, x) =>
+    new OutsideRootError(`Expected a path within ${root}, given ${x}.`, {
+      operation: `safeJoin`,
+      path: x,
+      dest: root,
+    })
+
+  /**
+   * Join a path onto a root directory, given a cancellation function, rejecting with an
+   * `OutsideRootError` when the result would be outside of the root, whether through `..`,
+   * an absolute path or any symlink along the way. This is for paths from somewhere which
+   * can't be trusted, like a plugin's manifest, and it resolves with the joined path.
+   * The path doesn't need to exist, see {@link resolveReal}.
+   * @name safeJoinWithCancel
+   * @see {@link safeJoin}
+   * @see {@link isWithin}
+   * @example
+   * ```js
+   * import { chain, fork } from 'fluture'
+   * import { readFile, safeJoinWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   chain(readFile)(
+   *     safeJoinWithCancel(cancellationFunction, 'plugins/cool', manifest.main),
+   *   ),
+   * )
+   * ```
+   */
+  const safeJoinWithCancel = curry(
+    function _safeJoinWithCancel(cancel, root, x) {
+      const joined = join(root, x)
+      if (isAbsolute(x) || !isWithin(root, joined)) {
+        return reject(outsideRoot(root, x))
+      }
+      return chain(([realRoot, real]) =>
+        isWithin(realRoot, real)
+          ? resolve(joined)
+          : reject(outsideRoot(root, x)),
+      )(
+        both(resolveRealWithCancel(cancel, root))(
+          resolveRealWithCancel(cancel, joined),
+        ),
+      )
+    },
+  )
+
+  /**
+   * Join a path onto a root directory, rejecting with an `OutsideRootError` when the result
+   * would be outside of the root, even through a symlink.
+   * @name safeJoin
+   * @see {@link safeJoinWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { safeJoin } from 'destined'
+   * fork((e) => console.log(e.tag))(console.log)(
+   *   safeJoin('plugins/cool', '../../../etc/passwd'),
+   * )
+   * // OutsideRoot
+   * ```
+   */
+  const safeJoin = safeJoinWithCancel(NO_OP)
+
+  /**
+   * Change the access and modification times of a path, given a cancellation function.
+   * Times can be `Date`s or seconds since the epoch, and the Future resolves with the path.
+   * @name utimesWithCancel
+   * @see {@link utimes}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { utimesWithCancel } from 'destined'
+   * const now = new Date()
+   * fork(console.warn)(console.log)(
+   *   utimesWithCancel(cancellationFn, now, now, 'dist/index.js')
+   * )
+   * ```
+   */
+  const utimesWithCancel = curry(
+    function _utimesWithCancel(cancel, atime, mtime, x) {
+      return map(
+        () => x,
+        nodebackWithCancel(cancel, fs.utimes)(x, atime, mtime),
+      )
+    },
+  )
+  const utimes = utimesWithCancel(NO_OP)
+
+  /**
+   * Cut a file down (or pad it with zeroes) to a length in bytes, given a cancellation function.
+   * Resolves with the path.
+   * @name truncateWithCancel
+   * @see {@link truncate}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { truncateWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   truncateWithCancel(cancellationFn, 0, 'logs/debug.log')
+   * )
+   * ```
+   */
+  const truncateWithCancel = curry(
+    function _truncateWithCancel(cancel, len, x) {
+      return map(() => x, nodebackWithCancel(cancel, fs.truncate)(x, len))
+    },
+  )
+  const truncate = truncateWithCancel(NO_OP)
+
+  // the directories which would need to be made for a given one to exist, outermost first
+  const missingDirectories = (dir) =>
+    chain((present) => {
+      const parent = dirname(dir)
+      if (present || parent === dir) return resolve([])
+      return map((missing) => [...missing, dir], missingDirectories(parent))
+    })(exists(dir))
+
+  /**
+   * Write a file to a nested folder and automatically create needed folders, akin to `mkdir -p`,
+   * with configuration and a cancellation function. The configuration is the same as
+   * {@link writeFileWithConfigAndCancel}'s, so writes can be `atomic`, for instance.
+   * Resolves with the directories which were made, outermost first, followed by the file.
+   * Folders are split from the path as {@link directoryOnly} does, so outside of Windows
+   * `dist\\assets\\app.css` is a single file named just that.
+   * @name writeFileWithAutoPathAndConfigAndCancel
+   * @see {@link writeFileWithAutoPathAndConfig}
+   * @see {@link writeFileWithAutoPath}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeFileWithAutoPathAndConfigAndCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   writeFileWithAutoPathAndConfigAndCancel(
+   *     cancellationFunction,
+   *     { atomic: true },
+   *     'dist/assets/app.css',
+   *     'body { color: hotpink; }',
+   *   ),
+   * )
+   * // ['dist', 'dist/assets', 'dist/assets/app.css']
+   * ```
+   */
+  const writeFileWithAutoPathAndConfigAndCancel = curry(
+    function _writeFileWithAutoPathAndConfigAndCancel(
+      cancel,
+      conf,
+      filePath,
+      content,
+    ) {
+      const dir = directoryOnly(filePath)
+      const writeThen = (made) =>
+        map(
+          () => [...made, filePath],
+          writeFileWithConfigAndCancel(cancel, conf, filePath, content),
+        )
+      return chain((made) => {
+        if (!made.length) return writeThen(made)
+        return chain(() => writeThen(made))(
+          mkdirWithCancel(cancel, { recursive: true }, dir),
+        )
+      })(missingDirectories(dir))
+    },
+  )
+
+  /**
+   * Write a file to a nested folder and automatically create needed folders, with configuration.
+   * @name writeFileWithAutoPathAndConfig
+   * @see {@link writeFileWithAutoPathAndConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeFileWithAutoPathAndConfig } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   writeFileWithAutoPathAndConfig(
+   *     { encoding: 'latin1' },
+   *     'legacy/export.csv',
+   *     'café,crème',
+   *   ),
+   * )
+   * ```
+   */
+  const writeFileWithAutoPathAndConfig = curry(
+    function _writeFileWithAutoPathAndConfig(conf, filePath, content) {
+      return writeFileWithAutoPathAndConfigAndCancel(
+        NO_OP,
+        conf,
+        filePath,
+        content,
+      )
+    },
+  )
+
+  /**
+   * Write a file to a nested folder and automatically create needed folders, akin to `mkdir -p`
+   * @name writeFileWithAutoPath
+   * @see {@link writeFileWithAutoPathAndConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeFileWithAutoPath } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   writeFileWithAutoPath(
+   *     "folders/you/must/exist/file.biz",
+   *     "my cool content"
+   *   )
+   * )
+   * ```
+   */
+  const writeFileWithAutoPath = writeFileWithAutoPathAndConfig({})
+
+  /**
+   * Append to a file, creating it and any folders it needs first.
+   * Resolves with the directories which were made, outermost first, followed by the file.
+   * @name appendFileWithAutoPath
+   * @see {@link writeFileWithAutoPath}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { appendFileWithAutoPath } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   appendFileWithAutoPath('logs/2024/build.log', 'built in 3s\n'),
+   * )
+   * ```
+   */
+  const appendFileWithAutoPath = writeFileWithAutoPathAndConfig({ flag: `a` })
+
+  /**
+   * Write a value to a file as pretty-printed JSON with a trailing newline, creating any
+   * folders it needs first.
+   * Resolves with the directories which were made, outermost first, followed by the file.
+   * @name writeJSONFileWithAutoPath
+   * @see {@link writeFileWithAutoPath}
+   * @see {@link readJSONFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { writeJSONFileWithAutoPath } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   writeJSONFileWithAutoPath('dist/manifest.json', { name: 'cool' }),
+   * )
+   * ```
+   */
+  const writeJSONFileWithAutoPath = curry(
+    function _writeJSONFileWithAutoPath(filePath, value) {
+      return writeFileWithAutoPath(filePath, FORMATS[`.json`].stringify(value))
+    },
+  )
+
+  // keep what a file holds before it is replaced: a hard link where we can, a copy otherwise,
+  // resolving with null when there is nothing to keep
+  const backUp = (file) => {
+    const backup = siblingOf(`bak`, file)
+    return pipe(
+      chainRej((e) =>
+        e.code === `ENOENT` ? reject(e) : __copyFile(file, backup),
+      ),
+      map(() => backup),
+      chainRej((e) => (e.code === `ENOENT` ? resolve(null) : reject(e))),
+    )(__link(file, backup))
+  }
+
+  // rename a staged file straight over its target, so that readers always see one or the other
+  const commitStaged = ({ file, temp }) =>
+    chain((backup) =>
+      pipe(
+        map(() => ({ file, backup })),
+        chainRej(rejectAfter(backup ? __unlink(backup) : resolve())),
+      )(__rename(temp, file)),
+    )(backUp(file))
+
+  // put back every backup, remove every file which didn't exist before
+  // and clean up any leftover staged files or created directories
+  const rollback = curry(function _rollback(staged, committed, e) {
+    return pipe(
+      map(({ file, backup }) =>
+        quietly(backup ? __rename(backup, file) : __unlink(file)),
+      ),
+      (undo) => [
+        ...undo,
+        ...pipe(
+          filter(({ temp }) => temp),
+          map(({ temp }) => quietly(__unlink(temp))),
+        )(staged),
+      ],
+      parallel(Infinity),
+      chain(() =>
+        pipe(
+          filter(Boolean),
+          map((dir) => quietly(rimraf(dir))),
+          parallel(Infinity),
+        )(map(propOr(null, `created`), staged)),
+      ),
+      chain(() => reject(e)),
+    )(committed)
+  })
+
+  // commit staged files one at a time, rolling everything back at the first failure
+  const commitAll = (staged) =>
+    pipe(
+      reduce(
+        (future, entry) =>
+          chain((committed) =>
+            pipe(
+              map((x) => [...committed, x]),
+              chainRej(rollback(staged, committed)),
+            )(commitStaged(entry)),
+          )(future),
+        resolve([]),
+      ),
+      chain((committed) =>
+        pipe(
+          filter(({ backup }) => backup),
+          map(({ backup }) => quietly(__unlink(backup))),
+          (removals) => [
+            ...removals,
+            ...map(
+              syncDirectory,
+              uniq(map(({ file }) => dirname(file), committed)),
+            ),
+          ],
+          parallel(Infinity),
+          map(() => map(({ file }) => file, committed)),
+        )(committed),
+      ),
+    )(staged)
+
+  /**
+   * Write many files as a single unit, with configuration and a cancellation function.
+   * Every file is staged next to its target and `fsync`ed, then each is renamed straight over
+   * its target, so readers only ever see a file's old or new content, and the directories are
+   * `fsync`ed afterwards. If any write fails, every file is rolled back to its previous state.
+   * Cancelling while staging removes whatever was staged.
+   * Configuration is passed to `writeFileWithConfig`, with a few additions:
+   *  - `autoPath` - create any missing directories, akin to `mkdirp`; they are removed on rollback
+   *  - `parallel` - how many files to stage at once
+   * @name transactionWithConfigAndCancel
+   * @see {@link transactionWithConfig}
+   * @see {@link transaction}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { transactionWithConfigAndCancel } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   transactionWithConfigAndCancel(
+   *     cancellationFn,
+   *     { encoding: 'utf8', autoPath: true },
+   *     [
+   *       ['packages/cool/package.json', '{"name": "cool"}'],
+   *       ['packages/cool/index.js', 'export default "cool"'],
+   *     ]
+   *   )
+   * )
+   * ```
+   */
+  const transactionWithConfigAndCancel = curry(
+    function _transactionWithConfigAndCancel(cancel, conf, writes) {
+      const { autoPath = false, parallel: limit = 10, ...writeConf } = conf
+      const stage = ([file, content]) =>
+        pipe(
+          chain((created) =>
+            coalesce((error) => ({ file, created, error }))((temp) => ({
+              file,
+              temp,
+              created,
+            }))(stageWithCancel(cancel, writeConf, file, content)),
+          ),
+          chainRej((error) => resolve({ file, error })),
+        )(autoPath ? __mkdirp(dirname(file)) : resolve(undefined))
+      return pipe(
+        map(stage),
+        parallel(limit),
+        chain((staged) => {
+          const failure = staged.find(({ error }) => error)
+          if (failure) return rollback(staged, [], failure.error)
+          return commitAll(staged)
+        }),
+      )(writes)
+    },
+  )
+
+  /**
+   * Write many files as a single unit, with configuration.
+   * @name transactionWithConfig
+   * @see {@link transactionWithConfigAndCancel}
+   * @see {@link transaction}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { transactionWithConfig } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   transactionWithConfig({ autoPath: true }, [
+   *     ['dist/index.js', compiled],
+   *     ['dist/index.js.map', sourceMap],
+   *   ])
+   * )
+   * ```
+   */
+  const transactionWithConfig = transactionWithConfigAndCancel(NO_OP)
+
+  /**
+   * Write many `utf8` files as a single unit: either every file is written or none of them are.
+   * Resolves with the list of written paths.
+   * @name transaction
+   * @see {@link transactionWithConfigAndCancel}
+   * @see {@link transactionWithConfig}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { transaction } from 'destined'
+   * // [...]
+   * fork(console.warn)(console.log)(
+   *   transaction([
+   *     ['a.json', '{"a": 1}'],
+   *     ['b.json', '{"b": 2}'],
+   *   ])
+   * )
+   * ```
+   */
+  const transaction = transactionWithConfig({ encoding: `utf8` })
+
+  /**
+   * Copy a file, configurably, with cancellation.
+   * Resolves with the list of paths it wrote to, which is empty when the copy was skipped.
+   * The `conflict` policy decides what happens when the destination already exists:
+   *  - `overwrite` - replace it (the default)
+   *  - `skip` - leave it alone
+   *  - `error` - reject with an `EEXIST` error
+   * @curried
+   *  1. copyFileWithConfigAndCancel - Configuration and cancellation
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { copyFileWithConfigAndCancel } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       copyFileWithConfigAndCancel(cancellationFn, { conflict: 'skip' }, 'a.txt', 'b.txt')
+   *     )
+   *     ```
+   *  2. copyFileWithConfig - No cancellation, just config
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { copyFileWithConfig } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       copyFileWithConfig({ conflict: 'error' }, 'a.txt', 'b.txt')
+   *     )
+   *     ```
+   *  3. copyFile - Copy a file, overwriting the destination.
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { copyFile } from 'destined'
+   *     fork(console.warn)(console.log)(copyFile('a.txt', 'b.txt'))
+   *     ```
+   */
+  const copyFileWithConfigAndCancel = curry(
+    function _copyFileWithConfigAndCancel(cancel, conf, from, to) {
+      const { conflict } = { ...DEFAULT_COPY_CONFIG, ...conf }
+      return Future((bad, good) => {
+        if (!CONFLICT_POLICIES.includes(conflict)) {
+          bad(badConflictPolicy(`copyFile`, conflict))
+          return cancel
+        }
+        const mode = conflict === `overwrite` ? 0 : constants.COPYFILE_EXCL
+        fs.copyFile(from, to, mode, (e) => {
+          if (!e) return good([to])
+          if (e.code === `EEXIST` && conflict === `skip`) return good([])
+          bad(toDestinedError(`copyFile`, from, e))
+        })
+        return cancel
+      })
+    },
+  )
+  const copyFileWithConfig = copyFileWithConfigAndCancel(NO_OP)
+  const copyFile = copyFileWithConfig(DEFAULT_COPY_CONFIG)
+
+  /**
+   * Copy a directory recursively, configurably, with cancellation.
+   * Resolves with the list of paths it wrote to:
+   * every directory it created and every file it copied.
+   * Configuration:
+   *  - `conflict` - what to do when a file already exists, see {@link copyFile}
+   *  - `filter` - a predicate given each path relative to the source; falsy values are not copied.
+   *    A directory is still made when a file within it is kept, so a filter can be
+   *    written for files alone, like `(x) => x.endsWith('.js')`
+   *  - `ignore` - glob patterns to skip, as in {@link readDirWithConfig}
+   *  - `parallel` - how many files to copy at once
+   * @curried
+   *  1. copyDirWithConfigAndCancel - Configuration and cancellation
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { copyDirWithConfigAndCancel } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       copyDirWithConfigAndCancel(
+   *         cancellationFn,
+   *         { ignore: ['node_modules/**'], filter: (x) => !x.endsWith('.log') },
+   *         'packages/template',
+   *         'packages/new-package'
+   *       )
+   *     )
+   *     ```
+   *  2. copyDirWithConfig - No cancellation, just config
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { copyDirWithConfig } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       copyDirWithConfig({ conflict: 'skip' }, 'static', 'dist/static')
+   *     )
+   *     ```
+   *  3. copyDir - Copy a directory, overwriting any existing files.
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { copyDir } from 'destined'
+   *     fork(console.warn)(console.log)(copyDir('static', 'dist/static'))
+   *     ```
+   */
+  const copyDirWithConfigAndCancel = curry(
+    function _copyDirWithConfigAndCancel(cancel, conf, from, to) {
+      const {
+        conflict,
+        filter: keep,
+        ignore,
+        parallel: limit,
+      } = { ...DEFAULT_COPY_CONFIG, ...conf }
+      // directories are made one at a time so that each resolves with itself if it was created
+      const makeDirectories = reduce(
+        (future, dir) =>
+          chain((made) =>
+            map((first) => (first ? [...made, first] : made), __mkdirp(dir)),
+          )(future),
+        resolve([]),
+      )
+      const copyFiles = pipe(
+        map((file) =>
+          copyFileWithConfigAndCancel(
+            cancel,
+            { conflict },
+            join(from, file),
+            join(to, file),
+          ),
+        ),
+        parallel(limit),
+        map(unnest),
+      )
+      const notADirectory = () =>
+        new NotADirectoryError(`ENOTDIR: not a directory, scandir '${from}'`, {
+          operation: `copyDir`,
+          path: from,
+          code: `ENOTDIR`,
+        })
+      return pipe(
+        chain((stats) =>
+          stats.isDirectory() ? resolve(`**/*`) : reject(notADirectory()),
+        ),
+        chain(
+          readDirWithConfigAndCancel(cancel, {
+            cwd: from,
+            dot: true,
+            ignore,
+            mark: true,
+            posix: true,
+          }),
+        ),
+        map(
+          pipe(
+            sortBy(identity),
+            partition((x) => MARKED_DIRECTORY.test(x)),
+            ([dirs, files]) => {
+              const kept = filter(keep, files)
+              // a directory is made if it is kept itself or if a kept file needs it
+              const needed = (dir) =>
+                keep(unmark(dir)) || kept.some((file) => file.startsWith(dir))
+              return [filter(needed, dirs), kept]
+            },
+          ),
+        ),
+        chain(([dirs, files]) =>
+          pipe(
+            makeDirectories,
+            chain((made) =>
+              map((copied) => [...made, ...copied], copyFiles(files)),
+            ),
+          )([to, ...map((dir) => join(to, unmark(dir)), dirs)]),
+        ),
+      )(__stat(from))
+    },
+  )
+  const copyDirWithConfig = copyDirWithConfigAndCancel(NO_OP)
+  const copyDir = copyDirWithConfig(DEFAULT_COPY_CONFIG)
+
+  /**
+   * Move a file or directory, configurably, with cancellation.
+   * When the destination is on another device, this falls back to copying and then removing.
+   * Resolves with the list of paths it wrote to, which is empty when the move was skipped.
+   * The `conflict` policy behaves as it does in {@link copyFile}, except that `overwrite`
+   * only replaces a file with a file or a directory with an empty one: moving a file over
+   * a directory, or a directory over a file, rejects with an `InvalidArgumentError`.
+   * @curried
+   *  1. moveWithConfigAndCancel - Configuration and cancellation
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { moveWithConfigAndCancel } from 'destined'
+   *     fork(console.warn)(console.log)(
+   *       moveWithConfigAndCancel(cancellationFn, { conflict: 'error' }, 'build', '/mnt/build')
+   *     )
+   *     ```
+   *  2. moveWithConfig - No cancellation, just config
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { moveWithConfig } from 'destined'
+   *     fork(console.warn)(console.log)(moveWithConfig({ conflict: 'skip' }, 'a.txt', 'b.txt'))
+   *     ```
+   *  3. move - Move a file or directory, overwriting the destination.
+   *
+   *     @example
+   *     ```js
+   *     import { fork } from 'fluture'
+   *     import { move } from 'destined'
+   *     fork(console.warn)(console.log)(move('a.txt', 'b.txt'))
+   *     ```
+   */
+  const moveWithConfigAndCancel = curry(
+    function _moveWithConfigAndCancel(cancel, conf, from, to) {
+      const config = { ...DEFAULT_COPY_CONFIG, ...conf }
+      const { conflict } = config
+      if (!CONFLICT_POLICIES.includes(conflict)) {
+        return reject(badConflictPolicy(`move`, conflict))
+      }
+      const copyThenRemove = pipe(
+        chain((stats) =>
+          stats.isDirectory()
+            ? copyDirWithConfigAndCancel(cancel, config, from, to)
+            : copyFileWithConfigAndCancel(cancel, config, from, to),
+        ),
+        chain((copied) => map(() => copied, rimraf(from))),
+      )
+      const rename = pipe(
+        map(() => [to]),
+        chainRej((e) =>
+          e.code === `EXDEV` ? copyThenRemove(__stat(from)) : reject(e),
+        ),
+      )
+      // a destination which isn't there has nothing to be replaced
+      const lstatIfThere = (x) =>
+        chainRej((e) => (isMissing(e) ? resolve(null) : reject(e)))(
+          lstatWithCancel(cancel, x),
+        )
+      if (conflict === `overwrite`) {
+        return chain(([fromStats, toStats]) => {
+          if (toStats && toStats.isDirectory() !== fromStats.isDirectory()) {
+            return reject(cannotReplace(`move`, from, to, fromStats, toStats))
+          }
+          return rename(nodebackWithCancel(cancel, fs.rename)(from, to))
+        })(both(lstatWithCancel(cancel, from))(lstatIfThere(to)))
+      }
+      return chain((present) => {
+        if (!present)
+          return rename(nodebackWithCancel(cancel, fs.rename)(from, to))
+        if (conflict === `skip`) return resolve([])
+        return reject(alreadyExists(`move`, from, to))
+      })(exists(to))
+    },
+  )
+  const moveWithConfig = moveWithConfigAndCancel(NO_OP)
+  const move = moveWithConfig(DEFAULT_COPY_CONFIG)
+
+  /**
+   * Read from an open file descriptor, resolving with `{ bytesRead, buffer }`.
+   * Given a `position`, it reads from there; given `null`, it reads on from wherever
+   * the descriptor is up to.
+   * @name read
+   * @see {@link withFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { read, withFile } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withFile('logo.png', 'r', (fd) => read(fd, Buffer.alloc(8), 0, 8, 0))
+   * )
+   * ```
+   */
+  const read = io(fs.read)
+
+  /**
+   * Write to an open file descriptor, resolving with `{ bytesRead, buffer }`,
+   * where `bytesRead` is how many bytes were written.
+   * @name write
+   * @see {@link withFile}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { withFile, write } from 'destined'
+   * const header = Buffer.from('cool')
+   * fork(console.warn)(console.log)(
+   *   withFile('cool.bin', 'r+', (fd) => write(fd, header, 0, header.length, 0))
+   * )
+   * ```
+   */
+  const write = io(fs.write)
+
+  /**
+   * Open a file, give its descriptor to a Future-returning function and close it afterwards,
+   * with a cancellation function. The file is closed however the function's Future ends:
+   * when it resolves, when it rejects and when it is cancelled.
+   * The flags are the same as `fs.open`'s, e.g. `r` to read or `r+` to read and write.
+   * @name withFileWithCancel
+   * @see {@link withFile}
+   * @see {@link read}
+   * @see {@link write}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { read, withFileWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   withFileWithCancel(cancellationFunction, 'logo.png', 'r', (fd) =>
+   *     read(fd, Buffer.alloc(8), 0, 8, 0),
+   *   ),
+   * )
+   * ```
+   */
+  const withFileWithCancel = curry(
+    function _withFileWithCancel(cancel, x, flags, fn) {
+      return hook(nodebackWithCancel(cancel, fs.open)(x, flags))(__close)(fn)
+    },
+  )
+
+  /**
+   * Open a file, give its descriptor to a Future-returning function and close it afterwards,
+   * eschewing any custom cancellation.
+   * @name withFile
+   * @see {@link withFileWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { map } from 'ramda'
+   * import { read, withFile } from 'destined'
+   * // the 4 bytes at offset 16 of a PNG are its width
+   * fork(console.warn)(console.log)(
+   *   withFile('logo.png', 'r', (fd) =>
+   *     map(
+   *       ({ buffer }) => buffer.readUInt32BE(0),
+   *       read(fd, Buffer.alloc(4), 0, 4, 16),
+   *     ),
+   *   ),
+   * )
+   * ```
+   */
+  const withFile = withFileWithCancel(NO_OP)
+
+  // feed a file to a hash a chunk at a time, from a given position until the end
+  const digestWithCancel = (cancel, hash, fd, buffer, position) =>
+    chain(({ bytesRead }) => {
+      if (bytesRead === 0) return resolve(hash.digest(`hex`))
+      hash.update(buffer.subarray(0, bytesRead))
+      return digestWithCancel(cancel, hash, fd, buffer, position + bytesRead)
+    })(ioWithCancel(cancel, fs.read, fd, buffer, 0, buffer.length, position))
+
+  /**
+   * Hash the content of a file, given a cancellation function, resolving with a hex digest.
+   * The file is read a chunk at a time, so it never needs to fit in memory, and the algorithm
+   * is anything `crypto.createHash` understands, like `sha256` or `md5`.
+   * An unknown algorithm rejects with an `InvalidArgumentError`.
+   * @name hashFileWithCancel
+   * @see {@link hashFile}
+   * @see {@link hashTree}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { hashFileWithCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   hashFileWithCancel(cancellationFunction, 'sha256', 'dist/app.js'),
+   * )
+   * ```
+   */
+  const hashFileWithCancel = curry(
+    function _hashFileWithCancel(cancel, algorithm, x) {
+      return chain((hash) =>
+        withFileWithCancel(cancel, x, `r`, (fd) =>
+          digestWithCancel(cancel, hash, fd, Buffer.alloc(HASH_CHUNK_SIZE), 0),
+        ),
+      )(hasherFor(`hashFile`, algorithm, x))
+    },
+  )
+
+  /**
+   * Hash the content of a file, resolving with a hex digest.
+   * @name hashFile
+   * @see {@link hashFileWithCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { hashFile } from 'destined'
+   * fork(console.warn)(console.log)(hashFile('sha256', 'package.json'))
+   * ```
+   */
+  const hashFile = hashFileWithCancel(NO_OP)
+
+  /**
+   * Hash every file a glob matches, and the whole tree of them, with configuration and a
+   * cancellation function. Resolves with `{ hash, files }`, where `files` is a manifest of
+   * `{ path: hash }`, with paths as the glob found them (relative to its `cwd`) and `/` as
+   * the separator whatever the platform. The `hash` covers every path and its content,
+   * Merkle-style: each directory is hashed from the names and hashes of what is in it,
+   * so the same paths with the same content always give the same hash, in any order.
+   * Configuration is passed to [glob](https://www.npmjs.com/package/glob), which only finds
+   * files, along with:
+   *  - `parallel` - how many files to hash at once, defaulting to 10
+   * @name hashTreeWithConfigAndCancel
+   * @see {@link hashTreeWithConfig}
+   * @see {@link hashTree}
+   * @see {@link verifyManifest}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { hashTreeWithConfigAndCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   hashTreeWithConfigAndCancel(
+   *     cancellationFunction,
+   *     { ignore: ['**\/*.map'], parallel: 4 },
+   *     'sha256',
+   *     'dist/**',
+   *   ),
+   * )
+   * // { hash: '3b5d…', files: { 'dist/app.js': '9f86…', 'dist/index.html': 'e3b0…' } }
+   * ```
+   */
+  const hashTreeWithConfigAndCancel = curry(
+    function _hashTreeWithConfigAndCancel(cancel, conf, algorithm, g) {
+      const { parallel: limit = 10, ...globConf } = conf
+      // glob gives paths relative to its `cwd`, which is where they are read from,
+      // unless it was asked for absolute ones
+      const hashOne = (x) =>
+        map(
+          (hash) => [toPosix(x), hash],
+          hashFileWithCancel(
+            cancel,
+            algorithm,
+            isAbsolute(x) ? x : join(globConf.cwd ?? ``, x),
+          ),
+        )
+      return pipe(
+        chain(() =>
+          readDirWithConfigAndCancel(cancel, { ...globConf, nodir: true }, g),
+        ),
+        chain((paths) => parallel(limit)(map(hashOne, paths))),
+        map((pairs) => {
+          const files = fromPairs(sortBy(([x]) => x, pairs))
+          return { hash: merkleHash(algorithm, toTree(files)), files }
+        }),
+      )(hasherFor(`hashTree`, algorithm, g))
+    },
+  )
+
+  /**
+   * Hash every file a glob matches, and the whole tree of them, with configuration.
+   * @name hashTreeWithConfig
+   * @see {@link hashTreeWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { hashTreeWithConfig } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   hashTreeWithConfig({ cwd: 'dist' }, 'sha256', '**'),
+   * )
+   * ```
+   */
+  const hashTreeWithConfig = hashTreeWithConfigAndCancel(NO_OP)
+
+  /**
+   * Hash every file a glob matches, and the whole tree of them.
+   * @name hashTree
+   * @see {@link hashTreeWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { hashTree } from 'destined'
+   * fork(console.warn)(({ hash }) => console.log(hash))(hashTree('sha256', 'src/**'))
+   * ```
+   */
+  const hashTree = hashTreeWithConfig({})
+
+  /**
+   * Check the files a glob matches against a JSON manifest of `{ path: hash }`, like the
+   * `files` from {@link hashTree}, with configuration and a cancellation function.
+   * Resolves with what is different now, see {@link diffManifests}:
+   * `{ same, added, removed, changed }`. Configuration is the same as
+   * {@link hashTreeWithConfigAndCancel}'s.
+   * @name verifyManifestWithConfigAndCancel
+   * @see {@link verifyManifestWithConfig}
+   * @see {@link verifyManifest}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { verifyManifestWithConfigAndCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   verifyManifestWithConfigAndCancel(
+   *     cancellationFunction,
+   *     { ignore: ['**\/*.map'] },
+   *     'sha256',
+   *     '.cache/dist.json',
+   *     'dist/**',
+   *   ),
+   * )
+   * // { same: false, added: [], removed: [], changed: ['dist/app.js'] }
+   * ```
+   */
+  const verifyManifestWithConfigAndCancel = curry(
+    function _verifyManifestWithConfigAndCancel(
+      cancel,
+      conf,
+      algorithm,
+      manifest,
+      g,
+    ) {
+      return map(
+        ([before, { files }]) => diffManifests(before, files),
+        both(readJSONFileWithCancel(cancel, manifest))(
+          hashTreeWithConfigAndCancel(cancel, conf, algorithm, g),
+        ),
+      )
+    },
+  )
+
+  /**
+   * Check the files a glob matches against a JSON manifest of `{ path: hash }`,
+   * with configuration.
+   * @name verifyManifestWithConfig
+   * @see {@link verifyManifestWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { verifyManifestWithConfig } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   verifyManifestWithConfig({ cwd: 'dist' }, 'sha256', '../manifest.json', '**'),
+   * )
+   * ```
+   */
+  const verifyManifestWithConfig = verifyManifestWithConfigAndCancel(NO_OP)
+
+  /**
+   * Check the files a glob matches against a JSON manifest of `{ path: hash }`.
+   * @name verifyManifest
+   * @see {@link verifyManifestWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { verifyManifest } from 'destined'
+   * fork(console.warn)(({ same }) => console.log(same ? 'cached' : 'rebuild'))(
+   *   verifyManifest('sha256', '.cache/src.json', 'src/**'),
+   * )
+   * ```
+   */
+  const verifyManifest = verifyManifestWithConfig({})
+
+  // modules are always loaded from disk, so check for them first to skip missing ones
+  const fromDisk = (load) => (x) =>
+    chain(() => load(x))(access(constants.F_OK, x))
+  const loadersWithCancel = (cancel, encoding) => ({
+    read: readFileWithFormatAndCancel(cancel, encoding),
+    json: readJSONFileWithCancel(cancel),
+    structured: readStructuredWithConfigAndCancel(cancel, {}),
+    import: fromDisk((x) =>
+      interpretWithCancel(cancel, pathToFileURL(resolvePath(x)).href),
+    ),
+    require: fromDisk((x) =>
+      demandWithConfigAndCancel(cancel, {}, resolvePath(x)),
+    ),
+    module: fromDisk(loadModuleWithConfigAndCancel(cancel, {})),
+  })
+
+  const badLoader = (names, loader) =>
+    new InvalidArgumentError(
+      `Expected loader to be a function or one of ${names.join(`, `)}, given ${loader}.`,
+      { operation: `readAny` },
+    )
+
+  // named after the most preferred candidate, with every one of them alongside
+  const nothingFound = (operation, candidates) =>
+    Object.assign(
+      new NotFoundError(
+        `ENOENT: none of these exist, ${operation} '${candidates.join(`', '`)}'`,
+        { operation, path: candidates[0] ?? null, code: `ENOENT` },
+      ),
+      { candidates },
+    )
+
+  /**
+   * Load the first of some candidate paths which exists, with configuration and a
+   * cancellation function. Candidates are tried in order, so the answer is always the most
+   * preferred one, and the result resolves with `{ path, content }`.
+   * If none of the candidates exist, it rejects with a `NotFoundError`, whose `path` is the
+   * first candidate and whose `candidates` are all of them; a candidate which exists but fails
+   * to load rejects with that failure instead of being skipped.
+   * Configuration:
+   *  - `loader` - how to load a candidate, one of:
+   *    - `read` - read it as text in the given `encoding`, the default
+   *    - `json` - read it as JSON, see {@link readJSONFile}
+   *    - `structured` - read it by extension, see {@link readStructured}
+   *    - `import` / `require` - load it as a module, always from disk
+   *    - `module` - import or require it the same way Node would, see {@link loadModule}
+   *    - a function from a path to a Future
+   *  - `encoding` - for the `read` loader, defaulting to `utf8`
+   *  - `fastest` - take whichever candidate is found first rather than the first in order
+   * @name readAnyWithConfigAndCancel
+   * @see {@link readAnyWithConfig}
+   * @see {@link readAny}
+   * @see {@link findFileWithConfig}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readAnyWithConfigAndCancel } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   readAnyWithConfigAndCancel(
+   *     cancellationFn,
+   *     { loader: 'module' },
+   *     ['cool.config.mjs', 'cool.config.js']
+   *   )
+   * )
+   * // { path: 'cool.config.js', content: { cool: true } }
+   * ```
+   */
+  const readAnyWithConfigAndCancel = curry(
+    function _readAnyWithConfigAndCancel(cancel, conf, candidates) {
+      const { loader = `read`, encoding = `utf8`, fastest = false } = conf
+      const loaders = loadersWithCancel(cancel, encoding)
+      const load = typeof loader === `function` ? loader : loaders[loader]
+      if (!load) return reject(badLoader(keys(loaders), loader))
+      return findFileWithConfig(
+        { fastest },
+        load,
+        reject(nothingFound(`readAny`, candidates)),
+        candidates,
+      )
+    },
+  )
+
+  /**
+   * Load the first of some candidate paths which exists, with configuration.
+   * @name readAnyWithConfig
+   * @see {@link readAnyWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readAnyWithConfig } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   readAnyWithConfig({ loader: 'structured' }, ['cool.yaml', 'cool.toml', 'cool.json'])
+   * )
+   * ```
+   */
+  const readAnyWithConfig = readAnyWithConfigAndCancel(NO_OP)
+
+  /**
+   * Read the first of some candidate paths which exists, as `utf8` text.
+   * @name readAny
+   * @see {@link readAnyWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readAny } from 'destined'
+   * fork(console.warn)(console.log)(readAny(['.coolrc', 'cool.config.js']))
+   * // { path: '.coolrc', content: '{"cool":true}' }
+   * ```
+   */
+  const readAny = readAnyWithConfig({})
+
+  /**
+   * Read the first of some candidate paths which exists, in a given encoding,
+   * falling back to `{ path: null, content: def }` when none of them do.
+   * @name readAnyOr
+   * @see {@link readAnyWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { readAnyOr } from 'destined'
+   * fork(console.warn)(console.log)(readAnyOr(null, 'base64', ['logo.png', 'logo.jpg']))
+   * ```
+   */
+  const readAnyOr = curry(function _readAnyOr(def, encoding, x) {
+    return findFile(readFileWithFormatAndCancel(NO_OP, encoding), def, x)
+  })
+
+  /**
+   * Load the first of some candidate modules which exists, falling back to
+   * `{ path: null, content: def }` when none of them do. Modules are imported or required
+   * the same way Node would.
+   * @name requireAnyOr
+   * @see {@link readAnyWithConfigAndCancel}
+   * @example
+   * ```js
+   * import { fork } from 'fluture'
+   * import { requireAnyOr } from 'destined'
+   * fork(console.warn)(console.log)(
+   *   requireAnyOr({}, ['cool.config.js', 'cool.config.cjs'])
+   * )
+   * // { path: 'cool.config.cjs', content: { cool: true } }
+   * ```
+   */
+  const requireAnyOr = curry(function _requireAnyOr(def, x) {
+    return findFile(loadersWithCancel(NO_OP, `utf8`).module, def, x)
+  })
+
+  return {
+    readFileWithFormatAndCancel,
+    readFileWithCancel,
+    readFile,
+    readJSONFileWithCancel,
+    readJSONFile,
+    readStructuredWithConfigAndCancel,
+    readStructuredWithConfig,
+    readStructured,
+    readDirWithConfigAndCancel,
+    readDirWithConfig,
+    readDir,
+    walkWithConfigAndCancel,
+    walkWithConfig,
+    walk,
+    writeFileWithConfigAndCancel,
+    writeFileWithConfig,
+    writeFile,
+    writeStructuredWithConfigAndCancel,
+    writeStructuredWithConfig,
+    writeStructured,
+    removeFileWithConfigAndCancel,
+    removeFileWithConfig,
+    rm,
+    removeFile,
+    rimraf,
+    removeFilesWithConfigAndCancel,
+    removeFilesWithConfig,
+    removeFiles,
+    readFilesWithConfigAndCancel,
+    readFilesWithConfig,
+    readFiles,
+    readJSONFilesWithConfigAndCancel,
+    readJSONFilesWithConfig,
+    readJSONFiles,
+    writeFilesWithConfigAndCancel,
+    writeFilesWithConfig,
+    writeFiles,
+    statFilesWithConfigAndCancel,
+    statFilesWithConfig,
+    statFiles,
+    mkdirWithCancel,
+    mkdir,
+    mkdirp,
+    withTempDirWithConfigAndCancel,
+    withTempDirWithConfig,
+    withTempDir,
+    withTempFileWithConfigAndCancel,
+    withTempFileWithConfig,
+    withTempFile,
+    access,
+    exists,
+    readable,
+    writable,
+    executable,
+    statWithCancel,
+    stat,
+    lstatWithCancel,
+    lstat,
+    isFile,
+    isDirectory,
+    isSymlink,
+    chmodWithCancel,
+    chmod,
+    chownWithCancel,
+    chown,
+    symlinkWithCancel,
+    symlink,
+    readlinkWithCancel,
+    readlink,
+    realpathWithCancel,
+    realpath,
+    resolveRealWithCancel,
+    resolveReal,
+    safeJoinWithCancel,
+    safeJoin,
+    utimesWithCancel,
+    utimes,
+    truncateWithCancel,
+    truncate,
+    writeFileWithAutoPathAndConfigAndCancel,
+    writeFileWithAutoPathAndConfig,
+    writeFileWithAutoPath,
+    appendFileWithAutoPath,
+    writeJSONFileWithAutoPath,
+    transactionWithConfigAndCancel,
+    transactionWithConfig,
+    transaction,
+    copyFileWithConfigAndCancel,
+    copyFileWithConfig,
+    copyFile,
+    copyDirWithConfigAndCancel,
+    copyDirWithConfig,
+    copyDir,
+    moveWithConfigAndCancel,
+    moveWithConfig,
+    move,
+    read,
+    write,
+    withFileWithCancel,
+    withFile,
+    hashFileWithCancel,
+    hashFile,
+    hashTreeWithConfigAndCancel,
+    hashTreeWithConfig,
+    hashTree,
+    verifyManifestWithConfigAndCancel,
+    verifyManifestWithConfig,
+    verifyManifest,
+    readAnyWithConfigAndCancel,
+    readAnyWithConfig,
+    readAny,
+    readAnyOr,
+    requireAnyOr,
+  }
+}
+
+// the API over `node:fs`, bound under other names first so that nothing in the factory is shadowed
+const {
+  readFileWithFormatAndCancel: nodeReadFileWithFormatAndCancel,
+  readFileWithCancel: nodeReadFileWithCancel,
+  readFile: nodeReadFile,
+  readJSONFileWithCancel: nodeReadJSONFileWithCancel,
+  readJSONFile: nodeReadJSONFile,
+  readStructuredWithConfigAndCancel: nodeReadStructuredWithConfigAndCancel,
+  readStructuredWithConfig: nodeReadStructuredWithConfig,
+  readStructured: nodeReadStructured,
+  readDirWithConfigAndCancel: nodeReadDirWithConfigAndCancel,
+  readDirWithConfig: nodeReadDirWithConfig,
+  readDir: nodeReadDir,
+  walkWithConfigAndCancel: nodeWalkWithConfigAndCancel,
+  walkWithConfig: nodeWalkWithConfig,
+  walk: nodeWalk,
+  writeFileWithConfigAndCancel: nodeWriteFileWithConfigAndCancel,
+  writeFileWithConfig: nodeWriteFileWithConfig,
+  writeFile: nodeWriteFile,
+  writeStructuredWithConfigAndCancel: nodeWriteStructuredWithConfigAndCancel,
+  writeStructuredWithConfig: nodeWriteStructuredWithConfig,
+  writeStructured: nodeWriteStructured,
+  removeFileWithConfigAndCancel: nodeRemoveFileWithConfigAndCancel,
+  removeFileWithConfig: nodeRemoveFileWithConfig,
+  rm: nodeRm,
+  removeFile: nodeRemoveFile,
+  rimraf: nodeRimraf,
+  removeFilesWithConfigAndCancel: nodeRemoveFilesWithConfigAndCancel,
+  removeFilesWithConfig: nodeRemoveFilesWithConfig,
+  removeFiles: nodeRemoveFiles,
+  readFilesWithConfigAndCancel: nodeReadFilesWithConfigAndCancel,
+  readFilesWithConfig: nodeReadFilesWithConfig,
+  readFiles: nodeReadFiles,
+  readJSONFilesWithConfigAndCancel: nodeReadJSONFilesWithConfigAndCancel,
+  readJSONFilesWithConfig: nodeReadJSONFilesWithConfig,
+  readJSONFiles: nodeReadJSONFiles,
+  writeFilesWithConfigAndCancel: nodeWriteFilesWithConfigAndCancel,
+  writeFilesWithConfig: nodeWriteFilesWithConfig,
+  writeFiles: nodeWriteFiles,
+  statFilesWithConfigAndCancel: nodeStatFilesWithConfigAndCancel,
+  statFilesWithConfig: nodeStatFilesWithConfig,
+  statFiles: nodeStatFiles,
+  mkdirWithCancel: nodeMkdirWithCancel,
+  mkdir: nodeMkdir,
+  mkdirp: nodeMkdirp,
+  withTempDirWithConfigAndCancel: nodeWithTempDirWithConfigAndCancel,
+  withTempDirWithConfig: nodeWithTempDirWithConfig,
+  withTempDir: nodeWithTempDir,
+  withTempFileWithConfigAndCancel: nodeWithTempFileWithConfigAndCancel,
+  withTempFileWithConfig: nodeWithTempFileWithConfig,
+  withTempFile: nodeWithTempFile,
+  access: nodeAccess,
+  exists: nodeExists,
+  readable: nodeReadable,
+  writable: nodeWritable,
+  executable: nodeExecutable,
+  statWithCancel: nodeStatWithCancel,
+  stat: nodeStat,
+  lstatWithCancel: nodeLstatWithCancel,
+  lstat: nodeLstat,
+  isFile: nodeIsFile,
+  isDirectory: nodeIsDirectory,
+  isSymlink: nodeIsSymlink,
+  chmodWithCancel: nodeChmodWithCancel,
+  chmod: nodeChmod,
+  chownWithCancel: nodeChownWithCancel,
+  chown: nodeChown,
+  symlinkWithCancel: nodeSymlinkWithCancel,
+  symlink: nodeSymlink,
+  readlinkWithCancel: nodeReadlinkWithCancel,
+  readlink: nodeReadlink,
+  realpathWithCancel: nodeRealpathWithCancel,
+  realpath: nodeRealpath,
+  resolveRealWithCancel: nodeResolveRealWithCancel,
+  resolveReal: nodeResolveReal,
+  safeJoinWithCancel: nodeSafeJoinWithCancel,
+  safeJoin: nodeSafeJoin,
+  utimesWithCancel: nodeUtimesWithCancel,
+  utimes: nodeUtimes,
+  truncateWithCancel: nodeTruncateWithCancel,
+  truncate: nodeTruncate,
+  writeFileWithAutoPathAndConfigAndCancel:
+    nodeWriteFileWithAutoPathAndConfigAndCancel,
+  writeFileWithAutoPathAndConfig: nodeWriteFileWithAutoPathAndConfig,
+  writeFileWithAutoPath: nodeWriteFileWithAutoPath,
+  appendFileWithAutoPath: nodeAppendFileWithAutoPath,
+  writeJSONFileWithAutoPath: nodeWriteJSONFileWithAutoPath,
+  transactionWithConfigAndCancel: nodeTransactionWithConfigAndCancel,
+  transactionWithConfig: nodeTransactionWithConfig,
+  transaction: nodeTransaction,
+  copyFileWithConfigAndCancel: nodeCopyFileWithConfigAndCancel,
+  copyFileWithConfig: nodeCopyFileWithConfig,
+  copyFile: nodeCopyFile,
+  copyDirWithConfigAndCancel: nodeCopyDirWithConfigAndCancel,
+  copyDirWithConfig: nodeCopyDirWithConfig,
+  copyDir: nodeCopyDir,
+  moveWithConfigAndCancel: nodeMoveWithConfigAndCancel,
+  moveWithConfig: nodeMoveWithConfig,
+  move: nodeMove,
+  read: nodeRead,
+  write: nodeWrite,
+  withFileWithCancel: nodeWithFileWithCancel,
+  withFile: nodeWithFile,
+  hashFileWithCancel: nodeHashFileWithCancel,
+  hashFile: nodeHashFile,
+  hashTreeWithConfigAndCancel: nodeHashTreeWithConfigAndCancel,
+  hashTreeWithConfig: nodeHashTreeWithConfig,
+  hashTree: nodeHashTree,
+  verifyManifestWithConfigAndCancel: nodeVerifyManifestWithConfigAndCancel,
+  verifyManifestWithConfig: nodeVerifyManifestWithConfig,
+  verifyManifest: nodeVerifyManifest,
+  readAnyWithConfigAndCancel: nodeReadAnyWithConfigAndCancel,
+  readAnyWithConfig: nodeReadAnyWithConfig,
+  readAny: nodeReadAny,
+  readAnyOr: nodeReadAnyOr,
+  requireAnyOr: nodeRequireAnyOr,
+} = destinedWith(nodeFs)
+
+export {
+  nodeReadFileWithFormatAndCancel as readFileWithFormatAndCancel,
+  nodeReadFileWithCancel as readFileWithCancel,
+  nodeReadFile as readFile,
+  nodeReadJSONFileWithCancel as readJSONFileWithCancel,
+  nodeReadJSONFile as readJSONFile,
+  nodeReadStructuredWithConfigAndCancel as readStructuredWithConfigAndCancel,
+  nodeReadStructuredWithConfig as readStructuredWithConfig,
+  nodeReadStructured as readStructured,
+  nodeReadDirWithConfigAndCancel as readDirWithConfigAndCancel,
+  nodeReadDirWithConfig as readDirWithConfig,
+  nodeReadDir as readDir,
+  nodeWalkWithConfigAndCancel as walkWithConfigAndCancel,
+  nodeWalkWithConfig as walkWithConfig,
+  nodeWalk as walk,
+  nodeWriteFileWithConfigAndCancel as writeFileWithConfigAndCancel,
+  nodeWriteFileWithConfig as writeFileWithConfig,
+  nodeWriteFile as writeFile,
+  nodeWriteStructuredWithConfigAndCancel as writeStructuredWithConfigAndCancel,
+  nodeWriteStructuredWithConfig as writeStructuredWithConfig,
+  nodeWriteStructured as writeStructured,
+  nodeRemoveFileWithConfigAndCancel as removeFileWithConfigAndCancel,
+  nodeRemoveFileWithConfig as removeFileWithConfig,
+  nodeRm as rm,
+  nodeRemoveFile as removeFile,
+  nodeRimraf as rimraf,
+  nodeRemoveFilesWithConfigAndCancel as removeFilesWithConfigAndCancel,
+  nodeRemoveFilesWithConfig as removeFilesWithConfig,
+  nodeRemoveFiles as removeFiles,
+  nodeReadFilesWithConfigAndCancel as readFilesWithConfigAndCancel,
+  nodeReadFilesWithConfig as readFilesWithConfig,
+  nodeReadFiles as readFiles,
+  nodeReadJSONFilesWithConfigAndCancel as readJSONFilesWithConfigAndCancel,
+  nodeReadJSONFilesWithConfig as readJSONFilesWithConfig,
+  nodeReadJSONFiles as readJSONFiles,
+  nodeWriteFilesWithConfigAndCancel as writeFilesWithConfigAndCancel,
+  nodeWriteFilesWithConfig as writeFilesWithConfig,
+  nodeWriteFiles as writeFiles,
+  nodeStatFilesWithConfigAndCancel as statFilesWithConfigAndCancel,
+  nodeStatFilesWithConfig as statFilesWithConfig,
+  nodeStatFiles as statFiles,
+  nodeMkdirWithCancel as mkdirWithCancel,
+  nodeMkdir as mkdir,
+  nodeMkdirp as mkdirp,
+  nodeWithTempDirWithConfigAndCancel as withTempDirWithConfigAndCancel,
+  nodeWithTempDirWithConfig as withTempDirWithConfig,
+  nodeWithTempDir as withTempDir,
+  nodeWithTempFileWithConfigAndCancel as withTempFileWithConfigAndCancel,
+  nodeWithTempFileWithConfig as withTempFileWithConfig,
+  nodeWithTempFile as withTempFile,
+  nodeAccess as access,
+  nodeExists as exists,
+  nodeReadable as readable,
+  nodeWritable as writable,
+  nodeExecutable as executable,
+  nodeStatWithCancel as statWithCancel,
+  nodeStat as stat,
+  nodeLstatWithCancel as lstatWithCancel,
+  nodeLstat as lstat,
+  nodeIsFile as isFile,
+  nodeIsDirectory as isDirectory,
+  nodeIsSymlink as isSymlink,
+  nodeChmodWithCancel as chmodWithCancel,
+  nodeChmod as chmod,
+  nodeChownWithCancel as chownWithCancel,
+  nodeChown as chown,
+  nodeSymlinkWithCancel as symlinkWithCancel,
+  nodeSymlink as symlink,
+  nodeReadlinkWithCancel as readlinkWithCancel,
+  nodeReadlink as readlink,
+  nodeRealpathWithCancel as realpathWithCancel,
+  nodeRealpath as realpath,
+  nodeResolveRealWithCancel as resolveRealWithCancel,
+  nodeResolveReal as resolveReal,
+  nodeSafeJoinWithCancel as safeJoinWithCancel,
+  nodeSafeJoin as safeJoin,
+  nodeUtimesWithCancel as utimesWithCancel,
+  nodeUtimes as utimes,
+  nodeTruncateWithCancel as truncateWithCancel,
+  nodeTruncate as truncate,
+  nodeWriteFileWithAutoPathAndConfigAndCancel as writeFileWithAutoPathAndConfigAndCancel,
+  nodeWriteFileWithAutoPathAndConfig as writeFileWithAutoPathAndConfig,
+  nodeWriteFileWithAutoPath as writeFileWithAutoPath,
+  nodeAppendFileWithAutoPath as appendFileWithAutoPath,
+  nodeWriteJSONFileWithAutoPath as writeJSONFileWithAutoPath,
+  nodeTransactionWithConfigAndCancel as transactionWithConfigAndCancel,
+  nodeTransactionWithConfig as transactionWithConfig,
+  nodeTransaction as transaction,
+  nodeCopyFileWithConfigAndCancel as copyFileWithConfigAndCancel,
+  nodeCopyFileWithConfig as copyFileWithConfig,
+  nodeCopyFile as copyFile,
+  nodeCopyDirWithConfigAndCancel as copyDirWithConfigAndCancel,
+  nodeCopyDirWithConfig as copyDirWithConfig,
+  nodeCopyDir as copyDir,
+  nodeMoveWithConfigAndCancel as moveWithConfigAndCancel,
+  nodeMoveWithConfig as moveWithConfig,
+  nodeMove as move,
+  nodeRead as read,
+  nodeWrite as write,
+  nodeWithFileWithCancel as withFileWithCancel,
+  nodeWithFile as withFile,
+  nodeHashFileWithCancel as hashFileWithCancel,
+  nodeHashFile as hashFile,
+  nodeHashTreeWithConfigAndCancel as hashTreeWithConfigAndCancel,
+  nodeHashTreeWithConfig as hashTreeWithConfig,
+  nodeHashTree as hashTree,
+  nodeVerifyManifestWithConfigAndCancel as verifyManifestWithConfigAndCancel,
+  nodeVerifyManifestWithConfig as verifyManifestWithConfig,
+  nodeVerifyManifest as verifyManifest,
+  nodeReadAnyWithConfigAndCancel as readAnyWithConfigAndCancel,
+  nodeReadAnyWithConfig as readAnyWithConfig,
+  nodeReadAny as readAny,
+  nodeReadAnyOr as readAnyOr,
+  nodeRequireAnyOr as requireAnyOr,
+}
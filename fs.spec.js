@@ -1,19 +1,45 @@
+import { createHash } from "node:crypto"
+import { symlinkSync } from "node:fs"
 import path from "node:path"
+import { tmpdir } from "node:os"
 import { cwd } from "node:process"
-import { fork } from "fluture"
+import { chain, coalesce, fork, never, parallel, reject, swap } from "fluture"
+import { identity, pipe } from "ramda"
 import U from "unusual"
 import { afterAll, test, expect } from "vitest"
 import {
+  copyDirWithConfig,
+  copyFileWithConfig,
+  destinedWith,
+  diffManifests,
+  directoryOnly,
   localize,
+  move,
   DEFAULT_REMOVAL_CONFIG,
   removeFilesWithConfig,
   mkdirp,
+  readAnyOr,
   readFile,
+  readFiles,
+  readFilesWithConfig,
+  readFileWithCancel,
+  readJSONFiles,
+  requireAnyOr,
+  readDir,
   readDirWithConfig,
+  readDirWithConfigAndCancel,
   rimraf,
+  statFilesWithConfig,
+  transaction,
+  transactionWithConfig,
+  walkWithConfig,
   writeFile,
+  writeFiles,
   writeFileWithAutoPath,
+  writeFileWithConfig,
 } from "./fs.js"
+import { NotFoundError } from "./errors.js"
+import { createMemoryFs } from "./memory.js"
 import PKG from "./package.json"
 
 const u = U(PKG.name + `@` + PKG.version)
@@ -24,22 +50,27 @@ test(`localize`, () => {
 test(`writeFile`, () =>
   new Promise((done) => {
     const input = `` + u.integer({ min: 0, max: 1e6 })
-    fork(done)((z) => {
-      expect(z).toEqual(input)
-      done()
-    })(
-      writeFile(
-        path.resolve(cwd(), `fixture/apps/admin-pretend/fakefile.biz`),
-        input,
-      ),
-    )
+    const FILE_PATH = path.join(tmpdir(), `destined-writeFile-${input}.biz`)
+    pipe(
+      chain((z) => {
+        expect(z).toEqual(input)
+        return readFile(FILE_PATH)
+      }),
+      chain((z) => {
+        expect(z).toEqual(input)
+        return rimraf(FILE_PATH)
+      }),
+      fork(done)(() => done()),
+    )(writeFile(FILE_PATH, input))
   }))
 
 test(`writeFile - fail`, () =>
   new Promise((done) => {
     fork((z) => {
-      expect(z).toBeTruthy()
-      expect(z.toString().includes(`ENOENT`)).toBeTruthy()
+      expect(z).toBeInstanceOf(NotFoundError)
+      expect(z.tag).toEqual(`NotFound`)
+      expect(z.operation).toEqual(`writeFile`)
+      expect(z.code).toEqual(`ENOENT`)
       done()
     })(done)(
       writeFile(
@@ -52,8 +83,8 @@ test(`writeFile - fail`, () =>
 test(`writeFile - fail differently`, () =>
   new Promise((done) => {
     fork((z) => {
-      expect(z).toBeTruthy()
-      expect(z.toString().includes(`EBADF`)).toBeTruthy()
+      expect(z.tag).toEqual(`BadDescriptor`)
+      expect(z.path).toEqual(100)
       done()
     })(done)(writeFile(100, `fixture`))
   }))
@@ -118,12 +149,85 @@ test(`readFile - fail`, () =>
   new Promise((done) => {
     fork((z) => {
       expect(z.toString().split(`,`)[0]).toEqual(
-        `Error: ENOENT: no such file or directory`,
+        `NotFoundError: ENOENT: no such file or directory`,
       )
+      expect(z.path).toEqual(path.resolve(cwd(), `coolfilenice.biz`))
+      expect(z.cause.code).toEqual(`ENOENT`)
       done()
     })(done)(readFile(path.resolve(cwd(), `coolfilenice.biz`)))
   }))
 
+test(`readFileWithCancel - cancel`, () =>
+  new Promise((done, fail) => {
+    const cancel = fork(fail)(fail)(
+      readFileWithCancel(
+        () => {
+          setTimeout(done, 20)
+        },
+        path.resolve(cwd(), `package.json`),
+      ),
+    )
+    cancel()
+  }))
+
+test(`readDirWithConfigAndCancel - cancel`, () =>
+  new Promise((done, fail) => {
+    const cancel = fork(fail)(fail)(
+      readDirWithConfigAndCancel(
+        () => {
+          setTimeout(done, 20)
+        },
+        {},
+        `fixture/**/*`,
+      ),
+    )
+    cancel()
+  }))
+
+test(`readFileWithCancel and writeFileWithConfigAndCancel - cancel aborts the work`, () =>
+  new Promise((done, fail) => {
+    const memoryFs = createMemoryFs({ "cool.txt": `so cool` })
+    const signals = []
+    // remember the signal each call was given, to see that cancelling aborts it
+    const D = destinedWith({
+      ...memoryFs,
+      readFile: (x, opts, cb) => {
+        signals.push(opts.signal)
+        memoryFs.readFile(x, opts, cb)
+      },
+      writeFile: (x, content, opts, cb) => {
+        signals.push(opts.signal)
+        memoryFs.writeFile(x, content, opts, cb)
+      },
+    })
+    const results = []
+    const hooks = []
+    const cancels = [
+      fork(fail)((x) => results.push(x))(
+        D.readFileWithCancel(() => hooks.push(`read`), `cool.txt`),
+      ),
+      fork(fail)((x) => results.push(x))(
+        D.writeFileWithConfigAndCancel(
+          () => hooks.push(`write`),
+          {},
+          `cancelled.txt`,
+          `nope`,
+        ),
+      ),
+      fork(fail)((x) => results.push(x))(
+        D.readDirWithConfigAndCancel(() => hooks.push(`glob`), {}, `**/*`),
+      ),
+    ]
+    cancels.forEach((cancel) => cancel())
+    setTimeout(() => {
+      expect(hooks).toEqual([`read`, `write`, `glob`])
+      expect(signals.map((x) => x.aborted)).toEqual([true, true])
+      expect(results).toEqual([])
+      expect(memoryFs.snapshot()).toEqual({ "cool.txt": `so cool` })
+      done()
+    }, 20)
+  }))
+
 test(
   `mkdirp`,
   new Promise((done) => {
@@ -145,6 +249,847 @@ test(`writeFileWithAutoPath`, () =>
     })(writeFileWithAutoPath(FILE_PATH, `cool cool content`))
   }))
 
+test(`directoryOnly`, () => {
+  expect(directoryOnly(`docs/api/index.md`)).toEqual(`docs/api`)
+  expect(directoryOnly(`README.md`)).toEqual(`.`)
+  expect(directoryOnly(`/README.md`)).toEqual(`/`)
+  expect(directoryOnly(`dist\\app.css`)).toEqual(
+    path.sep === `\\` ? `dist` : `.`,
+  )
+})
+
+// only Windows splits a path on a backslash, anywhere else it's part of the name
+const backslashed = (dir, name, content) => {
+  if (path.sep === `\\`) return { [dir]: { [name]: content } }
+  return { [`${dir}\\${name}`]: content }
+}
+
+test(`writeFileWithAutoPath - any path shape`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({ docs: {} })
+    const D = destinedWith(memoryFs)
+    const api = path.join(`docs`, `api`)
+    pipe(
+      chain((written) => {
+        expect(written).toEqual([`README.md`])
+        return D.writeFileWithAutoPathAndConfig(
+          { atomic: true },
+          path.join(api, `v1`, `index.md`),
+          `# v1\n`,
+        )
+      }),
+      chain((written) => {
+        expect(written).toEqual([
+          api,
+          path.join(api, `v1`),
+          path.join(api, `v1`, `index.md`),
+        ])
+        return D.appendFileWithAutoPath(`logs/build.log`, `one\n`)
+      }),
+      chain(() => D.appendFileWithAutoPath(`logs/build.log`, `two\n`)),
+      chain((written) => {
+        expect(written).toEqual([`logs/build.log`])
+        return D.writeJSONFileWithAutoPath(`./dist/manifest.json`, { a: 1 })
+      }),
+      chain((written) => {
+        expect(written).toEqual([`./dist`, `./dist/manifest.json`])
+        return D.writeFileWithAutoPath(`styles\\app.css`, `body {}`)
+      }),
+      fork(done)(() => {
+        expect(memoryFs.snapshot()).toEqual({
+          ...backslashed(`styles`, `app.css`, `body {}`),
+          "README.md": `# cool\n`,
+          dist: { "manifest.json": `{\n  "a": 1\n}\n` },
+          docs: { api: { v1: { "index.md": `# v1\n` } } },
+          logs: { "build.log": `one\ntwo\n` },
+        })
+        done()
+      }),
+    )(D.writeFileWithAutoPath(`README.md`, `# cool\n`))
+  }))
+
+test(`writeFileWithConfig - atomic`, () =>
+  new Promise((done) => {
+    const FILE_PATH = `./my-dir/atomic.biz`
+    pipe(
+      chain(() =>
+        writeFileWithConfig({ atomic: true }, FILE_PATH, `atomic content`),
+      ),
+      chain(() => parallel(2)([readFile(FILE_PATH), readDir(`my-dir/.*`)])),
+      fork(done)(([content, hidden]) => {
+        expect(content).toEqual(`atomic content`)
+        expect(hidden).toEqual([])
+        done()
+      }),
+    )(writeFileWithAutoPath(FILE_PATH, `old content`))
+  }))
+
+test(`transactionWithConfig`, () =>
+  new Promise((done) => {
+    const A = `./my-dir/transaction/a.biz`
+    const B = `./my-dir/transaction/nested/b.biz`
+    pipe(
+      chain((written) => {
+        expect(written).toEqual([A, B])
+        return parallel(2)([readFile(A), readFile(B)])
+      }),
+      fork(done)((x) => {
+        expect(x).toEqual([`a`, `b`])
+        done()
+      }),
+    )(
+      transactionWithConfig({ autoPath: true }, [
+        [A, `a`],
+        [B, `b`],
+      ]),
+    )
+  }))
+
+test(`transaction - rollback`, () =>
+  new Promise((done) => {
+    const A = `./my-dir/rollback.biz`
+    pipe(
+      chain(() =>
+        swap(
+          transaction([
+            [A, `new content`],
+            [`./my-dir/no/such/directory/b.biz`, `b`],
+          ]),
+        ),
+      ),
+      chain((e) => {
+        expect(e.tag).toEqual(`NotFound`)
+        return parallel(2)([readFile(A), readDir(`my-dir/.*`)])
+      }),
+      fork(done)(([content, hidden]) => {
+        expect(content).toEqual(`old content`)
+        expect(hidden).toEqual([])
+        done()
+      }),
+    )(writeFileWithAutoPath(A, `old content`))
+  }))
+
+test(`transaction - targets never go missing, and cancelling cleans up`, () =>
+  new Promise((done, fail) => {
+    const memoryFs = createMemoryFs({ "a.biz": `old a`, "b.biz": `old b` })
+    const missing = []
+    // after every rename, see whether either target was briefly gone
+    const D = destinedWith({
+      ...memoryFs,
+      rename: (from, to, cb) =>
+        memoryFs.rename(from, to, (e) => {
+          const names = Object.keys(memoryFs.snapshot())
+          missing.push(...[`a.biz`, `b.biz`].filter((x) => !names.includes(x)))
+          cb(e)
+        }),
+    })
+    pipe(
+      chain(() => {
+        expect(missing).toEqual([])
+        expect(memoryFs.snapshot()).toEqual({
+          "a.biz": `new a`,
+          "b.biz": `new b`,
+        })
+        const cancel = fork(fail)(fail)(
+          D.transaction([
+            [`c.biz`, `c`],
+            [`a.biz`, `newer a`],
+          ]),
+        )
+        cancel()
+        return D.readDir(`*.biz`)
+      }),
+      fork(done)(() => {
+        setTimeout(() => {
+          expect(memoryFs.snapshot()).toEqual({
+            "a.biz": `new a`,
+            "b.biz": `new b`,
+          })
+          done()
+        }, 20)
+      }),
+    )(
+      D.transaction([
+        [`a.biz`, `new a`],
+        [`b.biz`, `new b`],
+      ]),
+    )
+  }))
+
+test(`copyDirWithConfig`, () =>
+  new Promise((done) => {
+    fork(done)((x) => {
+      expect(x).toEqual([
+        `my-dir/scripts`,
+        `my-dir/scripts/copy-to-pretend`,
+        `my-dir/scripts/copy-to-pretend/fakefile.biz`,
+      ])
+      done()
+    })(
+      copyDirWithConfig(
+        { ignore: [`cool-script/**`], filter: (x) => x !== `cool-script` },
+        `fixture/scripts`,
+        `my-dir/scripts`,
+      ),
+    )
+  }))
+
+test(`copyDirWithConfig - filtering files in a nested tree`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      src: {
+        "a.js": `a`,
+        "a.md": `# a`,
+        sub: { "b.js": `b`, "b.md": `# b`, deeper: { "c.md": `# c` } },
+        empty: {},
+      },
+    })
+    fork(done)((x) => {
+      expect(x).toEqual([
+        path.resolve(`dst`),
+        path.resolve(`dst/sub`),
+        `dst/a.js`,
+        `dst/sub/b.js`,
+      ])
+      expect(memoryFs.snapshot(`dst`)).toEqual({
+        "a.js": `a`,
+        sub: { "b.js": `b` },
+      })
+      done()
+    })(
+      destinedWith(memoryFs).copyDirWithConfig(
+        { filter: (x) => x.endsWith(`.js`) },
+        `src`,
+        `dst`,
+      ),
+    )
+  }))
+
+test(`copyFileWithConfig - conflicts`, () =>
+  new Promise((done) => {
+    const FROM = `fixture/raw.js`
+    const TO = `my-dir/scripts/copy-to-pretend/fakefile.biz`
+    pipe(
+      chain((skipped) => {
+        expect(skipped).toEqual([])
+        return swap(copyFileWithConfig({ conflict: `error` }, FROM, TO))
+      }),
+      chain((e) => {
+        expect(e.tag).toEqual(`AlreadyExists`)
+        return swap(copyFileWithConfig({ conflict: `whatever` }, FROM, TO))
+      }),
+      fork(done)((e) => {
+        expect(e.message).toEqual(
+          `Expected conflict to be one of overwrite, skip, error, given whatever.`,
+        )
+        done()
+      }),
+    )(copyFileWithConfig({ conflict: `skip` }, FROM, TO))
+  }))
+
+test(`move`, () =>
+  new Promise((done) => {
+    pipe(
+      chain((x) => {
+        expect(x).toEqual([`my-dir/moved`])
+        return parallel(2)([
+          readDir(`my-dir/moved/**/*`),
+          readDir(`my-dir/scripts/**/*`),
+        ])
+      }),
+      fork(done)(([moved, left]) => {
+        expect(moved).toEqual([`my-dir/moved/fakefile.biz`])
+        expect(left).toEqual([])
+        done()
+      }),
+    )(move(`my-dir/scripts/copy-to-pretend`, `my-dir/moved`))
+  }))
+
+test(`move - overwriting only replaces the same kind of thing`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      "a.txt": `a`,
+      dir: { "x.txt": `x` },
+      empty: {},
+      src: { "y.txt": `y` },
+    })
+    const D = destinedWith(memoryFs)
+    const before = memoryFs.snapshot()
+    pipe(
+      chain(([fileOverDirectory, directoryOverFile]) => {
+        expect(fileOverDirectory).toMatchObject({
+          tag: `InvalidArgument`,
+          path: `a.txt`,
+          dest: `dir`,
+        })
+        expect(fileOverDirectory.message).toEqual(
+          `Expected dir to be a file, like a.txt, given a directory.`,
+        )
+        expect(directoryOverFile.dest).toEqual(`a.txt`)
+        expect(memoryFs.snapshot()).toEqual(before)
+        return D.move(`src`, `empty`)
+      }),
+      fork(done)((moved) => {
+        expect(moved).toEqual([`empty`])
+        expect(memoryFs.snapshot()).toEqual({
+          "a.txt": `a`,
+          dir: { "x.txt": `x` },
+          empty: { "y.txt": `y` },
+        })
+        done()
+      }),
+    )(parallel(1)([swap(D.move(`a.txt`, `dir`)), swap(D.move(`src`, `a.txt`))]))
+  }))
+
+test(`writeFiles / readFiles / readJSONFiles`, () =>
+  new Promise((done) => {
+    const A = `my-dir/bulk/a.json`
+    const B = `my-dir/bulk/b.json`
+    pipe(
+      chain(() => writeFiles({ [A]: `{"a":1}`, [B]: `{"b":2}` })),
+      chain((written) => {
+        expect(written).toEqual({ [A]: `{"a":1}`, [B]: `{"b":2}` })
+        return parallel(2)([readFiles([A, B]), readJSONFiles([A, B])])
+      }),
+      fork(done)(([raw, parsed]) => {
+        expect(raw).toEqual({ [A]: `{"a":1}`, [B]: `{"b":2}` })
+        expect(parsed).toEqual({ [A]: { a: 1 }, [B]: { b: 2 } })
+        done()
+      }),
+    )(mkdirp(`my-dir/bulk`))
+  }))
+
+test(`statFilesWithConfig - settle`, () =>
+  new Promise((done) => {
+    const FOUND = `fixture/raw.js`
+    const MISSING = `fixture/nope.js`
+    pipe(
+      chain(({ ok, failed }) => {
+        expect(Object.keys(ok)).toEqual([FOUND])
+        expect(ok[FOUND].isFile()).toBeTruthy()
+        expect(failed[MISSING].tag).toEqual(`NotFound`)
+        return swap(readFilesWithConfig({ parallel: 1 }, [FOUND, MISSING]))
+      }),
+      fork(done)((e) => {
+        expect(e.path).toEqual(MISSING)
+        done()
+      }),
+    )(statFilesWithConfig({ settle: true }, [FOUND, MISSING]))
+  }))
+
+const walkable = () =>
+  destinedWith(
+    createMemoryFs({
+      ".gitignore": `dist/\n*.log\n`,
+      dist: { "index.js": `built` },
+      "debug.log": `oops`,
+      src: {
+        "index.js": `export default 1`,
+        lib: { "util.js": `util`, ".gitignore": `!*.log\n`, "keep.log": `` },
+      },
+    }),
+  )
+
+test(`walkWithConfig - flat`, () =>
+  new Promise((done) => {
+    const D = walkable()
+    pipe(
+      chain((entries) => {
+        expect(entries.map((entry) => [entry.path, entry.type])).toEqual([
+          [`.gitignore`, `file`],
+          [`src`, `directory`],
+          [`src/index.js`, `file`],
+          [`src/lib`, `directory`],
+          [`src/lib/.gitignore`, `file`],
+          [`src/lib/keep.log`, `file`],
+          [`src/lib/util.js`, `file`],
+        ])
+        expect(entries[2]).toMatchObject({
+          name: `index.js`,
+          depth: 2,
+          size: 16,
+          target: null,
+        })
+        expect(entries[2].mtime).toBeInstanceOf(Date)
+        return D.walkWithConfig(
+          { maxDepth: 1, prune: ({ name }) => name === `dist` },
+          `.`,
+        )
+      }),
+      chain((entries) => {
+        expect(entries.map((entry) => entry.path)).toEqual([
+          `.gitignore`,
+          `debug.log`,
+          `src`,
+        ])
+        return D.walk(`src/lib`)
+      }),
+      fork(done)((entries) => {
+        expect(entries.map(({ depth, name }) => [depth, name])).toEqual([
+          [1, `.gitignore`],
+          [1, `keep.log`],
+          [1, `util.js`],
+        ])
+        done()
+      }),
+    )(D.walkWithConfig({ gitignore: true }, `.`))
+  }))
+
+test(`walkWithConfig - tree`, () =>
+  new Promise((done) => {
+    const D = walkable()
+    const names = ({ name, children }) =>
+      children ? { [name]: children.map(names) } : name
+    fork(done)((tree) => {
+      expect(names(tree)).toEqual({
+        src: [`index.js`, { lib: [`util.js`] }],
+      })
+      done()
+    })(
+      D.walkWithConfig(
+        {
+          output: `tree`,
+          filter: ({ name }) => name.endsWith(`.js`),
+          prune: ({ name }) => name === `dist`,
+        },
+        `src`,
+      ),
+    )
+  }))
+
+test(`walkWithConfig - symlinks`, () =>
+  new Promise((done) => {
+    const root = `my-dir/walk`
+    pipe(
+      chain(() => writeFileWithAutoPath(`${root}/real/file.txt`, `hey`)),
+      chain(() => {
+        symlinkSync(`real`, `${root}/link`)
+        symlinkSync(`..`, `${root}/real/loop`)
+        return parallel(2)([
+          walkWithConfig({}, root),
+          walkWithConfig({ followSymlinks: true }, root),
+        ])
+      }),
+      fork(done)(([links, followed]) => {
+        expect(links.map((x) => [x.path, x.type, x.target])).toEqual([
+          [`${root}/link`, `symlink`, `real`],
+          [`${root}/real`, `directory`, null],
+          [`${root}/real/file.txt`, `file`, null],
+          [`${root}/real/loop`, `symlink`, `..`],
+        ])
+        expect(followed.map((x) => [x.path, x.type, x.target])).toEqual([
+          [`${root}/link`, `directory`, `real`],
+          [`${root}/link/file.txt`, `file`, null],
+          [`${root}/link/loop`, `directory`, `..`],
+          [`${root}/real`, `directory`, null],
+          [`${root}/real/file.txt`, `file`, null],
+          [`${root}/real/loop`, `directory`, `..`],
+        ])
+        done()
+      }),
+    )(rimraf(root))
+  }))
+
+test(`metadata`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      bin: { "cool.js": `#!/usr/bin/env node` },
+    })
+    const D = destinedWith(memoryFs)
+    const BIN = `bin/cool.js`
+    const checks = (x) =>
+      parallel(5)([
+        D.exists(x),
+        D.isFile(x),
+        D.isDirectory(x),
+        D.isSymlink(x),
+        D.executable(x),
+      ])
+    pipe(
+      chain((before) => {
+        expect(before).toEqual([true, true, false, false, false])
+        return D.chmod(`755`, BIN)
+      }),
+      chain((x) => {
+        expect(x).toEqual(BIN)
+        return D.symlink(`nope.js`, `bin/dangling`)
+      }),
+      chain(() => D.symlink(`cool.js`, `bin/cool`)),
+      chain(() =>
+        parallel(4)([
+          checks(`bin/cool`),
+          checks(`nope`),
+          D.readlink(`bin/cool`),
+          D.realpath(`bin/cool`),
+        ]),
+      ),
+      chain(([link, missing, target, real]) => {
+        expect(link).toEqual([true, true, false, true, true])
+        expect(missing).toEqual([false, false, false, false, false])
+        expect(target).toEqual(`cool.js`)
+        expect(real).toEqual(path.resolve(BIN))
+        return D.truncate(2, `bin/cool`)
+      }),
+      chain(() => D.utimes(new Date(0), new Date(1000), BIN)),
+      chain(() =>
+        parallel(3)([D.stat(BIN), D.lstat(`bin/cool`), D.readFile(BIN)]),
+      ),
+      chain(([stats, linkStats, content]) => {
+        expect(stats.mode & 0o777).toEqual(0o755)
+        expect(stats.mtime).toEqual(new Date(1000))
+        expect(linkStats.isSymbolicLink()).toBeTruthy()
+        expect(content).toEqual(`#!`)
+        return swap(D.stat(`bin/dangling`))
+      }),
+      chain((e) => {
+        expect(e.tag).toEqual(`NotFound`)
+        return D.symlink(`loop`, `loop`)
+      }),
+      chain(() => swap(D.readFile(`loop`))),
+      chain((e) => {
+        expect(e.code).toEqual(`ELOOP`)
+        return swap(D.symlink(`elsewhere.js`, `bin/cool`))
+      }),
+      fork(done)((e) => {
+        expect(e).toMatchObject({
+          tag: `AlreadyExists`,
+          operation: `symlink`,
+          path: `bin/cool`,
+        })
+        done()
+      }),
+    )(checks(BIN))
+  }))
+
+const candidates = () =>
+  destinedWith(
+    createMemoryFs({
+      ".coolrc": `{"from":"rc"}`,
+      "cool.json": `{"from":"json"}`,
+      "broken.json": `{`,
+    }),
+  )
+
+test(`readAny - in order`, () =>
+  new Promise((done) => {
+    const { readAny, readAnyWithConfig } = candidates()
+    pipe(
+      chain((x) => {
+        expect(x).toEqual({ path: `.coolrc`, content: `{"from":"rc"}` })
+        return readAnyWithConfig({ loader: `json` }, [`nope.json`, `cool.json`])
+      }),
+      chain((x) => {
+        expect(x).toEqual({ path: `cool.json`, content: { from: `json` } })
+        return swap(
+          readAnyWithConfig({ loader: `json` }, [`broken.json`, `cool.json`]),
+        )
+      }),
+      chain((e) => {
+        expect(e.tag).toEqual(`ParseError`)
+        return swap(readAny([`nope`, `nah`]))
+      }),
+      fork(done)((e) => {
+        expect(e).toMatchObject({
+          tag: `NotFound`,
+          operation: `readAny`,
+          path: `nope`,
+          candidates: [`nope`, `nah`],
+        })
+        done()
+      }),
+    )(readAny([`.coolrc`, `cool.json`]))
+  }))
+
+test(`readAnyWithConfig - fastest`, () =>
+  new Promise((done) => {
+    const { readAnyWithConfig } = candidates()
+    fork(done)((x) => {
+      expect([`.coolrc`, `cool.json`]).toContain(x.path)
+      done()
+    })(readAnyWithConfig({ fastest: true }, [`nope`, `.coolrc`, `cool.json`]))
+  }))
+
+test(`readAnyOr / requireAnyOr`, () =>
+  new Promise((done) => {
+    pipe(
+      chain((x) => {
+        expect(x).toEqual({ path: null, content: `fallback` })
+        return readAnyOr(null, `base64`, [`fixture/nope.js`, `fixture/raw.js`])
+      }),
+      chain((found) => {
+        expect(found.path).toEqual(`fixture/raw.js`)
+        expect(Buffer.from(found.content, `base64`).toString()).toMatch(
+          /fixture/,
+        )
+        return requireAnyOr(null, [`fixture/nope.js`, `fixture/raw.js`])
+      }),
+      fork(done)((found) => {
+        expect(found.path).toEqual(`fixture/raw.js`)
+        expect(found.content).toEqual({ input: `this is a fixture` })
+        done()
+      }),
+    )(requireAnyOr(`fallback`, [`fixture/nope.js`]))
+  }))
+
+test(`withFile - random access reads and writes`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      "asset.bin": Buffer.from([0, 1, 2, 3, 4, 5, 6, 7]),
+    })
+    const D = destinedWith(memoryFs)
+    const fds = []
+    const isClosed = (fd) =>
+      new Promise((closed) => memoryFs.close(fd, (e) => closed(e?.code)))
+    pipe(
+      chain(({ bytesRead, buffer }) => {
+        expect(bytesRead).toEqual(3)
+        expect([...buffer]).toEqual([4, 5, 6])
+        return D.withFile(`asset.bin`, `r+`, (fd) => {
+          fds.push(fd)
+          return D.write(fd, Buffer.from([9, 9]), 0, 2, 0)
+        })
+      }),
+      chain(({ bytesRead }) => {
+        expect(bytesRead).toEqual(2)
+        return swap(
+          D.withFile(`asset.bin`, `r`, (fd) => {
+            fds.push(fd)
+            return D.read(-1, Buffer.alloc(1), 0, 1, 0)
+          }),
+        )
+      }),
+      fork(done)((e) => {
+        expect(e.tag).toEqual(`BadDescriptor`)
+        expect(memoryFs.snapshot()[`asset.bin`]).toEqual(
+          Buffer.from([9, 9, 2, 3, 4, 5, 6, 7]).toString(),
+        )
+        Promise.all(fds.map(isClosed)).then((codes) => {
+          expect(codes).toEqual([`EBADF`, `EBADF`, `EBADF`])
+          done()
+        })
+      }),
+    )(
+      D.withFile(`asset.bin`, `r`, (fd) => {
+        fds.push(fd)
+        return D.read(fd, Buffer.alloc(3), 0, 3, 4)
+      }),
+    )
+  }))
+
+test(`withFile - closes the file when cancelled`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({ "asset.bin": Buffer.from([0, 1]) })
+    const D = destinedWith(memoryFs)
+    const cancel = fork(done)(done)(
+      D.withFile(`asset.bin`, `r`, (fd) => {
+        setTimeout(() => {
+          cancel()
+          setTimeout(() =>
+            memoryFs.close(fd, (e) => {
+              expect(e?.code).toEqual(`EBADF`)
+              done()
+            }),
+          )
+        })
+        return never
+      }),
+    )
+  }))
+
+test(`withTempDir and withTempFile - clean up after themselves`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({ scratch: {} })
+    const D = destinedWith(memoryFs)
+    const scratch = () => memoryFs.snapshot(tmpdir())
+    const failing = (dir) =>
+      chain(() => reject(new Error(`nope`)))(
+        D.writeFile(path.join(dir, `log.txt`), `what happened`),
+      )
+    pipe(
+      chain((content) => {
+        expect(content).toEqual(`so cool`)
+        expect(scratch()).toEqual({})
+        return swap(D.withTempDir(failing))
+      }),
+      chain((e) => {
+        expect(e.message).toEqual(`nope`)
+        expect(scratch()).toEqual({})
+        return swap(D.withTempDirWithConfig({ keepOnFailure: true }, failing))
+      }),
+      chain(() => {
+        expect(Object.values(scratch())).toEqual([
+          { "log.txt": `what happened` },
+        ])
+        return D.withTempFileWithConfig(
+          { dir: `scratch`, prefix: `build-`, name: `app.yaml` },
+          (file) =>
+            chain(() => D.readFile(file))(D.writeStructured(file, [`cool`])),
+        )
+      }),
+      fork(done)((content) => {
+        expect(content).toEqual(`- cool\n`)
+        expect(memoryFs.snapshot()).toEqual({ scratch: {} })
+        done()
+      }),
+    )(
+      D.withTempDir((dir) => {
+        expect(dir.startsWith(path.join(tmpdir(), `destined-`))).toBeTruthy()
+        return chain(() => D.readFile(path.join(dir, `cool.txt`)))(
+          D.writeFile(path.join(dir, `cool.txt`), `so cool`),
+        )
+      }),
+    )
+  }))
+
+test(`withTempDir - cleans up when cancelled`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs()
+    const D = destinedWith(memoryFs)
+    const cancel = fork(done)(done)(
+      D.withTempDir(() => {
+        setTimeout(() => {
+          cancel()
+          setTimeout(() => {
+            expect(memoryFs.snapshot(tmpdir())).toEqual({})
+            done()
+          })
+        })
+        return never
+      }),
+    )
+  }))
+
+test(`safeJoin and resolveReal`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      plugins: { cool: { "index.js": `export default 1` } },
+      secrets: { "key.pem": `shh` },
+    })
+    const D = destinedWith(memoryFs)
+    const attempts = [
+      `index.js`,
+      `lib/not/yet.js`,
+      `../../secrets/key.pem`,
+      `/etc/passwd`,
+      `escape/key.pem`,
+      `dangling/key.pem`,
+      `dangling`,
+    ]
+    pipe(
+      chain(() => D.symlink(`../../secrets`, `plugins/cool/escape`)),
+      chain(() => D.symlink(`../../secrets/new`, `plugins/cool/dangling`)),
+      chain(() => D.resolveReal(`plugins/cool/dangling/not/yet/there.js`)),
+      chain((real) => {
+        expect(real).toEqual(path.resolve(`secrets/new/not/yet/there.js`))
+        return parallel(1)(
+          attempts.map((x) =>
+            coalesce((e) => e.tag)(identity)(D.safeJoin(`plugins/cool`, x)),
+          ),
+        )
+      }),
+      fork(done)((results) => {
+        expect(results).toEqual([
+          path.join(`plugins/cool`, `index.js`),
+          path.join(`plugins/cool`, `lib/not/yet.js`),
+          `OutsideRoot`,
+          `OutsideRoot`,
+          `OutsideRoot`,
+          `OutsideRoot`,
+          `OutsideRoot`,
+        ])
+        done()
+      }),
+    )(D.mkdirp(`secrets`))
+  }))
+
+test(`hashFile, hashTree and verifyManifest`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      dist: {
+        "app.js": `console.log("cool")`,
+        assets: { "logo.svg": `<svg />`, "big.bin": Buffer.alloc(200000, 7) },
+      },
+    })
+    const D = destinedWith(memoryFs)
+    const sha256 = (x) => createHash(`sha256`).update(x).digest(`hex`)
+    const files = {
+      "dist/app.js": sha256(`console.log("cool")`),
+      "dist/assets/big.bin": sha256(Buffer.alloc(200000, 7)),
+      "dist/assets/logo.svg": sha256(`<svg />`),
+    }
+    let original
+    pipe(
+      chain((hash) => {
+        expect(hash).toEqual(files[`dist/assets/big.bin`])
+        return D.hashTree(`sha256`, `dist/**`)
+      }),
+      chain((tree) => {
+        original = tree
+        expect(tree.files).toEqual(files)
+        expect(tree.hash).toMatch(/^[0-9a-f]{64}$/)
+        return parallel(2)([
+          D.hashTreeWithConfig({ cwd: `dist`, parallel: 1 }, `sha256`, `**`),
+          D.writeJSONFileWithAutoPath(`.cache/dist.json`, tree.files),
+        ])
+      }),
+      chain(([within]) => {
+        // the same files, found from somewhere else, are a different tree
+        expect(within.hash).not.toEqual(original.hash)
+        return parallel(1)([
+          D.writeFile(`dist/app.js`, `console.log("cooler")`),
+          D.rimraf(`dist/assets/logo.svg`),
+          D.writeFile(`dist/index.html`, `<html />`),
+        ])
+      }),
+      chain(() => D.verifyManifest(`sha256`, `.cache/dist.json`, `dist/**`)),
+      chain((report) => {
+        expect(report).toEqual({
+          same: false,
+          added: [`dist/index.html`],
+          removed: [`dist/assets/logo.svg`],
+          changed: [`dist/app.js`],
+        })
+        return swap(D.hashFile(`nope`, `dist/app.js`))
+      }),
+      fork(done)((e) => {
+        expect(e).toMatchObject({
+          tag: `InvalidArgument`,
+          operation: `hashFile`,
+        })
+        done()
+      }),
+    )(D.hashFile(`sha256`, `dist/assets/big.bin`))
+  }))
+
+test(`hashTreeWithConfig - absolute paths`, () =>
+  new Promise((done) => {
+    const D = destinedWith(createMemoryFs({ dist: { "app.js": `cool` } }))
+    const sha256 = (x) => createHash(`sha256`).update(x).digest(`hex`)
+    fork(done)((tree) => {
+      expect(tree.files).toEqual({
+        [path.resolve(`dist/app.js`)]: sha256(`cool`),
+      })
+      done()
+    })(D.hashTreeWithConfig({ cwd: `dist`, absolute: true }, `sha256`, `**`))
+  }))
+
+test(`diffManifests`, () => {
+  expect(diffManifests({ "a.js": `1`, "b.js": `2` }, { "b.js": `2` })).toEqual({
+    same: false,
+    added: [],
+    removed: [`a.js`],
+    changed: [],
+  })
+  expect(diffManifests({ "a.js": `1` }, { "a.js": `1` }).same).toBeTruthy()
+  // paths which happen to be the names of object properties are paths all the same
+  expect(diffManifests({ toString: `1` }, { constructor: `2` })).toEqual({
+    same: false,
+    added: [`constructor`],
+    removed: [`toString`],
+    changed: [],
+  })
+})
+
 test(`readFile`, () =>
   new Promise((done) => {
     fork(done)((x) => {
@@ -1,18 +1,165 @@
-import { curry, curryN } from "ramda"
+import { curry, curryN, mapObjIndexed, pickBy } from "ramda"
 import { Future } from "fluture"
 
+/**
+ * @pageSummary Turn callback-taking functions, or whole modules of them, into Futures.
+ */
+
+// a single callback value stands alone, but several are kept together
+const defaultResultMapper = (...values) =>
+  values.length > 1 ? values : values[0]
+
+/**
+ * Wrap a function which takes a Node-style callback as its last argument, so that it returns
+ * a Future instead. The Future rejects with whatever error the callback was given, as is,
+ * and resolves with whatever `resultMapper` makes of the rest of the callback's values.
+ * Configuration:
+ *  - `arity` - how many arguments to curry the wrapped function to, before its callback;
+ *    otherwise it takes whatever it is given
+ *  - `cancel` - a function to call when the Future is cancelled
+ *  - `resultMapper` - given every value the callback was called with after the error;
+ *    by default a single value is resolved on its own and several are resolved as an array
+ *
+ * Anything the function throws rejects the Future rather than escaping.
+ * @name futurify
+ * @see {@link futurifyAll}
+ * @example
+ * ```js
+ * import dns from 'node:dns'
+ * import { fork } from 'fluture'
+ * import { futurify } from 'destined'
+ * const lookup = futurify(dns.lookup, { arity: 1 })
+ * fork(console.warn)(console.log)(lookup('example.com'))
+ * // ['93.184.215.14', 4]
+ * ```
+ */
+export const futurify = (fn, conf = {}) => {
+  const { arity, cancel = () => {}, resultMapper = defaultResultMapper } = conf
+  function futurified(...args) {
+    return Future((bad, good) => {
+      try {
+        fn.call(this, ...args, (e, ...values) =>
+          e ? bad(e) : good(resultMapper(...values)),
+        )
+      } catch (e) {
+        bad(e)
+      }
+      return cancel
+    })
+  }
+  return arity == null ? futurified : curryN(arity, futurified)
+}
+
+// functions which don't take callbacks: sync ones, constructors, factories, watchers,
+// getters and setters, and private ones
+const NOT_CALLBACKS = /Sync$|^create|^[A-Z]|^(un)?watch|^[gs]et[A-Z]|^_/
+
+// and ones which only look like they do: `fs.exists` calls back without an error,
+// `fs.openAsBlob` returns a promise and `zlib.crc32` returns straight away
+const NOT_NODEBACKS = [`crc32`, `exists`, `openAsBlob`]
+
+const takesCallback = (x, name) => {
+  if (typeof x !== `function`) return false
+  return !NOT_CALLBACKS.test(name) && !NOT_NODEBACKS.includes(name)
+}
+
+/**
+ * Wrap every callback-taking function of a module with {@link futurify}, such as `node:fs`,
+ * `node:zlib` or `node:dns`, giving an object of Future-returning functions.
+ * Functions whose names end in `Sync`, start with `create`, `get`, `set`, `_` or a capital
+ * letter, or watch something are left out, as they don't take callbacks; so are `exists`,
+ * `openAsBlob` and `crc32`, which don't take Node-style ones, and anything which isn't
+ * a function. Anything else, from any other module, is taken to take a Node-style callback,
+ * so for modules other than `node:fs`, `node:dns` and `node:zlib`, give a `filter`.
+ * Configuration is the same as {@link futurify}'s, and is given to every function,
+ * along with:
+ *  - `filter` - which functions to wrap, given each function and its name
+ * @name futurifyAll
+ * @see {@link futurify}
+ * @example
+ * ```js
+ * import zlib from 'node:zlib'
+ * import { chain, fork } from 'fluture'
+ * import { futurifyAll } from 'destined'
+ * const Z = futurifyAll(zlib)
+ * fork(console.warn)((x) => console.log(x.toString()))(
+ *   chain(Z.gunzip)(Z.gzip('so cool'))
+ * )
+ * // so cool
+ * ```
+ */
+export const futurifyAll = (module, conf = {}) => {
+  const { filter: keep = takesCallback, ...futurifyConf } = conf
+  return mapObjIndexed(
+    (fn) => futurify(fn.bind(module), futurifyConf),
+    pickBy(keep, module),
+  )
+}
+
+/**
+ * Wrap a callback-taking function, curried to a given arity, with a cancellation function.
+ * The Future rejects with the callback's error and resolves with its other values,
+ * see {@link futurify}.
+ * @name passFailCallbackWithArityAndCancel
+ * @see {@link futurify}
+ * @example
+ * ```js
+ * import fs from 'node:fs'
+ * import { fork } from 'fluture'
+ * import { passFailCallbackWithArityAndCancel } from 'destined'
+ * const rename = passFailCallbackWithArityAndCancel(() => {}, 2, fs.rename)
+ * fork(console.warn)(console.log)(rename('old.txt')('new.txt'))
+ * ```
+ */
 export const passFailCallbackWithArityAndCancel = curry(
   function _passFailCallbackWithArityAndCancel(cancel, arity, fn) {
-    return curryN(arity, function passfail(...args) {
-      return new Future((bad, good) => {
-        const newArgs = [...args, (e) => (e ? bad(false) : good(true))]
-        fn.apply(this, newArgs)
-        return cancel
-      })
-    })
+    return futurify(fn, { arity, cancel })
   },
 )
 
+/**
+ * Wrap a callback-taking function, curried to a given arity.
+ * @name passFailCallbackWithArity
+ * @see {@link passFailCallbackWithArityAndCancel}
+ * @example
+ * ```js
+ * import fs from 'node:fs'
+ * import { fork } from 'fluture'
+ * import { passFailCallbackWithArity } from 'destined'
+ * fork(console.warn)(console.log)(passFailCallbackWithArity(1, fs.stat)('README.md'))
+ * ```
+ */
 export const passFailCallbackWithArity = passFailCallbackWithArityAndCancel(
   () => {},
 )
+
+/**
+ * Create a Future whose computation is given an `AbortSignal` as a third parameter.
+ * Cancelling the Future aborts the signal, so the underlying work actually stops,
+ * and then calls the given `cancel` function as a hook.
+ * @name abortableWithCancel
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { abortableWithCancel } from 'destined'
+ * const cancel = fork(console.warn)(console.log)(
+ *   abortableWithCancel(
+ *     () => console.log('cancelled!'),
+ *     (bad, good, signal) => fs.readFile('./README.md', { signal }, (e, x) => e ? bad(e) : good(x))
+ *   )
+ * )
+ * cancel()
+ * ```
+ */
+export const abortableWithCancel = curry(
+  function _abortableWithCancel(cancel, computation) {
+    return Future(function abortableF(bad, good) {
+      const controller = new AbortController()
+      computation(bad, good, controller.signal)
+      return function abortAndCancel() {
+        controller.abort()
+        cancel()
+      }
+    })
+  },
+)
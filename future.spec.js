@@ -0,0 +1,110 @@
+import nodeDns from "node:dns"
+import nodeFs from "node:fs"
+import nodeZlib from "node:zlib"
+import { chain, fork, parallel, swap } from "fluture"
+import { pipe } from "ramda"
+import { test, expect } from "vitest"
+import { futurify, futurifyAll, passFailCallbackWithArity } from "./future.js"
+import { createMemoryFs } from "./memory.js"
+
+// stand-ins for `node:dns` and `node:zlib`, which call back with several values
+const dns = {
+  ADDRCONFIG: 1024,
+  Resolver: class Resolver {},
+  lookup: (hostname, cb) =>
+    setImmediate(() =>
+      hostname === `cool.test`
+        ? cb(null, `127.0.0.1`, 4)
+        : cb(Object.assign(new Error(`nope`), { code: `ENOTFOUND` })),
+    ),
+  lookupService: () => {
+    throw new Error(`not a stub`)
+  },
+}
+const zlib = {
+  level: 9,
+  gzip(buffer, cb) {
+    setImmediate(() => cb(null, Buffer.from(`${this.level}:${buffer}`)))
+  },
+  createGzip: () => {},
+  gzipSync: () => {},
+}
+
+test(`futurify`, () =>
+  new Promise((done) => {
+    const lookup = futurify(dns.lookup, { arity: 1 })
+    const lookupAddress = futurify(dns.lookup, {
+      resultMapper: (address, family) => ({ address, family }),
+    })
+    pipe(
+      chain(([address, x]) => {
+        expect(address).toEqual([`127.0.0.1`, 4])
+        expect(x).toEqual({ address: `127.0.0.1`, family: 4 })
+        return parallel(2)([
+          swap(lookup(`nope.test`)),
+          swap(futurify(dns.lookupService)(`127.0.0.1`, 22)),
+        ])
+      }),
+      fork(done)(([notFound, thrown]) => {
+        expect(notFound.code).toEqual(`ENOTFOUND`)
+        expect(thrown.message).toEqual(`not a stub`)
+        done()
+      }),
+    )(parallel(2)([lookup(`cool.test`), lookupAddress(`cool.test`)]))
+  }))
+
+test(`futurifyAll`, () =>
+  new Promise((done) => {
+    const D = futurifyAll(dns)
+    const Z = futurifyAll(zlib)
+    const memoryFs = createMemoryFs({ "cool.txt": `so cool` })
+    const F = futurifyAll(memoryFs)
+    expect(Object.keys(D)).toEqual([`lookup`, `lookupService`])
+    expect(Object.keys(Z)).toEqual([`gzip`])
+    expect(F.readFileSync).toBeUndefined()
+    pipe(
+      chain((gzipped) => {
+        expect(gzipped.toString()).toEqual(`9:so cool`)
+        return passFailCallbackWithArity(2, memoryFs.rename)(`cool.txt`)(
+          `new.txt`,
+        )
+      }),
+      chain(() => F.readdir(`.`)),
+      fork(done)((names) => {
+        expect(names).toEqual([`new.txt`])
+        done()
+      }),
+    )(chain(Z.gzip)(F.readFile(`cool.txt`, `utf8`)))
+  }))
+
+test(`futurifyAll - the real modules`, () =>
+  new Promise((done) => {
+    const F = futurifyAll(nodeFs)
+    const D = futurifyAll(nodeDns)
+    const Z = futurifyAll(nodeZlib)
+    // none of these take a Node-style callback, so wrapping them would never settle,
+    // or settle the wrong way
+    const skipped = [
+      [
+        F,
+        [`exists`, `openAsBlob`, `_toUnixTimestamp`, `readFileSync`, `watch`],
+      ],
+      [D, [`getServers`, `setServers`, `getDefaultResultOrder`]],
+      [D, [`setDefaultResultOrder`]],
+      [Z, [`crc32`, `createGzip`, `gzipSync`]],
+    ]
+    skipped.forEach(([wrapped, names]) =>
+      names.forEach((name) => expect(wrapped[name]).toBeUndefined()),
+    )
+    expect(typeof D.resolve4).toEqual(`function`)
+    pipe(
+      chain(([stats, gzipped]) => {
+        expect(stats.isFile()).toBeTruthy()
+        return Z.gunzip(gzipped)
+      }),
+      fork(done)((x) => {
+        expect(x.toString()).toEqual(`so cool`)
+        done()
+      }),
+    )(parallel(2)([F.stat(`package.json`), Z.gzip(`so cool`)]))
+  }))
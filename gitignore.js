@@ -0,0 +1,111 @@
+import { relative, sep } from "node:path"
+import { minimatch } from "minimatch"
+import { curry, filter, map, pipe, reduce, split } from "ramda"
+
+/**
+ * @pageSummary Parse `.gitignore` files and ask whether a path is ignored by them.
+ */
+
+const isRule = (line) => line.trim() !== `` && !line.startsWith(`#`)
+
+// a leading backslash escapes a `#` or `!` which would otherwise mean something
+const unescape = (x) => x.replace(/^\\([#!])/, `$1`)
+
+const toRule = (line) => {
+  const negate = line.startsWith(`!`)
+  let pattern = unescape(negate ? line.slice(1) : line).replace(/\s+$/, ``)
+  const directoryOnly = pattern.endsWith(`/`)
+  if (directoryOnly) pattern = pattern.slice(0, -1)
+  // patterns with a slash anywhere but the end are relative to the .gitignore itself
+  const anchored = pattern.includes(`/`)
+  pattern = pattern.replace(/^\//, ``)
+  return {
+    negate,
+    directoryOnly,
+    pattern: anchored ? pattern : `**/${pattern}`,
+  }
+}
+
+/**
+ * Parse the contents of a `.gitignore` file into a list of rules:
+ *  - `pattern` - a glob, relative to the directory the `.gitignore` is in
+ *  - `negate` - whether the rule un-ignores what it matches, from a leading `!`
+ *  - `directoryOnly` - whether the rule only matches directories, from a trailing `/`
+ * @name parseGitignore
+ * @see {@link isIgnored}
+ * @example
+ * ```js
+ * import { parseGitignore } from 'destined'
+ * parseGitignore('# build\ndist/\n*.log\n!keep.log\n')
+ * // [
+ * //   { negate: false, directoryOnly: true, pattern: '**\/dist' },
+ * //   { negate: false, directoryOnly: false, pattern: '**\/*.log' },
+ * //   { negate: true, directoryOnly: false, pattern: '**\/keep.log' }
+ * // ]
+ * ```
+ */
+export const parseGitignore = pipe(split(/\r?\n/), filter(isRule), map(toRule))
+
+const matches = (rule, path, isDirectory) => {
+  if (rule.directoryOnly && !isDirectory) return false
+  return minimatch(path, rule.pattern, { dot: true })
+}
+
+// the last rule which matches wins, otherwise whatever was decided before
+const decide = (rules, path, isDirectory, ignored) =>
+  reduce(
+    (was, rule) => (matches(rule, path, isDirectory) ? !rule.negate : was),
+    ignored,
+    rules,
+  )
+
+/**
+ * Whether a path is ignored by a list of rules from {@link parseGitignore}.
+ * The path is relative to the directory the `.gitignore` is in, using `/` as a separator,
+ * and the last rule which matches it wins, the same way `git` does.
+ * @name isIgnored
+ * @see {@link parseGitignore}
+ * @see {@link isIgnoredWithin}
+ * @example
+ * ```js
+ * import { isIgnored, parseGitignore } from 'destined'
+ * const rules = parseGitignore('*.log\n!keep.log\n')
+ * isIgnored(rules, 'logs/debug.log', false) // true
+ * isIgnored(rules, 'logs/keep.log', false) // false
+ * ```
+ */
+export const isIgnored = curry(function _isIgnored(rules, path, isDirectory) {
+  return decide(rules, path, isDirectory, false)
+})
+
+/**
+ * Whether a path is ignored by the `.gitignore` files of the directories above it.
+ * Each rule set is `{ base, rules }`, where `base` is the directory the rules came from,
+ * given from the outermost in, so that rules from deeper files win.
+ * Rules never apply to paths outside their `base`.
+ * @name isIgnoredWithin
+ * @see {@link isIgnored}
+ * @example
+ * ```js
+ * import { isIgnoredWithin, parseGitignore } from 'destined'
+ * const ruleSets = [
+ *   { base: '.', rules: parseGitignore('*.log\n') },
+ *   { base: 'logs', rules: parseGitignore('!keep.log\n') },
+ * ]
+ * isIgnoredWithin(ruleSets, 'logs/keep.log', false) // false
+ * ```
+ */
+export const isIgnoredWithin = curry(
+  function _isIgnoredWithin(ruleSets, path, isDirectory) {
+    return reduce(
+      (ignored, { base, rules }) => {
+        const within = relative(base, path).split(sep).join(`/`)
+        // rules only apply beneath the directory they came from
+        if (within === `..` || within.startsWith(`../`)) return ignored
+        return decide(rules, within, isDirectory, ignored)
+      },
+      false,
+      ruleSets,
+    )
+  },
+)
@@ -0,0 +1,67 @@
+import { test, expect } from "vitest"
+import { isIgnored, isIgnoredWithin, parseGitignore } from "./gitignore.js"
+
+const rules = parseGitignore(
+  [
+    `# build output`,
+    `dist/`,
+    `/coverage`,
+    `*.log`,
+    `!keep.log`,
+    `docs/*.md`,
+    `\\#hash`,
+    ``,
+  ].join(`\n`),
+)
+
+test(`parseGitignore`, () => {
+  expect(rules).toEqual([
+    { negate: false, directoryOnly: true, pattern: `**/dist` },
+    { negate: false, directoryOnly: false, pattern: `coverage` },
+    { negate: false, directoryOnly: false, pattern: `**/*.log` },
+    { negate: true, directoryOnly: false, pattern: `**/keep.log` },
+    { negate: false, directoryOnly: false, pattern: `docs/*.md` },
+    { negate: false, directoryOnly: false, pattern: `**/#hash` },
+  ])
+})
+
+test(`isIgnored`, () => {
+  expect(isIgnored(rules, `dist`, true)).toBeTruthy()
+  expect(isIgnored(rules, `packages/cool/dist`, true)).toBeTruthy()
+  expect(isIgnored(rules, `dist`, false)).toBeFalsy()
+  expect(isIgnored(rules, `coverage`, true)).toBeTruthy()
+  expect(isIgnored(rules, `packages/coverage`, true)).toBeFalsy()
+  expect(isIgnored(rules, `logs/debug.log`, false)).toBeTruthy()
+  expect(isIgnored(rules, `logs/keep.log`, false)).toBeFalsy()
+  expect(isIgnored(rules, `docs/README.md`, false)).toBeTruthy()
+  expect(isIgnored(rules, `docs/api/README.md`, false)).toBeFalsy()
+  expect(isIgnored(rules, `#hash`, false)).toBeTruthy()
+})
+
+test(`isIgnoredWithin`, () => {
+  const ruleSets = [
+    { base: `.`, rules: parseGitignore(`*.log\nbuild/\n`) },
+    { base: `logs`, rules: parseGitignore(`!keep.log\n/tmp\n`) },
+  ]
+  expect(isIgnoredWithin(ruleSets, `debug.log`, false)).toBeTruthy()
+  expect(isIgnoredWithin(ruleSets, `logs/debug.log`, false)).toBeTruthy()
+  expect(isIgnoredWithin(ruleSets, `logs/keep.log`, false)).toBeFalsy()
+  expect(isIgnoredWithin(ruleSets, `logs/old/keep.log`, false)).toBeFalsy()
+  expect(isIgnoredWithin(ruleSets, `keep.log`, false)).toBeTruthy()
+  expect(isIgnoredWithin(ruleSets, `src/keep.log`, false)).toBeTruthy()
+  expect(isIgnoredWithin(ruleSets, `logs/tmp`, true)).toBeTruthy()
+  expect(isIgnoredWithin(ruleSets, `tmp`, true)).toBeFalsy()
+  expect(isIgnoredWithin(ruleSets, `logs/build`, true)).toBeTruthy()
+})
+
+test(`isIgnoredWithin - paths outside a base`, () => {
+  const ruleSets = [{ base: `packages/cool`, rules: parseGitignore(`*\n`) }]
+  expect(
+    isIgnoredWithin(ruleSets, `packages/cool/index.js`, false),
+  ).toBeTruthy()
+  expect(
+    isIgnoredWithin(ruleSets, `packages/other/index.js`, false),
+  ).toBeFalsy()
+  expect(isIgnoredWithin(ruleSets, `packages`, true)).toBeFalsy()
+  expect(isIgnoredWithin(ruleSets, `../index.js`, false)).toBeFalsy()
+})
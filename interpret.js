@@ -1,5 +1,11 @@
-import { Future } from "fluture"
-import { curry, pipe } from "ramda"
+import { readFile } from "node:fs"
+import { createRequire } from "node:module"
+import { dirname, extname, join, resolve as resolvePath } from "node:path"
+import { pathToFileURL } from "node:url"
+import { Future, chain, coalesce, encase, map, resolve } from "fluture"
+import { curry, identity, pipe, propEq, __ as $ } from "ramda"
+import { digUp } from "./dig-up.js"
+import { toImportError } from "./errors.js"
 function noOp() {}
 
 const handleDefault = (rawPlug) => {
@@ -12,10 +18,26 @@ const handleDefault = (rawPlug) => {
   return out
 }
 
+/**
+ * Import a module as a Future-wrapped value, given a cancellation function.
+ * `import()` can't be aborted, so cancelling only calls `cancel` and ignores the module.
+ * @name interpretWithCancel
+ * @see {@link interpret}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { interpretWithCancel } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   interpretWithCancel(cancellationFn, './cool.config.mjs')
+ * )
+ * ```
+ */
 export const interpretWithCancel = curry(
   function _interpretWithCancel(cancel, filepath) {
     return Future(function interpretF(bad, good) {
-      import(filepath).catch(bad).then(pipe(handleDefault, good))
+      import(filepath).then(pipe(handleDefault, good), (e) =>
+        bad(toImportError(`interpret`, filepath, e)),
+      )
       return cancel
     })
   },
@@ -23,18 +45,139 @@ export const interpretWithCancel = curry(
 export const interpret = interpretWithCancel(noOp)
 export const importF = interpret
 
-export const demandWithCancel = curry(
-  function _demandWithCancel(cancel, filepath) {
+// `require` doesn't exist in ES modules, so we make one relative to a given directory
+const requireFrom = (base) => createRequire(join(resolvePath(base), `noop.js`))
+
+/**
+ * Require a CommonJS module as a Future-wrapped value, with configuration and cancellation.
+ * Configuration:
+ *  - `base` - the directory that relative paths are resolved from, defaults to `process.cwd()`
+ *  - `reload` - remove the module from the require cache first, so changes are picked up
+ *
+ * `require` is synchronous, so there is nothing left to abort by the time the Future
+ * can be cancelled; `cancel` is only called as a hook.
+ * @curried
+ *
+ *  1. demandWithConfigAndCancel - Configuration and cancellation
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { demandWithConfigAndCancel } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       demandWithConfigAndCancel(cancellationFn, { reload: true }, './cool.config.cjs')
+ *     )
+ *     ```
+ *
+ *  2. demandWithConfig - No cancellation, just config
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { demandWithConfig } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       demandWithConfig({ base: 'packages/cool' }, './cool.config.cjs')
+ *     )
+ *     ```
+ *
+ *  3. demandWithCancel - No config, just cancellation. Aliased to `requireF`.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { demandWithCancel } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       demandWithCancel(cancellationFn, './cool.config.cjs')
+ *     )
+ *     ```
+ */
+export const demandWithConfigAndCancel = curry(
+  function _demandWithConfigAndCancel(cancel, conf, filepath) {
+    const { base = process.cwd(), reload = false } = conf
     return Future(function demandF(bad, good) {
       try {
+        const require = requireFrom(base)
+        if (reload) delete require.cache[require.resolve(filepath)]
         good(require(filepath))
       } catch (e) {
-        bad(e)
+        bad(toImportError(`demand`, filepath, e))
       }
       return cancel
     })
   },
 )
-
+export const demandWithConfig = demandWithConfigAndCancel(noOp)
+export const demandWithCancel = demandWithConfigAndCancel($, {})
 export const demand = demandWithCancel(noOp)
 export const requireF = demand
+
+// modules only ever come from disk, so this reads with `node:fs` rather than a backend
+const readPackage = (filepath) =>
+  Future((bad, good) => {
+    readFile(filepath, `utf8`, (e, raw) => (e ? bad(e) : good(raw)))
+    return noOp
+  })
+
+// whether the nearest package.json says that `.js` files are ES modules
+const isModule = pipe(
+  (filepath) => digUp({ cwd: dirname(filepath) }, `package.json`),
+  chain(readPackage),
+  chain(encase(JSON.parse)),
+  map(propEq(`module`, `type`)),
+  coalesce(() => false)(identity),
+)
+
+/**
+ * Load a module as a Future-wrapped value, choosing between `import` and `require`
+ * the same way Node does: `.mjs` files are imported, `.cjs` and `.json` files are required
+ * and `.js` files depend upon the `type` of the nearest `package.json`.
+ * Configuration is shared with `demandWithConfig`, and `reload` works for both kinds of module.
+ * @curried
+ *
+ *  1. loadModuleWithConfigAndCancel - Configuration and cancellation
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { loadModuleWithConfigAndCancel } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       loadModuleWithConfigAndCancel(cancellationFn, { reload: true }, './cool.config.js')
+ *     )
+ *     ```
+ *
+ *  2. loadModuleWithConfig - No cancellation, just config
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { loadModuleWithConfig } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       loadModuleWithConfig({ base: 'packages/cool' }, './cool.config.js')
+ *     )
+ *     ```
+ *
+ *  3. loadModule - Load relative to `process.cwd()`.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { loadModule } from 'destined'
+ *     fork(console.warn)(console.log)(loadModule('./cool.config.js'))
+ *     ```
+ */
+export const loadModuleWithConfigAndCancel = curry(
+  function _loadModuleWithConfigAndCancel(cancel, conf, filepath) {
+    const { base = process.cwd(), reload = false } = conf
+    const absolute = resolvePath(base, filepath)
+    const extension = extname(absolute)
+    const importIt = () => {
+      const url = pathToFileURL(absolute)
+      // ES modules can't be evicted from the cache, so we import a fresh copy instead
+      if (reload) url.searchParams.set(`reload`, `${Date.now()}`)
+      return interpretWithCancel(cancel, url.href)
+    }
+    const requireIt = () => demandWithConfigAndCancel(cancel, conf, absolute)
+    if (extension === `.mjs`) return importIt()
+    if (extension === `.cjs` || extension === `.json`) return requireIt()
+    return pipe(
+      map((esm) => (esm ? importIt() : requireIt())),
+      chain(identity),
+    )(extension === `.js` ? isModule(absolute) : resolve(false))
+  },
+)
+export const loadModuleWithConfig = loadModuleWithConfigAndCancel(noOp)
+export const loadModule = loadModuleWithConfig({})
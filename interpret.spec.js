@@ -1,6 +1,34 @@
-import { fork } from "fluture"
-import { test, expect } from "vitest"
-import { interpret } from "./interpret.js"
+import path from "node:path"
+import { chain, fork } from "fluture"
+import { pipe } from "ramda"
+import { afterAll, beforeAll, test, expect } from "vitest"
+import { rimraf, transactionWithConfig, writeFile } from "./fs.js"
+import {
+  demand,
+  demandWithConfig,
+  interpret,
+  loadModule,
+  loadModuleWithConfig,
+} from "./interpret.js"
+
+const DIR = path.resolve(__dirname, `interpret-dir`)
+const at = (x) => path.join(DIR, x)
+
+beforeAll(
+  () =>
+    new Promise((done) => {
+      fork(done)(() => done())(
+        transactionWithConfig({ autoPath: true }, [
+          [at(`counter.cjs`), `module.exports = { count: 1 }`],
+          [at(`esm/package.json`), `{ "type": "module" }`],
+          [at(`esm/thing.js`), `export default { kind: "esm" }`],
+          [at(`cjs/package.json`), `{ "type": "commonjs" }`],
+          [at(`cjs/thing.js`), `module.exports = { kind: "cjs" }`],
+          [at(`thing.mjs`), `export const kind = "mjs"`],
+        ]),
+      )
+    }),
+)
 
 test(`interpret`, () =>
   new Promise((done) => {
@@ -10,3 +38,63 @@ test(`interpret`, () =>
       done()
     })(interpret(`./fixture/raw.js`))
   }))
+
+test(`demand`, () =>
+  new Promise((done) => {
+    fork(done)((x) => {
+      expect(x).toEqual({ count: 1 })
+      done()
+    })(demand(at(`counter.cjs`)))
+  }))
+
+test(`demandWithConfig - reload`, () =>
+  new Promise((done) => {
+    pipe(
+      chain(() =>
+        writeFile(at(`counter.cjs`), `module.exports = { count: 2 }`),
+      ),
+      chain(() => demandWithConfig({ base: DIR }, `./counter.cjs`)),
+      chain((cached) => {
+        expect(cached).toEqual({ count: 1 })
+        return demandWithConfig({ base: DIR, reload: true }, `./counter.cjs`)
+      }),
+      fork(done)((x) => {
+        expect(x).toEqual({ count: 2 })
+        done()
+      }),
+    )(demandWithConfig({ base: DIR }, `./counter.cjs`))
+  }))
+
+test(`demand - fail`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`ImportError`)
+      expect(e.code).toEqual(`MODULE_NOT_FOUND`)
+      done()
+    })(done)(demand(`./no-such-module.cjs`))
+  }))
+
+test(`loadModule`, () =>
+  new Promise((done) => {
+    pipe(
+      chain((esm) => {
+        expect(esm).toEqual({ kind: `esm` })
+        return loadModuleWithConfig({ base: DIR }, `cjs/thing.js`)
+      }),
+      chain((cjs) => {
+        expect(cjs).toEqual({ kind: `cjs` })
+        return loadModule(at(`thing.mjs`))
+      }),
+      fork(done)((mjs) => {
+        expect(mjs.kind).toEqual(`mjs`)
+        done()
+      }),
+    )(loadModule(at(`esm/thing.js`)))
+  }))
+
+afterAll(
+  () =>
+    new Promise((done) => {
+      fork(done)(() => done())(rimraf(DIR))
+    }),
+)
@@ -1,2 +0,0 @@
-import { complextrace } from "envtrace"
-export const log = complextrace(`destined`, [`fs`, `future`, `path`])
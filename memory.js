@@ -0,0 +1,879 @@
+import { Buffer } from "node:buffer"
+import nodeFs from "node:fs"
+import { constants as osConstants, tmpdir } from "node:os"
+import { basename, dirname, join, relative, resolve, sep } from "node:path"
+import { chain, curry, filter, forEach, identity, keys, sortBy } from "ramda"
+
+/**
+ * @pageSummary An in-memory `fs` backend, for hermetic tests of anything built on `destined`.
+ */
+
+const { S_IFDIR, S_IFLNK, S_IFREG, COPYFILE_EXCL } = nodeFs.constants
+const TYPE_BITS = { directory: S_IFDIR, file: S_IFREG, symlink: S_IFLNK }
+
+// as many symlinks as Linux will follow when resolving a path
+const MAX_LINKS = 40
+
+const MESSAGES = {
+  EACCES: `permission denied`,
+  EBADF: `bad file descriptor`,
+  EBUSY: `resource busy or locked`,
+  EEXIST: `file already exists`,
+  EINVAL: `invalid argument`,
+  EISDIR: `illegal operation on a directory`,
+  ELOOP: `too many symbolic links encountered`,
+  ENOENT: `no such file or directory`,
+  ENOTDIR: `not a directory`,
+  ENOTEMPTY: `directory not empty`,
+}
+
+// an error which looks just like the ones `node:fs` throws
+const systemError = curry(function _systemError(code, syscall, path) {
+  const message = MESSAGES[code] ?? code.toLowerCase()
+  return Object.assign(new Error(`${code}: ${message}, ${syscall} '${path}'`), {
+    code,
+    errno: -(osConstants.errno[code] ?? 0),
+    syscall,
+    path,
+  })
+})
+
+const abortError = () =>
+  Object.assign(new Error(`The operation was aborted`), {
+    name: `AbortError`,
+    code: `ABORT_ERR`,
+  })
+
+// pull an optional options argument off the front of a callback
+const withOptions = (opts, cb) => {
+  if (typeof opts === `function`) return [{}, opts]
+  if (typeof opts === `string`) return [{ encoding: opts }, cb]
+  return [opts ?? {}, cb]
+}
+
+// call back asynchronously, as `node:fs` does, with the list of values `fn` returns
+const later = (cb, fn) =>
+  setImmediate(() => {
+    let result
+    try {
+      result = fn()
+    } catch (e) {
+      cb(e)
+      return
+    }
+    cb(null, ...result)
+  })
+
+const promised = (fn) => (path, opts) =>
+  new Promise((good, bad) => {
+    fn(path, opts ?? {}, (e, x) => (e ? bad(e) : good(x)))
+  })
+
+const isDirectoryNode = (node) => node.type === `directory`
+
+// in a JSON tree, objects are directories and anything else is the content of a file
+const isBranch = (x) =>
+  x !== null && typeof x === `object` && !Buffer.isBuffer(x)
+
+// six characters, like the ones `mkdtemp` adds to a prefix
+const randomSuffix = () => Math.random().toString(36).slice(2, 8).padEnd(6, `0`)
+
+// `truncate` can be called without a length
+const withLength = (len, cb) =>
+  typeof len === `function` ? [0, len] : [len, cb]
+
+// modes can be given as octal strings, and times as dates or seconds since the epoch
+const toMode = (x) => (typeof x === `string` ? parseInt(x, 8) : x) & 0o7777
+const toMs = (x) => (x instanceof Date ? x.getTime() : Number(x) * 1000)
+
+// `mkdir` can be given either a mode or an object of options
+const directoryOptions = (x) => (typeof x === `number` ? { mode: x } : x)
+
+class MemoryStats {
+  #type
+  constructor(node) {
+    const size = isDirectoryNode(node) ? 4096 : node.size
+    this.dev = 0
+    this.ino = node.ino
+    this.mode = TYPE_BITS[node.type] | node.mode
+    this.nlink = 1
+    this.uid = node.uid
+    this.gid = node.gid
+    this.rdev = 0
+    this.size = size
+    this.blksize = 4096
+    this.blocks = Math.ceil(size / 512)
+    this.atimeMs = node.atimeMs
+    this.mtimeMs = node.mtimeMs
+    this.ctimeMs = node.mtimeMs
+    this.birthtimeMs = node.birthtimeMs
+    this.atime = new Date(node.atimeMs)
+    this.mtime = new Date(node.mtimeMs)
+    this.ctime = new Date(node.mtimeMs)
+    this.birthtime = new Date(node.birthtimeMs)
+    this.#type = node.type
+  }
+  isFile() {
+    return this.#type === `file`
+  }
+  isDirectory() {
+    return this.#type === `directory`
+  }
+  isSymbolicLink() {
+    return this.#type === `symlink`
+  }
+  isBlockDevice() {
+    return false
+  }
+  isCharacterDevice() {
+    return false
+  }
+  isFIFO() {
+    return false
+  }
+  isSocket() {
+    return false
+  }
+}
+
+class MemoryDirent extends MemoryStats {
+  constructor(node, name, parentPath) {
+    super(node)
+    this.name = name
+    this.parentPath = parentPath
+    this.path = parentPath
+  }
+}
+
+/**
+ * Create an in-memory stand-in for `node:fs`, to be given to {@link destinedWith}.
+ * Relative paths are resolved against `cwd`, which defaults to `process.cwd()`.
+ * It can be seeded with a JSON tree, where objects are directories and strings are files.
+ * Beyond the `fs` API, it has a few helpers for testing:
+ *  - `seed(tree)` - add a JSON tree of files and directories
+ *  - `snapshot(dir)` - the current state of a directory as a JSON tree, defaulting to `cwd`
+ *  - `fail(path, code, { operations, times })` - make `operations` on a path (and anything
+ *    within it) fail with an error `code`, `times` times; all operations fail forever by default
+ *  - `heal(path)` - stop failing a given path, or every path when not given one
+ *
+ * Given a `lower` fs, it becomes a copy-on-write layer over it: anything not yet in memory
+ * is read from the lower fs, which is never changed. Then `changes()` lists what would need to
+ * happen to the lower fs to match, as `{ type, path }` objects where `type` is one of
+ * `mkdir`, `remove` (with the `kind` of thing removed), `write` (with `before` and `after`),
+ * `symlink` (with its `target`), `chmod` (with the new `mode`), `chown` (with the new `uid`
+ * and `gid`) or `utimes` (with the new `atime` and `mtime`, as `Date`s).
+ * Symlinks in the lower fs are seen as whatever they point at.
+ * Without a lower fs, it starts with an empty `os.tmpdir()`, for `mkdtemp` to make things in.
+ * @name createMemoryFs
+ * @see {@link destinedWith}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { createMemoryFs, destinedWith } from 'destined'
+ * const memoryFs = createMemoryFs({ src: { 'index.js': 'export default 1' } })
+ * memoryFs.fail('src/index.js', 'EACCES', { operations: ['readFile'] })
+ * const { readFile } = destinedWith(memoryFs)
+ * fork((e) => console.log(e.tag))(console.log)(readFile('src/index.js'))
+ * // PermissionDenied
+ * ```
+ */
+export const createMemoryFs = (
+  tree = {},
+  { cwd = process.cwd(), lower = null } = {},
+) => {
+  const root = resolve(`/`)
+  const nodes = new Map()
+  const descriptors = new Map()
+  const failures = new Map()
+  const hidden = new Set()
+  const listed = new Set()
+  let inodes = 0
+  let nextFd = 3
+
+  const toAbsolute = (x) => resolve(cwd, String(x))
+  const within = (parent, x) => x === parent || x.startsWith(parent + sep)
+  const childrenOf = (dir) => {
+    if (lower && !listed.has(dir) && !isHidden(dir)) {
+      listed.add(dir)
+      try {
+        forEach((name) => getNode(join(dir, name)), lower.readdirSync(dir))
+      } catch {
+        // not a directory in the lower fs
+      }
+    }
+    return sortBy(
+      identity,
+      filter((x) => x !== dir && dirname(x) === dir, Array.from(nodes.keys())),
+    )
+  }
+  const descendantsOf = (dir) =>
+    chain((x) => {
+      const node = nodes.get(x)
+      return isDirectoryNode(node) ? [x, ...descendantsOf(x)] : [x]
+    }, childrenOf(dir))
+
+  const makeNode = (type, mode, data) => {
+    const now = Date.now()
+    inodes += 1
+    return {
+      type,
+      mode,
+      data,
+      ino: inodes,
+      uid: process.getuid?.() ?? 0,
+      gid: process.getgid?.() ?? 0,
+      atimeMs: now,
+      mtimeMs: now,
+      birthtimeMs: now,
+      get size() {
+        return this.data.length
+      },
+    }
+  }
+
+  // anything hidden has been removed or replaced, so it is never read from the lower fs
+  const isHidden = (path) => Array.from(hidden).some((x) => within(x, path))
+
+  // a node which mirrors the lower fs, reading its content only when it is needed
+  const lowerNode = (path, stats) => {
+    const type = stats.isDirectory() ? `directory` : `file`
+    const node = makeNode(type, stats.mode & 0o7777)
+    let data = null
+    return Object.defineProperties(node, {
+      data: {
+        enumerable: true,
+        get: () => (data ??= lower.readFileSync(path)),
+        set: (x) => {
+          data = x
+          node.dirty = true
+        },
+      },
+      size: { get: () => (data ? data.length : stats.size) },
+      lowerPath: { value: path },
+      atimeMs: { value: stats.atimeMs, writable: true },
+      mtimeMs: { value: stats.mtimeMs, writable: true },
+      birthtimeMs: { value: stats.birthtimeMs },
+    })
+  }
+
+  // copy-on-write: anything not yet in memory is read from the lower fs, if there is one
+  const getNode = (path) => {
+    if (nodes.has(path)) return nodes.get(path)
+    if (!lower || isHidden(path)) return undefined
+    let stats
+    try {
+      stats = lower.statSync(path)
+    } catch {
+      return undefined
+    }
+    const node = lowerNode(path, stats)
+    nodes.set(path, node)
+    return node
+  }
+  const deleteNode = (path) => {
+    nodes.delete(path)
+    if (lower) hidden.add(path)
+  }
+
+  // throw any injected failure for an operation on a path
+  const check = (operation, path) => {
+    for (const [failing, rule] of failures) {
+      const matches = !rule.operations || rule.operations.includes(operation)
+      if (within(failing, path) && matches && rule.times > 0) {
+        rule.times -= 1
+        throw systemError(rule.code, operation, path)
+      }
+    }
+  }
+
+  const hasNode = (path) => Boolean(getNode(path))
+
+  const lookup = (operation, path) => {
+    check(operation, path)
+    const node = getNode(path)
+    if (node) return node
+    const parent = dirname(path)
+    if (parent !== path && getNode(parent)?.type === `file`) {
+      throw systemError(`ENOTDIR`, operation, path)
+    }
+    throw systemError(`ENOENT`, operation, path)
+  }
+  const lookupFile = (operation, path) => {
+    const node = lookup(operation, path)
+    if (isDirectoryNode(node)) throw systemError(`EISDIR`, operation, path)
+    return node
+  }
+  const parentOf = (operation, path) => {
+    const parent = getNode(dirname(path))
+    if (!parent) throw systemError(`ENOENT`, operation, path)
+    if (!isDirectoryNode(parent)) throw systemError(`ENOTDIR`, operation, path)
+    return parent
+  }
+
+  // resolve the symlinks along a path, and at the end of it too when `follow` is set
+  const realPathOf = (operation, path, follow, hops = 0) => {
+    const parts = relative(root, path).split(sep).filter(Boolean)
+    let current = root
+    for (let i = 0; i < parts.length; i += 1) {
+      const next = join(current, parts[i])
+      const node = getNode(next)
+      const last = i === parts.length - 1
+      if (node?.type === `symlink` && (follow || !last)) {
+        if (hops >= MAX_LINKS) throw systemError(`ELOOP`, operation, path)
+        const rest = parts.slice(i + 1)
+        const target = join(resolve(current, node.target), ...rest)
+        return realPathOf(operation, target, follow, hops + 1)
+      }
+      current = next
+    }
+    return current
+  }
+  const followed = (operation, x) => realPathOf(operation, toAbsolute(x), true)
+  const unfollowed = (operation, x) =>
+    realPathOf(operation, toAbsolute(x), false)
+
+  const makeDirectory = (operation, path, mode = 0o777) => {
+    check(operation, path)
+    parentOf(operation, path)
+    if (hasNode(path)) throw systemError(`EEXIST`, operation, path)
+    nodes.set(path, makeNode(`directory`, mode & 0o7777))
+    return path
+  }
+  // make a directory and all of its parents, returning the first one created
+  const makeDirectories = (operation, path, mode, code = `EEXIST`) => {
+    const existing = getNode(path)
+    if (existing) {
+      if (!isDirectoryNode(existing)) throw systemError(code, operation, path)
+      return undefined
+    }
+    const first = makeDirectories(operation, dirname(path), mode, `ENOTDIR`)
+    makeDirectory(operation, path, mode)
+    return first ?? path
+  }
+
+  const store = (operation, path, data, { flag = `w`, mode = 0o666 } = {}) => {
+    check(operation, path)
+    const existing = getNode(path)
+    if (existing && isDirectoryNode(existing)) {
+      throw systemError(`EISDIR`, operation, path)
+    }
+    if (existing && flag.includes(`x`)) {
+      throw systemError(`EEXIST`, operation, path)
+    }
+    if (!existing) {
+      parentOf(operation, path)
+      nodes.set(path, makeNode(`file`, mode & 0o7777, data))
+      return
+    }
+    existing.data = flag.startsWith(`a`)
+      ? Buffer.concat([existing.data, data])
+      : data
+    existing.mtimeMs = Date.now()
+  }
+
+  const toBuffer = (data, encoding) =>
+    Buffer.isBuffer(data) ? data : Buffer.from(data, encoding ?? `utf8`)
+
+  const descriptor = (operation, fd) => {
+    const open = descriptors.get(fd)
+    if (!open) throw systemError(`EBADF`, operation, fd)
+    return open
+  }
+
+  // write a chunk to an open file, at a position or wherever the descriptor is up to
+  const writeAt = (open, chunk, position) => {
+    const node = lookupFile(`write`, open.path)
+    const at = open.flags.startsWith(`a`)
+      ? node.data.length
+      : (position ?? open.position)
+    const data = Buffer.alloc(Math.max(node.data.length, at + chunk.length))
+    node.data.copy(data)
+    chunk.copy(data, at)
+    node.data = data
+    node.mtimeMs = Date.now()
+    if (position == null) open.position = at + chunk.length
+    return chunk.length
+  }
+
+  const readAll = (operation, x) => {
+    if (typeof x === `number`) {
+      const open = descriptor(operation, x)
+      return lookupFile(operation, open.path).data.subarray(open.position)
+    }
+    return lookupFile(operation, followed(operation, x)).data
+  }
+
+  const removeTree = (path) => {
+    forEach(
+      (x) => nodes.delete(x),
+      filter((x) => within(path, x), Array.from(nodes.keys())),
+    )
+    deleteNode(path)
+  }
+
+  // turn a JSON tree into files and directories, within a given directory
+  const seedAt = (dir, branch) => {
+    makeDirectories(`seed`, dir)
+    forEach((name) => {
+      const value = branch[name]
+      const path = join(dir, name)
+      if (isBranch(value)) {
+        seedAt(path, value)
+        return
+      }
+      makeDirectories(`seed`, dirname(path))
+      store(`seed`, path, toBuffer(value))
+    }, keys(branch))
+  }
+
+  const snapshotAt = (dir) => {
+    const node = lookup(`snapshot`, dir)
+    if (!isDirectoryNode(node)) return node.data.toString(`utf8`)
+    const branch = {}
+    forEach((x) => {
+      branch[basename(x)] = snapshotAt(x)
+    }, childrenOf(dir))
+    return branch
+  }
+
+  const lowerStats = (path) => {
+    try {
+      return lower.statSync(path)
+    } catch {
+      return null
+    }
+  }
+  const typeOf = (stats) => (stats.isDirectory() ? `directory` : `file`)
+  const change = (type, path, rest = {}) => ({
+    type,
+    path: relative(cwd, path),
+    ...rest,
+  })
+
+  // everything in the lower fs beneath a hidden path which is gone from memory
+  const removedFrom = (path) => {
+    const before = lowerStats(path)
+    if (!before) return []
+    const now = nodes.get(path)
+    if (!now || now.type !== typeOf(before)) {
+      return [change(`remove`, path, { kind: typeOf(before) })]
+    }
+    if (!isDirectoryNode(now)) return []
+    return chain(
+      (name) => removedFrom(join(path, name)),
+      sortBy(identity, lower.readdirSync(path)),
+    )
+  }
+
+  // any changes of mode, owner or times made to a node in memory
+  const attributesOf = (path, node) => {
+    const changes = []
+    if (node.chmodded) changes.push(change(`chmod`, path, { mode: node.mode }))
+    if (node.chowned) {
+      changes.push(change(`chown`, path, { uid: node.uid, gid: node.gid }))
+    }
+    if (node.touched) {
+      const atime = new Date(node.atimeMs)
+      const mtime = new Date(node.mtimeMs)
+      changes.push(change(`utimes`, path, { atime, mtime }))
+    }
+    return changes
+  }
+
+  // every directory made and every file written in memory, which differs from the lower fs
+  const createdIn = ([path, node]) => {
+    if (path === root) return []
+    const modes = attributesOf(path, node)
+    if (node.lowerPath === path && !node.dirty) return modes
+    if (node.type === `symlink`) {
+      return [change(`symlink`, path, { target: node.target })]
+    }
+    const before = lowerStats(path)
+    const replaced = before && typeOf(before) === node.type ? before : null
+    if (isDirectoryNode(node)) {
+      return replaced ? modes : [change(`mkdir`, path), ...modes]
+    }
+    const previous = replaced ? lower.readFileSync(path) : null
+    if (previous && previous.equals(node.data)) return modes
+    return [
+      change(`write`, path, { before: previous, after: node.data }),
+      ...modes,
+    ]
+  }
+
+  const changesFromLower = () => {
+    const outermost = filter(
+      (x) => !Array.from(hidden).some((y) => y !== x && within(y, x)),
+      sortBy(identity, Array.from(hidden)),
+    )
+    return [
+      ...chain(removedFrom, outermost),
+      ...chain(
+        createdIn,
+        sortBy(([x]) => x, Array.from(nodes.entries())),
+      ),
+    ]
+  }
+
+  const memoryFs = {
+    constants: nodeFs.constants,
+    seed(branch) {
+      seedAt(toAbsolute(`.`), branch)
+      return memoryFs
+    },
+    snapshot(dir = `.`) {
+      return snapshotAt(toAbsolute(dir))
+    },
+    fail(path, code, { operations = null, times = Infinity } = {}) {
+      failures.set(toAbsolute(path), { code, operations, times })
+      return memoryFs
+    },
+    heal(path) {
+      if (path == null) failures.clear()
+      else failures.delete(toAbsolute(path))
+      return memoryFs
+    },
+    changes() {
+      return lower ? changesFromLower() : []
+    },
+    access(path, mode, cb) {
+      const [permissions, callback] = withOptions(mode, cb)
+      later(callback, () => {
+        const absolute = followed(`access`, path)
+        const node = lookup(`access`, absolute)
+        // only the owner's bits count, as everything in memory belongs to us
+        const wanted = typeof permissions === `number` ? permissions : 0
+        if (((node.mode >> 6) & wanted) !== wanted) {
+          throw systemError(`EACCES`, `access`, absolute)
+        }
+        return []
+      })
+    },
+    stat(path, opts, cb) {
+      const [, callback] = withOptions(opts, cb)
+      later(callback, () => [memoryFs.statSync(path)])
+    },
+    statSync(path) {
+      return new MemoryStats(lookup(`stat`, followed(`stat`, path)))
+    },
+    lstat(path, opts, cb) {
+      const [, callback] = withOptions(opts, cb)
+      later(callback, () => [memoryFs.lstatSync(path)])
+    },
+    lstatSync(path) {
+      return new MemoryStats(lookup(`lstat`, unfollowed(`lstat`, path)))
+    },
+    readdir(path, opts, cb) {
+      const [options, callback] = withOptions(opts, cb)
+      later(callback, () => [memoryFs.readdirSync(path, options)])
+    },
+    readdirSync(path, opts = {}) {
+      const dir = followed(`readdir`, path)
+      const node = lookup(`readdir`, dir)
+      if (!isDirectoryNode(node)) throw systemError(`ENOTDIR`, `readdir`, dir)
+      const children = childrenOf(dir)
+      if (!opts.withFileTypes) return children.map((x) => basename(x))
+      return children.map((x) => new MemoryDirent(getNode(x), basename(x), dir))
+    },
+    readlink(path, opts, cb) {
+      const [, callback] = withOptions(opts, cb)
+      later(callback, () => [memoryFs.readlinkSync(path)])
+    },
+    readlinkSync(path) {
+      const absolute = unfollowed(`readlink`, path)
+      const node = lookup(`readlink`, absolute)
+      if (node.type !== `symlink`) {
+        throw systemError(`EINVAL`, `readlink`, absolute)
+      }
+      return node.target
+    },
+    realpath(path, opts, cb) {
+      const [, callback] = withOptions(opts, cb)
+      later(callback, () => [memoryFs.realpathSync(path)])
+    },
+    realpathSync(path) {
+      const absolute = followed(`realpath`, path)
+      lookup(`realpath`, absolute)
+      return absolute
+    },
+    mkdir(path, opts, cb) {
+      const [options, callback] = withOptions(opts, cb)
+      const { recursive = false, mode } = directoryOptions(options)
+      later(callback, () => {
+        const absolute = unfollowed(`mkdir`, path)
+        if (recursive) return [makeDirectories(`mkdir`, absolute, mode)]
+        makeDirectory(`mkdir`, absolute, mode)
+        return []
+      })
+    },
+    mkdtemp(prefix, opts, cb) {
+      const [, callback] = withOptions(opts, cb)
+      later(callback, () => {
+        let path
+        do {
+          path = prefix + randomSuffix()
+        } while (hasNode(toAbsolute(path)))
+        makeDirectory(`mkdtemp`, toAbsolute(path), 0o700)
+        return [path]
+      })
+    },
+    readFile(path, opts, cb) {
+      const [options, callback] = withOptions(opts, cb)
+      later(callback, () => {
+        if (options.signal?.aborted) throw abortError()
+        return [memoryFs.readFileSync(path, options)]
+      })
+    },
+    readFileSync(path, opts) {
+      const [{ encoding }] = withOptions(opts)
+      const data = Buffer.from(readAll(`readFile`, path))
+      return encoding ? data.toString(encoding) : data
+    },
+    writeFile(path, data, opts, cb) {
+      const [options, callback] = withOptions(opts, cb)
+      later(callback, () => {
+        if (options.signal?.aborted) throw abortError()
+        const content = toBuffer(data, options.encoding)
+        if (typeof path === `number`) {
+          writeAt(descriptor(`write`, path), content, null)
+          return []
+        }
+        store(`writeFile`, followed(`writeFile`, path), content, options)
+        return []
+      })
+    },
+    appendFile(path, data, opts, cb) {
+      const [options, callback] = withOptions(opts, cb)
+      memoryFs.writeFile(path, data, { ...options, flag: `a` }, callback)
+    },
+    open(path, flags, mode, cb) {
+      const [fileMode, callback] = withOptions(mode, cb)
+      later(callback, () => {
+        const absolute = followed(`open`, path)
+        const flag = flags ?? `r`
+        const existing = flag.startsWith(`r`)
+          ? lookupFile(`open`, absolute)
+          : getNode(absolute)
+        if (!existing) {
+          const permissions = typeof fileMode === `number` ? fileMode : 0o666
+          store(`open`, absolute, Buffer.alloc(0), { mode: permissions })
+        } else if (flag.includes(`x`)) {
+          throw systemError(`EEXIST`, `open`, absolute)
+        } else if (isDirectoryNode(existing)) {
+          throw systemError(`EISDIR`, `open`, absolute)
+        } else if (flag.startsWith(`w`)) {
+          existing.data = Buffer.alloc(0)
+          existing.mtimeMs = Date.now()
+        }
+        const fd = nextFd
+        nextFd += 1
+        descriptors.set(fd, { path: absolute, flags: flag, position: 0 })
+        return [fd]
+      })
+    },
+    close(fd, cb) {
+      later(cb, () => {
+        descriptor(`close`, fd)
+        descriptors.delete(fd)
+        return []
+      })
+    },
+    fsync(fd, cb) {
+      later(cb, () => {
+        descriptor(`fsync`, fd)
+        return []
+      })
+    },
+    read(fd, buffer, offset, length, position, cb) {
+      later(cb, () => {
+        const open = descriptor(`read`, fd)
+        const data = lookupFile(`read`, open.path).data
+        const from = position ?? open.position
+        const bytes = data.copy(buffer, offset, from, from + length)
+        if (position == null) open.position += bytes
+        return [bytes, buffer]
+      })
+    },
+    write(fd, buffer, ...rest) {
+      const cb = rest.pop()
+      const isString = typeof buffer === `string`
+      const [offset, length, position] = isString
+        ? [0, undefined, rest[0]]
+        : rest
+      const encoding = isString ? rest[1] : undefined
+      later(cb, () => {
+        const start = offset ?? 0
+        const end = length == null ? undefined : start + length
+        const chunk = toBuffer(buffer, encoding).subarray(start, end)
+        return [writeAt(descriptor(`write`, fd), chunk, position), buffer]
+      })
+    },
+    rename(from, to, cb) {
+      later(cb, () => {
+        const source = unfollowed(`rename`, from)
+        const target = unfollowed(`rename`, to)
+        const node = lookup(`rename`, source)
+        check(`rename`, target)
+        parentOf(`rename`, target)
+        const existing = getNode(target)
+        const replacing = existing?.type ?? null
+        if (replacing === `directory` && !isDirectoryNode(node)) {
+          throw systemError(`EISDIR`, `rename`, target)
+        }
+        if (replacing === `file` && isDirectoryNode(node)) {
+          throw systemError(`ENOTDIR`, `rename`, target)
+        }
+        if (replacing === `directory` && childrenOf(target).length) {
+          throw systemError(`ENOTEMPTY`, `rename`, target)
+        }
+        if (within(source, target) && source !== target) {
+          throw systemError(`EINVAL`, `rename`, source)
+        }
+        const moving = descendantsOf(source)
+        if (existing) removeTree(target)
+        forEach((x) => {
+          nodes.set(join(target, relative(source, x)), nodes.get(x))
+          deleteNode(x)
+        }, moving)
+        deleteNode(source)
+        nodes.set(target, node)
+        return []
+      })
+    },
+    copyFile(from, to, mode, cb) {
+      const [flags, callback] = withOptions(mode, cb)
+      later(callback, () => {
+        const source = lookupFile(`copyFile`, followed(`copyFile`, from))
+        const exclusive = (Number(flags) & COPYFILE_EXCL) === COPYFILE_EXCL
+        store(`copyFile`, followed(`copyFile`, to), Buffer.from(source.data), {
+          flag: exclusive ? `wx` : `w`,
+          mode: source.mode,
+        })
+        return []
+      })
+    },
+    unlink(path, cb) {
+      later(cb, () => {
+        const absolute = unfollowed(`unlink`, path)
+        lookupFile(`unlink`, absolute)
+        deleteNode(absolute)
+        return []
+      })
+    },
+    rmdir(path, opts, cb) {
+      const [, callback] = withOptions(opts, cb)
+      later(callback, () => {
+        const absolute = unfollowed(`rmdir`, path)
+        const node = lookup(`rmdir`, absolute)
+        if (!isDirectoryNode(node))
+          throw systemError(`ENOTDIR`, `rmdir`, absolute)
+        if (childrenOf(absolute).length) {
+          throw systemError(`ENOTEMPTY`, `rmdir`, absolute)
+        }
+        deleteNode(absolute)
+        return []
+      })
+    },
+    rm(path, opts, cb) {
+      const [{ force = false, recursive = false }, callback] = withOptions(
+        opts,
+        cb,
+      )
+      later(callback, () => {
+        const absolute = unfollowed(`rm`, path)
+        check(`rm`, absolute)
+        const node = getNode(absolute)
+        if (!node) {
+          if (force) return []
+          throw systemError(`ENOENT`, `rm`, absolute)
+        }
+        if (isDirectoryNode(node) && !recursive) {
+          throw systemError(`EISDIR`, `rm`, absolute)
+        }
+        if (absolute === root) throw systemError(`EBUSY`, `rm`, absolute)
+        removeTree(absolute)
+        return []
+      })
+    },
+    link(existingPath, newPath, cb) {
+      later(cb, () => {
+        const node = lookupFile(`link`, unfollowed(`link`, existingPath))
+        const absolute = unfollowed(`link`, newPath)
+        check(`link`, absolute)
+        parentOf(`link`, absolute)
+        if (hasNode(absolute)) throw systemError(`EEXIST`, `link`, absolute)
+        // a hard link is the very same node, under another name
+        nodes.set(absolute, node)
+        return []
+      })
+    },
+    symlink(target, path, type, cb) {
+      const [, callback] = withOptions(type, cb)
+      later(callback, () => {
+        const absolute = unfollowed(`symlink`, path)
+        check(`symlink`, absolute)
+        parentOf(`symlink`, absolute)
+        if (hasNode(absolute)) throw systemError(`EEXIST`, `symlink`, absolute)
+        const link = String(target)
+        nodes.set(
+          absolute,
+          Object.assign(makeNode(`symlink`, 0o777, Buffer.from(link)), {
+            target: link,
+          }),
+        )
+        return []
+      })
+    },
+    chmod(path, mode, cb) {
+      later(cb, () => {
+        const node = lookup(`chmod`, followed(`chmod`, path))
+        node.mode = toMode(mode)
+        node.chmodded = true
+        return []
+      })
+    },
+    chown(path, uid, gid, cb) {
+      later(cb, () => {
+        Object.assign(lookup(`chown`, followed(`chown`, path)), {
+          uid,
+          gid,
+          chowned: true,
+        })
+        return []
+      })
+    },
+    utimes(path, atime, mtime, cb) {
+      later(cb, () => {
+        const node = lookup(`utimes`, followed(`utimes`, path))
+        node.atimeMs = toMs(atime)
+        node.mtimeMs = toMs(mtime)
+        node.touched = true
+        return []
+      })
+    },
+    truncate(path, len, cb) {
+      const [length, callback] = withLength(len, cb)
+      later(callback, () => {
+        const node = lookupFile(`truncate`, followed(`truncate`, path))
+        const data = Buffer.alloc(length ?? 0)
+        node.data.copy(data, 0, 0, data.length)
+        node.data = data
+        node.mtimeMs = Date.now()
+        return []
+      })
+    },
+  }
+  memoryFs.promises = {
+    lstat: promised(memoryFs.lstat),
+    readdir: promised(memoryFs.readdir),
+    readlink: promised(memoryFs.readlink),
+    realpath: promised(memoryFs.realpath),
+    stat: promised(memoryFs.stat),
+  }
+
+  nodes.set(root, makeNode(`directory`, 0o755))
+  // the lower fs has a temporary directory of its own
+  if (!lower) makeDirectories(`seed`, tmpdir())
+  seedAt(toAbsolute(`.`), tree)
+  return memoryFs
+}
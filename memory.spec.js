@@ -0,0 +1,88 @@
+import { chain, fork, parallel, swap } from "fluture"
+import { pipe } from "ramda"
+import { test, expect } from "vitest"
+import { destinedWith } from "./fs.js"
+import { createMemoryFs } from "./memory.js"
+
+const seeded = () =>
+  createMemoryFs({
+    "package.json": `{"name":"cool"}`,
+    src: { "index.js": `export default 1`, lib: { "util.js": `util` } },
+  })
+
+test(`createMemoryFs - seed and snapshot`, () => {
+  const memoryFs = seeded().seed({ "src/lib/more.js": `more` })
+  expect(memoryFs.snapshot(`src`)).toEqual({
+    "index.js": `export default 1`,
+    lib: { "more.js": `more`, "util.js": `util` },
+  })
+})
+
+test(`destinedWith - reads, globs and writes in memory`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const D = destinedWith(memoryFs)
+    pipe(
+      chain(([pkg, files]) => {
+        expect(pkg).toEqual({ name: `cool` })
+        expect(files).toEqual([`src/index.js`, `src/lib/util.js`])
+        return D.transactionWithConfig({ autoPath: true }, [
+          [`dist/index.js`, `built`],
+          [`dist/lib/util.js`, `built util`],
+        ])
+      }),
+      fork(done)(() => {
+        expect(memoryFs.snapshot(`dist`)).toEqual({
+          "index.js": `built`,
+          lib: { "util.js": `built util` },
+        })
+        done()
+      }),
+    )(parallel(2)([D.readJSONFile(`package.json`), D.readDir(`src/**/*.js`)]))
+  }))
+
+test(`destinedWith - copy and move in memory`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const { copyDir, move } = destinedWith(memoryFs)
+    pipe(
+      chain(() => move(`src`, `moved`)),
+      fork(done)(() => {
+        const { moved, copied } = memoryFs.snapshot()
+        expect(copied).toEqual(moved)
+        expect(memoryFs.snapshot().src).toBeUndefined()
+        done()
+      }),
+    )(copyDir(`src`, `copied`))
+  }))
+
+test(`createMemoryFs - fail and heal`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded().fail(`src`, `EACCES`, {
+      operations: [`readFile`],
+    })
+    const { readFile } = destinedWith(memoryFs)
+    pipe(
+      chain((e) => {
+        expect(e.tag).toEqual(`PermissionDenied`)
+        expect(e.code).toEqual(`EACCES`)
+        memoryFs.heal()
+        return readFile(`src/lib/util.js`)
+      }),
+      fork(done)((x) => {
+        expect(x).toEqual(`util`)
+        done()
+      }),
+    )(swap(readFile(`src/lib/util.js`)))
+  }))
+
+test(`createMemoryFs - failures are retried`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded().fail(`src`, `EBUSY`, { times: 2 })
+    const { rimraf } = destinedWith(memoryFs)
+    fork(done)((x) => {
+      expect(x).toEqual(`src`)
+      expect(memoryFs.snapshot().src).toBeUndefined()
+      done()
+    })(rimraf(`src`))
+  }))
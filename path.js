@@ -1,4 +1,4 @@
-import { join, normalize } from "node:path"
+import { isAbsolute, join, normalize, posix, relative, sep } from "node:path"
 import { curry } from "ramda"
 
 // relativePathJoin :: String -> String -> String
@@ -9,3 +9,62 @@ export const relativePathJoin = curry(function _relativePathJoin(pwd, x) {
   }
   return join(pwd, normalize(x))
 })
+
+/**
+ * A path relative to a directory, or `.` when they are the same.
+ * Unlike {@link relativePathJoin}, nothing stops the answer from starting with `..`.
+ * @name relativeTo
+ * @see {@link isWithin}
+ * @example
+ * ```js
+ * import { relativeTo } from 'destined'
+ * relativeTo('/app', '/app/src/index.js') // 'src/index.js'
+ * relativeTo('/app/src', '/app/README.md') // '../README.md'
+ * ```
+ */
+export const relativeTo = curry(function _relativeTo(from, x) {
+  return relative(from, x) || `.`
+})
+
+/**
+ * Whether a path is a directory or within it, lexically, without asking the file system.
+ * To account for symlinks, see {@link safeJoin}.
+ * @name isWithin
+ * @see {@link safeJoin}
+ * @example
+ * ```js
+ * import { isWithin } from 'destined'
+ * isWithin('/app', '/app/src') // true
+ * isWithin('/app', '/app/../etc/passwd') // false
+ * ```
+ */
+export const isWithin = curry(function _isWithin(root, x) {
+  const within = relative(root, x)
+  return within === `` || (!isAbsolute(within) && within.split(sep)[0] !== `..`)
+})
+
+/**
+ * Convert a path to use `/` as its separator, as globs, URLs and `.gitignore` files expect.
+ * @name toPosix
+ * @see {@link toNative}
+ * @example
+ * ```js
+ * import { toPosix } from 'destined'
+ * // on Windows
+ * toPosix('src\\utils\\index.js') // 'src/utils/index.js'
+ * ```
+ */
+export const toPosix = (x) => x.split(sep).join(posix.sep)
+
+/**
+ * Convert a path which uses `/` as its separator to use the platform's own.
+ * @name toNative
+ * @see {@link toPosix}
+ * @example
+ * ```js
+ * import { toNative } from 'destined'
+ * // on Windows
+ * toNative('src/utils/index.js') // 'src\\utils\\index.js'
+ * ```
+ */
+export const toNative = (x) => x.split(posix.sep).join(sep)
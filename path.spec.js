@@ -1,5 +1,12 @@
+import path from "node:path"
 import { test, expect } from "vitest"
-import { relativePathJoin } from "./path.js"
+import {
+  isWithin,
+  relativePathJoin,
+  relativeTo,
+  toNative,
+  toPosix,
+} from "./path.js"
 
 test(`relativePathJoin`, () => {
   expect(relativePathJoin(__dirname, `fixture`).split(`/`).slice(-2)).toEqual([
@@ -13,3 +20,24 @@ test(`relativePathJoin - fails`, () => {
     `Cannot normalize bad paths, given (2, 2).`,
   )
 })
+
+test(`relativeTo`, () => {
+  expect(relativeTo(`/app`, `/app/src/index.js`)).toEqual(`src/index.js`)
+  expect(relativeTo(`/app/src`, `/app/README.md`)).toEqual(`../README.md`)
+  expect(relativeTo(`/app`, `/app`)).toEqual(`.`)
+})
+
+test(`isWithin`, () => {
+  expect(isWithin(`/app`, `/app`)).toBeTruthy()
+  expect(isWithin(`/app`, `/app/src`)).toBeTruthy()
+  expect(isWithin(`/app`, `/app/..cool`)).toBeTruthy()
+  expect(isWithin(`/app`, `/app/../etc/passwd`)).toBeFalsy()
+  expect(isWithin(`/app`, `/application`)).toBeFalsy()
+  expect(isWithin(`app`, `app/../../etc`)).toBeFalsy()
+})
+
+test(`toPosix and toNative`, () => {
+  const native = path.join(`src`, `utils`, `index.js`)
+  expect(toPosix(native)).toEqual(`src/utils/index.js`)
+  expect(toNative(`src/utils/index.js`)).toEqual(native)
+})
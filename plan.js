@@ -0,0 +1,404 @@
+import { randomBytes } from "node:crypto"
+import nodeFs from "node:fs"
+import { basename, dirname, join as joinPath } from "node:path"
+import {
+  chain,
+  chainRej,
+  coalesce,
+  map as mapF,
+  parallel,
+  reject,
+  resolve,
+} from "fluture"
+import {
+  curry,
+  filter,
+  groupWith,
+  join,
+  map,
+  partition,
+  pipe,
+  reduce,
+} from "ramda"
+import { NO_OP, destinedWith } from "./fs.js"
+import { createMemoryFs } from "./memory.js"
+
+/**
+ * @pageSummary Dry runs: record what a pipeline would change, print it as a diff, then apply it.
+ */
+
+/**
+ * Build the whole `fs` API in dry-run mode, over a given `fs` implementation.
+ * Reads still happen, but writes, removals and new directories only happen in memory,
+ * where later reads will see them. Alongside the API, `plan()` returns every change so far:
+ *  - `{ type: 'mkdir', path }`
+ *  - `{ type: 'remove', path, kind }`, where `kind` is `file` or `directory`
+ *  - `{ type: 'write', path, before, after }`, where `before` is `null` for new files
+ *  - `{ type: 'symlink', path, target }`
+ *  - `{ type: 'chmod', path, mode }`
+ *  - `{ type: 'chown', path, uid, gid }`
+ *  - `{ type: 'utimes', path, atime, mtime }`, where both times are `Date`s
+ * @name dryRunWith
+ * @see {@link dryRun}
+ * @see {@link formatPlan}
+ * @see {@link applyPlan}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { createMemoryFs, dryRunWith } from 'destined'
+ * const { plan, rimraf } = dryRunWith(createMemoryFs({ dist: { 'index.js': '' } }))
+ * fork(console.warn)(() => console.log(plan()))(rimraf('dist'))
+ * // [{ type: 'remove', path: 'dist', kind: 'directory' }]
+ * ```
+ */
+export const dryRunWith = (fs) => {
+  const overlay = createMemoryFs({}, { lower: fs })
+  return { ...destinedWith(overlay), plan: () => overlay.changes() }
+}
+
+/**
+ * Build the whole `fs` API in dry-run mode, over `node:fs`.
+ * Each call starts a new, empty plan.
+ * @name dryRun
+ * @see {@link dryRunWith}
+ * @example
+ * ```js
+ * import { fork, chain } from 'fluture'
+ * import { dryRun, formatPlan } from 'destined'
+ * const { plan, readFile, writeFileWithAutoPath } = dryRun()
+ * pipe(
+ *   chain((raw) => writeFileWithAutoPath('dist/README.md', raw.toUpperCase())),
+ *   fork(console.warn)(() => console.log(formatPlan(plan())))
+ * )(readFile('README.md'))
+ * ```
+ */
+export const dryRun = () => dryRunWith(nodeFs)
+
+const CONTEXT = 3
+const NO_NEWLINE = `\n\\ No newline at end of file`
+
+const isBinary = (buffer) => buffer.includes(0)
+
+// split text into lines, keeping track of a missing newline at the end
+const linesOf = (text) => {
+  if (!text) return []
+  const lines = text.split(`\n`)
+  if (lines[lines.length - 1] === ``) {
+    lines.pop()
+    return lines
+  }
+  lines[lines.length - 1] += NO_NEWLINE
+  return lines
+}
+
+// Myers' diff: the shortest list of edits which turns one list of lines into another
+const editsBetween = (a, b) => {
+  const max = a.length + b.length
+  const v = new Map([[1, 0]])
+  const trace = []
+  for (let d = 0; d <= max; d += 1) {
+    trace.push(new Map(v))
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1))
+      let x = down ? v.get(k + 1) : v.get(k - 1) + 1
+      let y = x - k
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x += 1
+        y += 1
+      }
+      v.set(k, x)
+      if (x >= a.length && y >= b.length) return backtrack(trace, a, b)
+    }
+  }
+  return []
+}
+
+const backtrack = (trace, a, b) => {
+  const edits = []
+  let x = a.length
+  let y = b.length
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const v = trace[d]
+    const k = x - y
+    const down = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1))
+    const previousK = down ? k + 1 : k - 1
+    const previousX = v.get(previousK)
+    const previousY = previousX - previousK
+    while (x > previousX && y > previousY) {
+      x -= 1
+      y -= 1
+      edits.unshift({ type: ` `, line: a[x], a: x, b: y })
+    }
+    if (d > 0 && x === previousX) {
+      edits.unshift({ type: `+`, line: b[y - 1], a: x, b: y - 1 })
+    } else if (d > 0) {
+      edits.unshift({ type: `-`, line: a[x - 1], a: x - 1, b: y })
+    }
+    x = previousX
+    y = previousY
+  }
+  return edits
+}
+
+// `@@ -start,count +start,count @@`, where an empty range starts before its first line
+const rangeOf = (start, count) => `${count ? start + 1 : start},${count}`
+
+// group edits into hunks of changes, with a few lines of context around each
+const hunksOf = (edits) => {
+  const changed = filter((i) => edits[i].type !== ` `, [...edits.keys()])
+  const groups = []
+  for (const i of changed) {
+    const last = groups[groups.length - 1]
+    if (last && i - last.end <= CONTEXT * 2) last.end = i
+    else groups.push({ start: i, end: i })
+  }
+  return map(({ start, end }) => {
+    const slice = edits.slice(
+      Math.max(0, start - CONTEXT),
+      Math.min(edits.length, end + CONTEXT + 1),
+    )
+    const before = filter(({ type }) => type !== `+`, slice)
+    const after = filter(({ type }) => type !== `-`, slice)
+    const from = rangeOf(slice[0].a, before.length)
+    const to = rangeOf(slice[0].b, after.length)
+    const header = `@@ -${from} +${to} @@`
+    return [header, ...map(({ type, line }) => type + line, slice)].join(`\n`)
+  }, groups)
+}
+
+/**
+ * A unified diff between two versions of a file.
+ * @name unifiedDiff
+ * @example
+ * ```js
+ * import { unifiedDiff } from 'destined'
+ * console.log(unifiedDiff('cool.txt', 'a\nb\n', 'a\nc\n'))
+ * // --- a/cool.txt
+ * // +++ b/cool.txt
+ * // @@ -1,2 +1,2 @@
+ * //  a
+ * // -b
+ * // +c
+ * ```
+ */
+export const unifiedDiff = curry(function _unifiedDiff(path, before, after) {
+  const from = before == null ? `/dev/null` : `a/${path}`
+  const to = after == null ? `/dev/null` : `b/${path}`
+  const hunks = hunksOf(editsBetween(linesOf(before), linesOf(after)))
+  return [`--- ${from}`, `+++ ${to}`, ...hunks].join(`\n`)
+})
+
+// `touch` sets both times at once when they're the same, and each on its own otherwise
+const describeTimes = ({ path, atime, mtime }) => {
+  if (atime.getTime() === mtime.getTime()) {
+    return `touch -d ${mtime.toISOString()} ${path}`
+  }
+  return [
+    `touch -a -d ${atime.toISOString()} ${path}`,
+    `touch -m -d ${mtime.toISOString()} ${path}`,
+  ].join(`\n`)
+}
+
+const describe = (step) => {
+  if (step.type === `mkdir`) return `mkdir ${step.path}`
+  if (step.type === `symlink`) return `ln -s ${step.target} ${step.path}`
+  if (step.type === `chmod`)
+    return `chmod ${step.mode.toString(8)} ${step.path}`
+  if (step.type === `chown`) return `chown ${step.uid}:${step.gid} ${step.path}`
+  if (step.type === `utimes`) return describeTimes(step)
+  if (step.type === `remove`) {
+    return step.kind === `directory` ? `rm -r ${step.path}` : `rm ${step.path}`
+  }
+  const { path, before, after } = step
+  if ((before && isBinary(before)) || isBinary(after)) {
+    return `Binary files ${before ? `a/${path}` : `/dev/null`} and b/${path} differ`
+  }
+  return unifiedDiff(path, before?.toString(`utf8`), after.toString(`utf8`))
+}
+
+/**
+ * Print a plan from {@link dryRunWith} as a diff:
+ * unified diffs for file contents, and shell-like lines for everything else.
+ * @name formatPlan
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { dryRun, formatPlan } from 'destined'
+ * const { plan, writeFileWithAutoPath } = dryRun()
+ * fork(console.warn)(() => console.log(formatPlan(plan())))(
+ *   writeFileWithAutoPath('new/file.txt', 'hello\n')
+ * )
+ * // mkdir new
+ * // --- /dev/null
+ * // +++ b/new/file.txt
+ * // @@ -0,0 +1,1 @@
+ * // +hello
+ * ```
+ */
+export const formatPlan = pipe(map(describe), join(`\n`))
+
+// a hidden, unique path next to a removed one, to keep it in until the plan is applied
+const backupOf = (path) => {
+  const id = `${process.pid}.${randomBytes(6).toString(`hex`)}`
+  return joinPath(dirname(path), `.${basename(path)}.${id}.plan`)
+}
+
+// swallow any failure; used when undoing steps after another failure
+const quietly = coalesce(() => false)(() => true)
+
+// a write step as a path and the content it had `before` or should have `after`
+const toPair = curry(function _toPair(key, step) {
+  return [step.path, step[key]]
+})
+
+// make the steps of a plan, where each resolves with `{ undo, done }`:
+// a Future which puts things back as they were, and one which tidies up once the plan is applied
+const stepsWith = (api, cancel, limit) => {
+  const kept = { undo: resolve(null), done: resolve(null) }
+  // change an attribute of a path to what a step wants, from what its stats were beforehand
+  const restoring = (set) => (step) =>
+    chain((stats) =>
+      mapF(() => ({ ...kept, undo: set(NO_OP, stats, step.path) }))(
+        set(cancel, step, step.path),
+      ),
+    )(api.statWithCancel(cancel, step.path))
+  return {
+    mkdir: ({ path }) =>
+      mapF(() => ({ ...kept, undo: api.rimraf(path) }))(
+        api.mkdirWithCancel(cancel, {}, path),
+      ),
+    remove: ({ path }) => {
+      const backup = backupOf(path)
+      return pipe(
+        mapF(() => ({
+          undo: api.move(backup, path),
+          done: api.rimraf(backup),
+        })),
+        chainRej((e) => (e.tag === `NotFound` ? resolve(kept) : reject(e))),
+      )(
+        api.moveWithConfigAndCancel(
+          cancel,
+          { conflict: `error` },
+          path,
+          backup,
+        ),
+      )
+    },
+    symlink: ({ path, target }) =>
+      mapF(() => ({ ...kept, undo: api.rm(path) }))(
+        api.symlinkWithCancel(cancel, target, path),
+      ),
+    chmod: restoring((c, { mode }, path) =>
+      api.chmodWithCancel(c, mode & 0o7777, path),
+    ),
+    chown: restoring((c, { uid, gid }, path) =>
+      api.chownWithCancel(c, uid, gid, path),
+    ),
+    utimes: restoring((c, { atime, mtime }, path) =>
+      api.utimesWithCancel(c, atime, mtime, path),
+    ),
+    // writes next to each other are made together, and put back together
+    write: (group) => {
+      const [existing, created] = partition(({ before }) => before, group)
+      const undo = pipe(
+        chain(() =>
+          api.transactionWithConfig({}, map(toPair(`before`), existing)),
+        ),
+        chain(() => parallel(limit)(map(({ path }) => api.rm(path), created))),
+      )(resolve(null))
+      return mapF(() => ({ ...kept, undo }))(
+        api.transactionWithConfigAndCancel(
+          cancel,
+          { parallel: limit },
+          map(toPair(`after`), group),
+        ),
+      )
+    },
+  }
+}
+
+// undo every step applied so far, the latest first, then reject with the original failure
+const rollback = curry(function _rollback(applied, e) {
+  return chain(() => reject(e))(
+    reduce(
+      (undone, { undo }) => chain(() => quietly(undo))(undone),
+      resolve(null),
+      applied,
+    ),
+  )
+})
+
+/**
+ * Apply a plan from {@link dryRunWith}, with configuration and a cancellation function.
+ * Steps happen one after another in the order of the plan, which lists removals first and
+ * then everything else by path, so each directory comes before what's in it, and removing
+ * `dist` and then writing `dist/index.js` works as it did in the dry run.
+ * The plan is applied as a single unit: removed paths are moved aside until the whole plan is
+ * applied, and when a step fails, every step before it is undone, latest first, before the
+ * Future rejects. Writes next to each other in the plan are made as a {@link transaction}.
+ * Cancelling stops between steps, leaving those already made in place.
+ * Resolves with the plan. Configuration:
+ *  - `fs` - the `fs` implementation to apply the plan to, defaulting to `node:fs`
+ *  - `parallel` - how many files to write at once within each transaction
+ * @curried
+ *
+ *  1. applyPlanWithConfigAndCancel - Can be given configuration and a cancellation function.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { applyPlanWithConfigAndCancel } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       applyPlanWithConfigAndCancel(cancellationFn, { parallel: 5 }, session.plan())
+ *     )
+ *     ```
+ *
+ *  2. applyPlanWithConfig - Eschews any custom cancellation.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { applyPlanWithConfig } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       applyPlanWithConfig({ fs: memoryFs }, session.plan())
+ *     )
+ *     ```
+ *
+ *  3. applyPlan - Apply a plan to `node:fs`.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { applyPlan } from 'destined'
+ *     fork(console.warn)(console.log)(applyPlan(session.plan()))
+ *     ```
+ */
+export const applyPlanWithConfigAndCancel = curry(
+  function _applyPlanWithConfigAndCancel(cancel, conf, plan) {
+    const { fs = nodeFs, parallel: limit = 10 } = conf
+    const steps = stepsWith(destinedWith(fs), cancel, limit)
+    const applyGroup = (group) =>
+      group[0].type === `write`
+        ? steps.write(group)
+        : steps[group[0].type](group[0])
+    const groups = groupWith(
+      (a, b) => a.type === `write` && b.type === `write`,
+      plan,
+    )
+    return pipe(
+      reduce(
+        (future, group) =>
+          chain((applied) =>
+            pipe(
+              mapF((step) => [step, ...applied]),
+              chainRej(rollback(applied)),
+            )(applyGroup(group)),
+          )(future),
+        resolve([]),
+      ),
+      chain((applied) =>
+        parallel(limit)(map(({ done }) => quietly(done), applied)),
+      ),
+      mapF(() => plan),
+    )(groups)
+  },
+)
+export const applyPlanWithConfig = applyPlanWithConfigAndCancel(NO_OP)
+export const applyPlan = applyPlanWithConfig({})
@@ -0,0 +1,207 @@
+import { chain, fork } from "fluture"
+import { pipe } from "ramda"
+import { test, expect } from "vitest"
+import { destinedWith } from "./fs.js"
+import { createMemoryFs } from "./memory.js"
+import {
+  applyPlanWithConfig,
+  dryRunWith,
+  formatPlan,
+  unifiedDiff,
+} from "./plan.js"
+
+const seeded = () =>
+  createMemoryFs({
+    "README.md": `# cool\n\nso cool\n`,
+    dist: { "index.js": `old`, "index.js.map": `{}` },
+    "notes.txt": `remember`,
+  })
+
+// run the same codemod-ish pipeline against any API
+const codemod = ({ readFile, rimraf, removeFiles, writeFileWithAutoPath }) =>
+  pipe(
+    chain((raw) =>
+      writeFileWithAutoPath(`README.md`, raw.replace(`so`, `very`)),
+    ),
+    chain(() => writeFileWithAutoPath(`docs/api/index.md`, `# api\n`)),
+    chain(() => rimraf(`dist`)),
+    chain(() => removeFiles([`notes.txt`])),
+    chain(() => readFile(`README.md`)),
+  )(readFile(`README.md`))
+
+test(`dryRunWith - records a plan without changing anything`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const before = memoryFs.snapshot()
+    const session = dryRunWith(memoryFs)
+    fork(done)((readme) => {
+      expect(readme).toEqual(`# cool\n\nvery cool\n`)
+      expect(memoryFs.snapshot()).toEqual(before)
+      expect(
+        session.plan().map(({ type, path, kind }) => [type, path, kind]),
+      ).toEqual([
+        [`remove`, `dist`, `directory`],
+        [`remove`, `notes.txt`, `file`],
+        [`write`, `README.md`, undefined],
+        [`mkdir`, `docs`, undefined],
+        [`mkdir`, `docs/api`, undefined],
+        [`write`, `docs/api/index.md`, undefined],
+      ])
+      expect(formatPlan(session.plan())).toEqual(
+        [
+          `rm -r dist`,
+          `rm notes.txt`,
+          `--- a/README.md`,
+          `+++ b/README.md`,
+          `@@ -1,3 +1,3 @@`,
+          ` # cool`,
+          ` `,
+          `-so cool`,
+          `+very cool`,
+          `mkdir docs`,
+          `mkdir docs/api`,
+          `--- /dev/null`,
+          `+++ b/docs/api/index.md`,
+          `@@ -0,0 +1,1 @@`,
+          `+# api`,
+        ].join(`\n`),
+      )
+      done()
+    })(codemod(session))
+  }))
+
+test(`applyPlanWithConfig`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const session = dryRunWith(memoryFs)
+    pipe(
+      chain(() => applyPlanWithConfig({ fs: memoryFs }, session.plan())),
+      fork(done)(() => {
+        expect(memoryFs.snapshot()).toEqual({
+          "README.md": `# cool\n\nvery cool\n`,
+          docs: { api: { "index.md": `# api\n` } },
+        })
+        done()
+      }),
+    )(codemod(session))
+  }))
+
+test(`applyPlanWithConfig - removals happen before what replaces them`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      a: `a file, for now`,
+      dist: { "old.js": `old` },
+    })
+    const session = dryRunWith(memoryFs)
+    pipe(
+      chain(() => session.writeFileWithAutoPath(`a/b.txt`, `b`)),
+      chain(() => session.rimraf(`dist`)),
+      chain(() => session.writeFileWithAutoPath(`dist/x.js`, `x`)),
+      chain(() => applyPlanWithConfig({ fs: memoryFs }, session.plan())),
+      fork(done)(() => {
+        expect(memoryFs.snapshot()).toEqual({
+          a: { "b.txt": `b` },
+          dist: { "x.js": `x` },
+        })
+        done()
+      }),
+    )(session.rimraf(`a`))
+  }))
+
+test(`unifiedDiff`, () => {
+  const lines = (xs) => xs.join(`\n`) + `\n`
+  const before = lines([`a`, `b`, `c`, `d`, `e`, `f`, `g`, `h`, `i`, `j`])
+  const after = lines([`a`, `B`, `c`, `d`, `e`, `f`, `g`, `h`, `i`, `j`, `k`])
+  expect(unifiedDiff(`x.txt`, before, after)).toEqual(
+    [
+      `--- a/x.txt`,
+      `+++ b/x.txt`,
+      `@@ -1,5 +1,5 @@`,
+      ` a`,
+      `-b`,
+      `+B`,
+      ` c`,
+      ` d`,
+      ` e`,
+      `@@ -8,3 +8,4 @@`,
+      ` h`,
+      ` i`,
+      ` j`,
+      `+k`,
+    ].join(`\n`),
+  )
+  expect(unifiedDiff(`x.txt`, `same`, `same\n`)).toEqual(
+    [
+      `--- a/x.txt`,
+      `+++ b/x.txt`,
+      `@@ -1,1 +1,1 @@`,
+      `-same`,
+      `\\ No newline at end of file`,
+      `+same`,
+    ].join(`\n`),
+  )
+})
+
+test(`dryRunWith - symlinks and permissions`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const session = dryRunWith(memoryFs)
+    pipe(
+      chain(() => session.chmod(`755`, `notes.txt`)),
+      chain(() => applyPlanWithConfig({ fs: memoryFs }, session.plan())),
+      chain(() => session.readlink(`latest`)),
+      fork(done)((target) => {
+        expect(formatPlan(session.plan())).toEqual(
+          [`ln -s notes.txt latest`, `chmod 755 notes.txt`].join(`\n`),
+        )
+        expect(target).toEqual(`notes.txt`)
+        done()
+      }),
+    )(session.symlink(`notes.txt`, `latest`))
+  }))
+
+test(`applyPlanWithConfig - a failing step undoes the rest`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const before = memoryFs.snapshot()
+    const session = dryRunWith(memoryFs)
+    pipe(
+      chain(() => session.chmod(`600`, `README.md`)),
+      chain(() => session.symlink(`README.md`, `zz`)),
+      chain(() => {
+        memoryFs.fail(`zz`, `EACCES`, { operations: [`symlink`] })
+        return applyPlanWithConfig({ fs: memoryFs }, session.plan())
+      }),
+      fork((e) => {
+        expect(e.tag).toEqual(`PermissionDenied`)
+        expect(memoryFs.snapshot()).toEqual(before)
+        fork(done)((stats) => {
+          expect(stats.mode & 0o777).toEqual(0o666)
+          done()
+        })(destinedWith(memoryFs).stat(`README.md`))
+      })(() => done(new Error(`the plan should not apply`))),
+    )(codemod(session))
+  }))
+
+test(`dryRunWith - owners and times`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const session = dryRunWith(memoryFs)
+    const then = new Date(`2020-01-01T00:00:00.000Z`)
+    pipe(
+      chain(() => session.utimes(then, then, `notes.txt`)),
+      chain(() => applyPlanWithConfig({ fs: memoryFs }, session.plan())),
+      chain(() => destinedWith(memoryFs).stat(`notes.txt`)),
+      fork(done)((stats) => {
+        expect(formatPlan(session.plan())).toEqual(
+          [
+            `chown 1234:5678 notes.txt`,
+            `touch -d 2020-01-01T00:00:00.000Z notes.txt`,
+          ].join(`\n`),
+        )
+        expect([stats.uid, stats.gid]).toEqual([1234, 5678])
+        expect(stats.mtime).toEqual(then)
+        done()
+      }),
+    )(session.chown(1234, 5678, `notes.txt`))
+  }))
@@ -0,0 +1,91 @@
+import { after, chain, chainRej, reject, resolve } from "fluture"
+import { curry, includes } from "ramda"
+
+/**
+ * @pageSummary Retry flaky Futures, with exponential backoff and jitter.
+ */
+
+/**
+ * Error codes which usually mean "try again later", rather than "this will never work".
+ * @name RETRYABLE_CODES
+ */
+export const RETRYABLE_CODES = [`EBUSY`, `EMFILE`, `ENFILE`, `EAGAIN`]
+
+/**
+ * Whether a given error has one of the given codes.
+ * @name isRetryable
+ * @example
+ * ```js
+ * import { isRetryable, RETRYABLE_CODES } from 'destined'
+ * isRetryable(RETRYABLE_CODES, { code: 'EBUSY' }) // true
+ * isRetryable(RETRYABLE_CODES, { code: 'ENOENT' }) // false
+ * ```
+ */
+export const isRetryable = curry(function _isRetryable(codes, e) {
+  return includes(e?.code, codes)
+})
+
+/**
+ * The policy `retry` uses for anything not given:
+ *  - `retries` - how many times to try again after the first failure
+ *  - `delay` - how many milliseconds to wait before the first retry
+ *  - `factor` - how much to multiply the delay by after each retry
+ *  - `maxDelay` - the longest we will ever wait between attempts
+ *  - `jitter` - what fraction of each delay to randomize, between 0 and 1
+ *  - `shouldRetry` - given the error and the attempt number, whether to try again
+ * @name DEFAULT_RETRY_POLICY
+ */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  delay: 100,
+  factor: 2,
+  maxDelay: 5000,
+  jitter: 0.5,
+  shouldRetry: isRetryable(RETRYABLE_CODES),
+}
+
+/**
+ * How many milliseconds to wait before a given retry, according to a policy.
+ * @name backoff
+ * @example
+ * ```js
+ * import { backoff } from 'destined'
+ * backoff({ delay: 100, factor: 2, maxDelay: 1000, jitter: 0 }, 2) // 400
+ * ```
+ */
+export const backoff = curry(function _backoff(policy, attempt) {
+  const { delay, factor, maxDelay, jitter } = {
+    ...DEFAULT_RETRY_POLICY,
+    ...policy,
+  }
+  const ceiling = Math.min(maxDelay, delay * factor ** attempt)
+  return Math.round(ceiling - ceiling * jitter * Math.random())
+})
+
+const wait = (ms) => (ms > 0 ? after(ms)(null) : resolve(null))
+
+/**
+ * Retry a Future when it fails with a retryable error, waiting longer between each attempt.
+ * Given a function which is called with the attempt number (starting at `0`)
+ * and returns a Future, so that each attempt can be made fresh.
+ * @name retry
+ * @see {@link DEFAULT_RETRY_POLICY}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { retry, rimraf } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   retry({ retries: 5, delay: 50 }, () => rimraf('dist'))
+ * )
+ * ```
+ */
+export const retry = curry(function _retry(policy, futureFactory) {
+  const { retries, shouldRetry } = { ...DEFAULT_RETRY_POLICY, ...policy }
+  const attempt = (n) =>
+    chainRej((e) =>
+      n < retries && shouldRetry(e, n)
+        ? chain(() => attempt(n + 1))(wait(backoff(policy, n)))
+        : reject(e),
+    )(futureFactory(n))
+  return attempt(0)
+})
@@ -0,0 +1,103 @@
+import { chain, fork, parallel, reject, resolve, swap } from "fluture"
+import { pipe } from "ramda"
+import { test, expect } from "vitest"
+import { toDestinedError } from "./errors.js"
+import { destinedWith } from "./fs.js"
+import { createMemoryFs } from "./memory.js"
+import { backoff, isRetryable, retry, RETRYABLE_CODES } from "./retry.js"
+
+const failing = (code) =>
+  toDestinedError(
+    `rm`,
+    `cool.biz`,
+    Object.assign(new Error(`${code}: oh no`), { code }),
+  )
+
+// fail with the given codes, in order, then succeed with the number of attempts made
+const flaky = (codes) => (attempt) =>
+  attempt < codes.length ? reject(failing(codes[attempt])) : resolve(attempt)
+
+const policy = { delay: 1, jitter: 0 }
+
+test(`isRetryable`, () => {
+  expect(isRetryable(RETRYABLE_CODES, { code: `EBUSY` })).toBeTruthy()
+  expect(isRetryable(RETRYABLE_CODES, { code: `EMFILE` })).toBeTruthy()
+  expect(isRetryable(RETRYABLE_CODES, { code: `ENOENT` })).toBeFalsy()
+  expect(isRetryable(RETRYABLE_CODES, null)).toBeFalsy()
+})
+
+test(`backoff`, () => {
+  const exact = { delay: 100, factor: 2, maxDelay: 1000, jitter: 0 }
+  expect(backoff(exact, 0)).toEqual(100)
+  expect(backoff(exact, 2)).toEqual(400)
+  expect(backoff(exact, 10)).toEqual(1000)
+  const jittery = backoff({ ...exact, jitter: 0.5 }, 1)
+  expect(jittery).toBeGreaterThanOrEqual(100)
+  expect(jittery).toBeLessThanOrEqual(200)
+})
+
+test(`retry - succeeds after retryable failures`, () =>
+  new Promise((done) => {
+    fork(done)((attempts) => {
+      expect(attempts).toEqual(2)
+      done()
+    })(retry(policy, flaky([`EBUSY`, `EAGAIN`])))
+  }))
+
+test(`retry - does not retry other failures`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`NotFound`)
+      done()
+    })(done)(retry(policy, flaky([`ENOENT`, `EBUSY`])))
+  }))
+
+test(`retry - gives up after enough retries`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`Busy`)
+      done()
+    })(done)(
+      retry({ ...policy, retries: 2 }, flaky([`EBUSY`, `EBUSY`, `EBUSY`])),
+    )
+  }))
+
+test(`retry - custom shouldRetry`, () =>
+  new Promise((done) => {
+    fork(done)((attempts) => {
+      expect(attempts).toEqual(1)
+      done()
+    })(retry({ ...policy, shouldRetry: () => true }, flaky([`ENOENT`])))
+  }))
+
+test(`removeFile, rimraf and removeFiles - retry by default`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      "cool.biz": `cool`,
+      dist: { "app.js": `app` },
+      "a.biz": `a`,
+      "b.biz": `b`,
+      "busy.biz": `busy`,
+    })
+    const D = destinedWith(memoryFs)
+    const busyTwice = (x) =>
+      memoryFs.fail(x, `EBUSY`, { operations: [`rm`], times: 2 })
+    for (const x of [`cool.biz`, `dist`, `a.biz`, `busy.biz`]) busyTwice(x)
+    pipe(
+      chain((removed) => {
+        expect(removed).toEqual([`cool.biz`, `dist`, [`a.biz`, `b.biz`]])
+        expect(memoryFs.snapshot()).toEqual({ "busy.biz": `busy` })
+        return swap(D.removeFileWithConfig({ retry: false }, `busy.biz`))
+      }),
+      fork(done)((e) => {
+        expect(e.tag).toEqual(`Busy`)
+        done()
+      }),
+    )(
+      parallel(1)([
+        D.removeFile(`cool.biz`),
+        D.rimraf(`dist`),
+        D.removeFiles([`a.biz`, `b.biz`]),
+      ]),
+    )
+  }))
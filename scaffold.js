@@ -0,0 +1,291 @@
+import nodeFs from "node:fs"
+import { join } from "node:path"
+import { both, chain, chainRej, parallel, reject, resolve } from "fluture"
+import { minimatch } from "minimatch"
+import {
+  curry,
+  filter,
+  groupBy,
+  identity,
+  includes,
+  isNil,
+  map,
+  path as atPath,
+  pipe,
+  sortBy,
+  uniq,
+  unnest,
+  values,
+} from "ramda"
+import {
+  AlreadyExistsError,
+  InvalidArgumentError,
+  NotFoundError,
+} from "./errors.js"
+import { CONFLICT_POLICIES, NO_OP, destinedWith } from "./fs.js"
+
+/**
+ * @pageSummary Render a directory of templates into a new one, like a skeleton for a new package.
+ */
+
+// `{{ name }}`, where a name can reach into nested values, like `{{ author.name }}`,
+// unless it is escaped as `\{{ name }}`
+const VARIABLE = /(\\)?{{\s*([\w$.-]+)\s*}}/g
+
+const valueOf = (vars, name) => atPath(name.split(`.`), vars)
+
+const missingFrom = (vars, text) =>
+  uniq(
+    [...text.matchAll(VARIABLE)]
+      .filter(([, escaped]) => !escaped)
+      .map(([, , name]) => name),
+  ).filter((name) => isNil(valueOf(vars, name)))
+
+const missingVariables = (template, names) =>
+  new InvalidArgumentError(
+    `Expected a value for ${names.join(`, `)}, used by ${template}.`,
+    { operation: `scaffold`, path: template },
+  )
+
+const duplicateTarget = (target, templates) =>
+  new InvalidArgumentError(
+    `Expected one template to make ${target}, given ${templates.join(`, `)}.`,
+    { operation: `scaffold`, path: target },
+  )
+
+const badConflictPolicy = (path, conflict) =>
+  new InvalidArgumentError(
+    `Expected conflict to be one of ${CONFLICT_POLICIES.join(`, `)}, given ${conflict}.`,
+    { operation: `scaffold`, path },
+  )
+
+// fill in every variable, rejecting when any of them has no value
+const render = (vars, template, text) => {
+  const missing = missingFrom(vars, text)
+  if (missing.length) return reject(missingVariables(template, missing))
+  return resolve(
+    text.replace(VARIABLE, (match, escaped, name) => {
+      if (escaped) return match.slice(1)
+      return String(valueOf(vars, name))
+    }),
+  )
+}
+
+// two templates, like `a.md.tmpl` and `a.md`, can't both make the same file
+const unlessDuplicated = (files) => {
+  const byTarget = groupBy(({ target }) => target, files)
+  const [duplicated] = filter((xs) => xs.length > 1, values(byTarget))
+  if (!duplicated) return resolve(files)
+  return reject(
+    duplicateTarget(
+      duplicated[0].target,
+      map(({ template }) => template, duplicated),
+    ),
+  )
+}
+
+// a file with a NUL byte in it is binary, as git would have it, and is copied as it is
+const isBinary = (buffer) => buffer.includes(0)
+
+// a conflict policy can be given for every file at once, or decided for each one
+const conflictPolicy = (conflict, path) => {
+  if (typeof conflict === `function`) return conflict(path)
+  return conflict
+}
+
+const stripExtension = (extension, x) => {
+  if (!extension || !x.endsWith(extension)) return x
+  return x.slice(0, -extension.length)
+}
+
+/**
+ * Render a directory of templates into another directory, with configuration and a
+ * cancellation function. Every variable like `{{ name }}` or `{{ author.name }}`, in the
+ * contents and the names of the templates, is filled in from `vars`, and an extension like
+ * `.tmpl` is taken off, so `{{ name }}/package.json.tmpl` could become
+ * `ui-pretend/package.json`. Binary files, which have a NUL byte in them, are copied as
+ * they are, and each file keeps the mode of its template. Anything which only looks like
+ * a variable, like `${{ github.ref }}` in a workflow, can be escaped as `\{{`, which is
+ * written as `{{`, or its template can be copied `verbatim`.
+ *
+ * Every template is rendered and checked before anything is written, so a variable without a
+ * value, a name which would end up outside of `destDir` (an `OutsideRootError`), two
+ * templates which would make the same file or a file which already exists when its policy
+ * is `error` rejects before `destDir` is touched. The files are then written `parallel` at a
+ * time, not as a single unit: when one fails to be written, any written before it are kept.
+ * The Future resolves with the files which were written, in order.
+ * Configuration:
+ *  - `fs` - the `fs` implementation to use, defaulting to `node:fs`
+ *  - `conflict` - what to do when a file already exists: one of {@link CONFLICT_POLICIES},
+ *    defaulting to `error`, or a function given each path relative to `destDir`
+ *    which returns one
+ *  - `extension` - the extension to take off of templates, defaulting to `.tmpl`,
+ *    or `false` to keep every name as it is
+ *  - `ignore` - glob patterns of templates to skip, as in {@link readDirWithConfig}
+ *  - `parallel` - how many files to read and write at once, defaulting to 10
+ *  - `verbatim` - glob patterns of templates whose contents are copied as they are,
+ *    without filling in any variables; their names are still filled in
+ * @name scaffoldWithConfigAndCancel
+ * @see {@link scaffoldWithConfig}
+ * @see {@link scaffold}
+ * @see {@link copyDirWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { scaffoldWithConfigAndCancel } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   scaffoldWithConfigAndCancel(
+ *     cancellationFunction,
+ *     {
+ *       ignore: ['**\/.DS_Store'],
+ *       conflict: (path) => (path === 'README.md' ? 'skip' : 'error'),
+ *     },
+ *     'templates/package',
+ *     'fixture/packages',
+ *     { name: 'ui-pretend', author: { name: 'Ada' } },
+ *   ),
+ * )
+ * // ['fixture/packages/ui-pretend/package.json', ...]
+ * ```
+ */
+export const scaffoldWithConfigAndCancel = curry(
+  function _scaffoldWithConfigAndCancel(
+    cancel,
+    conf,
+    templateDir,
+    destDir,
+    vars,
+  ) {
+    const {
+      fs = nodeFs,
+      conflict = `error`,
+      extension = `.tmpl`,
+      ignore = [],
+      parallel: limit = 10,
+      verbatim = [],
+    } = conf
+    const api = destinedWith(fs)
+    const isVerbatim = (template) =>
+      verbatim.some((g) => minimatch(template, g, { dot: true }))
+    const renderContent = (template, buffer) => {
+      if (isBinary(buffer) || isVerbatim(template)) return resolve(buffer)
+      return render(vars, template, buffer.toString(`utf8`))
+    }
+    // anything at all, even a broken symlink, takes a target
+    const isTaken = pipe(
+      map(() => true),
+      chainRej((e) =>
+        e.tag === NotFoundError.tag ? resolve(false) : reject(e),
+      ),
+    )
+    const unlessTaken = (target, policy) => {
+      if (policy !== `error`) return resolve(target)
+      return chain((taken) => {
+        if (!taken) return resolve(target)
+        return reject(
+          new AlreadyExistsError(
+            `EEXIST: file already exists, scaffold '${target}'`,
+            { operation: `scaffold`, path: target, code: `EEXIST` },
+          ),
+        )
+      })(isTaken(api.lstatWithCancel(cancel, target)))
+    }
+    // read, render and check one template, without writing anything yet
+    const prepare = (template) => {
+      const from = join(templateDir, template)
+      const toFile = (name) => {
+        const policy = conflictPolicy(conflict, name)
+        if (!includes(policy, CONFLICT_POLICIES)) {
+          return reject(badConflictPolicy(name, policy))
+        }
+        const rendered = chain((buffer) => renderContent(template, buffer))(
+          api.readFileWithFormatAndCancel(cancel, null, from),
+        )
+        return map(
+          ([target, [content, stats]]) => ({
+            template,
+            target,
+            policy,
+            content,
+            mode: stats.mode & 0o7777,
+          }),
+          both(
+            chain((target) => unlessTaken(target, policy))(
+              api.safeJoinWithCancel(cancel, destDir, name),
+            ),
+          )(both(rendered)(api.statWithCancel(cancel, from))),
+        )
+      }
+      return chain(toFile)(
+        render(vars, template, stripExtension(extension, template)),
+      )
+    }
+    const write = ({ target, policy, content, mode }) => {
+      const writeConf = policy === `overwrite` ? { mode } : { mode, flag: `wx` }
+      const written = map(
+        () => [target],
+        api.writeFileWithAutoPathAndConfigAndCancel(
+          cancel,
+          writeConf,
+          target,
+          content,
+        ),
+      )
+      if (policy !== `skip`) return written
+      return chainRej((e) => {
+        if (e.tag === AlreadyExistsError.tag) return resolve([])
+        return reject(e)
+      })(written)
+    }
+    return pipe(
+      chain(() =>
+        api.readDirWithConfigAndCancel(
+          cancel,
+          { cwd: templateDir, dot: true, nodir: true, posix: true, ignore },
+          `**/*`,
+        ),
+      ),
+      map(sortBy(identity)),
+      chain((templates) => parallel(limit)(map(prepare, templates))),
+      chain(unlessDuplicated),
+      chain((files) => parallel(limit)(map(write, files))),
+      map(unnest),
+    )(api.statWithCancel(cancel, templateDir))
+  },
+)
+
+/**
+ * Render a directory of templates into another directory, with configuration.
+ * @name scaffoldWithConfig
+ * @see {@link scaffoldWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { scaffoldWithConfig } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   scaffoldWithConfig(
+ *     { conflict: 'skip', extension: '.hbs' },
+ *     'templates/app',
+ *     'apps/cool',
+ *     { name: 'cool' },
+ *   ),
+ * )
+ * ```
+ */
+export const scaffoldWithConfig = scaffoldWithConfigAndCancel(NO_OP)
+
+/**
+ * Render a directory of templates into another directory, rejecting when any file is
+ * already there.
+ * @name scaffold
+ * @see {@link scaffoldWithConfigAndCancel}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { scaffold } from 'destined'
+ * fork(console.warn)(console.log)(
+ *   scaffold('templates/package', 'fixture/packages', { name: 'eslint-pretend' }),
+ * )
+ * ```
+ */
+export const scaffold = scaffoldWithConfig({})
@@ -0,0 +1,212 @@
+import { chain, fork, parallel, swap } from "fluture"
+import { map, pipe } from "ramda"
+import { test, expect } from "vitest"
+import { destinedWith } from "./fs.js"
+import { createMemoryFs } from "./memory.js"
+import { scaffoldWithConfig } from "./scaffold.js"
+
+const skeleton = (packages = {}) =>
+  createMemoryFs({
+    templates: {
+      "{{ name }}": {
+        "package.json.tmpl": `{ "name": "{{ name }}", "author": "{{ author.name }}" }`,
+        "README.md": `# {{name}}`,
+        "logo.bin": Buffer.from([0, 1, 123, 123, 125, 125]),
+        ".DS_Store": `nope`,
+      },
+    },
+    packages,
+  })
+
+test(`scaffoldWithConfig - renders names and contents`, () =>
+  new Promise((done) => {
+    const memoryFs = skeleton()
+    pipe(
+      chain((written) => {
+        expect(written).toEqual([
+          `packages/ui-pretend/README.md`,
+          `packages/ui-pretend/logo.bin`,
+          `packages/ui-pretend/package.json`,
+        ])
+        expect(memoryFs.snapshot(`packages`)).toEqual({
+          "ui-pretend": {
+            "README.md": `# ui-pretend`,
+            "logo.bin": Buffer.from([0, 1, 123, 123, 125, 125]).toString(),
+            "package.json": `{ "name": "ui-pretend", "author": "Ada" }`,
+          },
+        })
+        return scaffoldWithConfig(
+          {
+            fs: memoryFs,
+            ignore: [`**/.DS_Store`],
+            conflict: (x) => (x.endsWith(`README.md`) ? `skip` : `overwrite`),
+          },
+          `templates`,
+          `packages`,
+          { name: `ui-pretend`, author: { name: `Grace` } },
+        )
+      }),
+      fork(done)((written) => {
+        expect(written).toEqual([
+          `packages/ui-pretend/logo.bin`,
+          `packages/ui-pretend/package.json`,
+        ])
+        expect(memoryFs.snapshot(`packages/ui-pretend`)).toMatchObject({
+          "README.md": `# ui-pretend`,
+          "package.json": `{ "name": "ui-pretend", "author": "Grace" }`,
+        })
+        done()
+      }),
+    )(
+      scaffoldWithConfig(
+        { fs: memoryFs, ignore: [`**/.DS_Store`] },
+        `templates`,
+        `packages`,
+        { name: `ui-pretend`, author: { name: `Ada` } },
+      ),
+    )
+  }))
+
+test(`scaffoldWithConfig - rejects before writing anything`, () =>
+  new Promise((done) => {
+    const memoryFs = skeleton({ "eslint-pretend": { "README.md": `mine` } })
+    // one template at a time, so the first to fail is always the same
+    const attempt = (conf, vars) =>
+      swap(
+        scaffoldWithConfig(
+          { fs: memoryFs, parallel: 1, ...conf },
+          `templates`,
+          `packages`,
+          vars,
+        ),
+      )
+    const ada = { name: `Ada` }
+    fork(done)((errors) => {
+      expect(map(({ tag, path }) => [tag, path], errors)).toEqual([
+        [`InvalidArgument`, `{{ name }}/package.json.tmpl`],
+        [`OutsideRoot`, `../evil/.DS_Store`],
+        [`InvalidArgument`, `other/.DS_Store`],
+        [`AlreadyExists`, `packages/eslint-pretend/README.md`],
+        [`NotFound`, `nope`],
+      ])
+      expect(errors[0].message).toContain(`author.name`)
+      expect(memoryFs.snapshot(`packages`)).toEqual({
+        "eslint-pretend": { "README.md": `mine` },
+      })
+      expect(memoryFs.snapshot()).not.toHaveProperty(`evil`)
+      done()
+    })(
+      parallel(1)([
+        attempt({}, { name: `ui-pretend` }),
+        attempt({}, { name: `../evil`, author: ada }),
+        attempt({ conflict: `maybe` }, { name: `other`, author: ada }),
+        attempt({}, { name: `eslint-pretend`, author: ada }),
+        swap(scaffoldWithConfig({ fs: memoryFs }, `nope`, `packages`, {})),
+      ]),
+    )
+  }))
+
+test(`scaffoldWithConfig - a broken symlink takes its target`, () =>
+  new Promise((done) => {
+    const memoryFs = skeleton({ "ui-pretend": {} })
+    pipe(
+      chain(() =>
+        swap(
+          scaffoldWithConfig({ fs: memoryFs }, `templates`, `packages`, {
+            name: `ui-pretend`,
+            author: { name: `Ada` },
+          }),
+        ),
+      ),
+      fork(done)((e) => {
+        expect([e.tag, e.path]).toEqual([
+          `AlreadyExists`,
+          `packages/ui-pretend/README.md`,
+        ])
+        expect(Object.keys(memoryFs.snapshot(`packages/ui-pretend`))).toEqual([
+          `README.md`,
+        ])
+        done()
+      }),
+    )(
+      destinedWith(memoryFs).symlink(
+        `nowhere`,
+        `packages/ui-pretend/README.md`,
+      ),
+    )
+  }))
+
+test(`scaffoldWithConfig - a failed write keeps those before it`, () =>
+  new Promise((done) => {
+    const memoryFs = skeleton()
+    memoryFs.fail(`packages/ui-pretend/package.json`, `EACCES`, {
+      operations: [`writeFile`],
+    })
+    fork(done)((e) => {
+      expect(e.tag).toEqual(`PermissionDenied`)
+      expect(Object.keys(memoryFs.snapshot(`packages/ui-pretend`))).toEqual([
+        `.DS_Store`,
+        `README.md`,
+        `logo.bin`,
+      ])
+      done()
+    })(
+      swap(
+        scaffoldWithConfig(
+          { fs: memoryFs, parallel: 1, conflict: `overwrite` },
+          `templates`,
+          `packages`,
+          { name: `ui-pretend`, author: { name: `Ada` } },
+        ),
+      ),
+    )
+  }))
+
+test(`scaffoldWithConfig - two templates for the same file`, () =>
+  new Promise((done) => {
+    const memoryFs = createMemoryFs({
+      extension: { "a.md.tmpl": `a`, "a.md": `b` },
+      named: { "{{ x }}.md": `x`, "{{ y }}.md": `y` },
+    })
+    const attempt = (templateDir) =>
+      swap(
+        scaffoldWithConfig({ fs: memoryFs }, templateDir, `out`, {
+          x: `same`,
+          y: `same`,
+        }),
+      )
+    fork(done)((errors) => {
+      expect(map(({ tag, path }) => [tag, path], errors)).toEqual([
+        [`InvalidArgument`, `out/a.md`],
+        [`InvalidArgument`, `out/same.md`],
+      ])
+      expect(errors[0].message).toContain(`a.md, a.md.tmpl`)
+      expect(memoryFs.snapshot()).not.toHaveProperty(`out`)
+      done()
+    })(parallel(1)([attempt(`extension`), attempt(`named`)]))
+  }))
+
+test(`scaffoldWithConfig - escaped and verbatim templates`, () =>
+  new Promise((done) => {
+    const WORKFLOW = `on: push\nenv:\n  REF: \${{ github.ref }}\n`
+    const memoryFs = createMemoryFs({
+      templates: {
+        ".github": { workflows: { "{{ name }}.yml": WORKFLOW } },
+        "README.md": `# {{ name }}, with \\{{ braces }}`,
+      },
+    })
+    fork(done)(() => {
+      expect(memoryFs.snapshot(`out`)).toEqual({
+        ".github": { workflows: { "cool.yml": WORKFLOW } },
+        "README.md": `# cool, with {{ braces }}`,
+      })
+      done()
+    })(
+      scaffoldWithConfig(
+        { fs: memoryFs, verbatim: [`.github/**`] },
+        `templates`,
+        `out`,
+        { name: `cool` },
+      ),
+    )
+  }))
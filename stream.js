@@ -0,0 +1,262 @@
+import nodeFs from "node:fs"
+import { createInterface } from "node:readline"
+import { Transform } from "node:stream"
+import { pipeline as __pipeline } from "node:stream/promises"
+import { curry, init, last } from "ramda"
+import { toDestinedError } from "./errors.js"
+import { NO_OP } from "./fs.js"
+import { abortableWithCancel } from "./future.js"
+
+/**
+ * @pageSummary Future-wrapped streams, for working with files too big to hold in memory.
+ */
+
+// resolve with the stream once the underlying file is open, so that
+// errors like ENOENT or EACCES are surfaced as a rejection
+const openStream = (cancel, operation, x, create) =>
+  abortableWithCancel(cancel, (bad, good, signal) => {
+    const stream = create(signal)
+    const onError = (e) => {
+      stream.off(`ready`, onReady)
+      bad(toDestinedError(operation, x, e))
+    }
+    const onReady = () => {
+      stream.off(`error`, onError)
+      good(stream)
+    }
+    stream.once(`error`, onError)
+    stream.once(`ready`, onReady)
+  })
+
+/**
+ * Open a file for reading as a Future-wrapped `fs.ReadStream`.
+ * Configuration is passed to `fs.createReadStream`, apart from `fs`, the `fs` implementation
+ * to use, defaulting to `node:fs`. It needs streams, which {@link createMemoryFs} lacks.
+ * @curried
+ *
+ *  1. readStreamWithConfigAndCancel - Can be given configuration and a cancellation function.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { readStreamWithConfigAndCancel } from 'destined'
+ *     fork(console.warn)((stream) => stream.pipe(process.stdout))(
+ *       readStreamWithConfigAndCancel(cancellationFn, { start: 10 }, './README.md')
+ *     )
+ *     ```
+ *
+ *  2. readStreamWithConfig - Eschews any custom cancellation.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { readStreamWithConfig } from 'destined'
+ *     fork(console.warn)((stream) => stream.pipe(process.stdout))(
+ *       readStreamWithConfig({ encoding: 'utf8' }, './README.md')
+ *     )
+ *     ```
+ *
+ *  3. readStream - Default configuration.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { readStream } from 'destined'
+ *     fork(console.warn)((stream) => stream.pipe(process.stdout))(
+ *       readStream('./README.md')
+ *     )
+ *     ```
+ */
+export const readStreamWithConfigAndCancel = curry(
+  function _readStreamWithConfigAndCancel(cancel, conf, x) {
+    const { fs = nodeFs, ...streamConf } = conf
+    return openStream(cancel, `readStream`, x, (signal) =>
+      fs.createReadStream(x, { ...streamConf, signal }),
+    )
+  },
+)
+export const readStreamWithConfig = readStreamWithConfigAndCancel(NO_OP)
+export const readStream = readStreamWithConfig({})
+
+/**
+ * Open a file for writing as a Future-wrapped `fs.WriteStream`.
+ * Configuration is passed to `fs.createWriteStream`, apart from `fs`, as in
+ * {@link readStreamWithConfigAndCancel}.
+ * @curried
+ *
+ *  1. writeStreamWithConfigAndCancel - Can be given configuration and a cancellation function.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { writeStreamWithConfigAndCancel } from 'destined'
+ *     fork(console.warn)((stream) => stream.end('hey I am a file'))(
+ *       writeStreamWithConfigAndCancel(cancellationFn, { flags: 'a' }, 'my-file.txt')
+ *     )
+ *     ```
+ *
+ *  2. writeStreamWithConfig - Eschews any custom cancellation.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { writeStreamWithConfig } from 'destined'
+ *     fork(console.warn)((stream) => stream.end('hey I am a file'))(
+ *       writeStreamWithConfig({ flags: 'a' }, 'my-file.txt')
+ *     )
+ *     ```
+ *
+ *  3. writeStream - Default configuration.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { writeStream } from 'destined'
+ *     fork(console.warn)((stream) => stream.end('hey I am a file'))(
+ *       writeStream('my-file.txt')
+ *     )
+ *     ```
+ */
+export const writeStreamWithConfigAndCancel = curry(
+  function _writeStreamWithConfigAndCancel(cancel, conf, x) {
+    const { fs = nodeFs, ...streamConf } = conf
+    return openStream(cancel, `writeStream`, x, (signal) =>
+      fs.createWriteStream(x, { ...streamConf, signal }),
+    )
+  },
+)
+export const writeStreamWithConfig = writeStreamWithConfigAndCancel(NO_OP)
+export const writeStream = writeStreamWithConfig({})
+
+const byteCounter = () => {
+  const counter = new Transform({
+    transform(chunk, encoding, next) {
+      counter.bytes += Buffer.byteLength(chunk, encoding)
+      next(null, chunk)
+    },
+  })
+  counter.bytes = 0
+  return counter
+}
+
+/**
+ * Pipe a list of streams together, resolving with the number of bytes written to the last one.
+ * Cancelling the Future aborts and destroys every stream in the pipeline.
+ * @name pipelineWithCancel
+ * @see {@link pipeline}
+ * @example
+ * ```js
+ * import { createGzip } from 'node:zlib'
+ * import { fork, both, chain } from 'fluture'
+ * import { pipelineWithCancel, readStream, writeStream } from 'destined'
+ * // [...]
+ * pipe(
+ *   both(readStream('huge.log')),
+ *   chain(([input, output]) =>
+ *     pipelineWithCancel(cancellationFn, [input, createGzip(), output])
+ *   ),
+ *   fork(console.warn)(console.log)
+ * )(writeStream('huge.log.gz'))
+ * ```
+ */
+export const pipelineWithCancel = curry(
+  function _pipelineWithCancel(cancel, streams) {
+    return abortableWithCancel(cancel, (bad, good, signal) => {
+      const counter = byteCounter()
+      __pipeline([...init(streams), counter, last(streams)], { signal })
+        .then(() => good(counter.bytes))
+        .catch((e) => bad(toDestinedError(`pipeline`, null, e)))
+    })
+  },
+)
+
+/**
+ * Pipe a list of streams together, resolving with the number of bytes written to the last one.
+ * @name pipeline
+ * @see {@link pipelineWithCancel}
+ * @example
+ * ```js
+ * import { fork, both, chain } from 'fluture'
+ * import { pipeline, readStream, writeStream } from 'destined'
+ * // [...]
+ * pipe(
+ *   both(readStream('huge.log')),
+ *   chain(pipeline),
+ *   fork(console.warn)(console.log)
+ * )(writeStream('huge-copy.log'))
+ * ```
+ */
+export const pipeline = pipelineWithCancel(NO_OP)
+
+/**
+ * Read a file line-by-line, folding each line into an accumulated value,
+ * without ever holding the whole file in memory.
+ * Configuration is passed to `fs.createReadStream`, apart from `fs`, as in
+ * {@link readStreamWithConfigAndCancel}.
+ * @curried
+ *
+ *  1. foldLinesWithConfigAndCancel - Can be given configuration and a cancellation function.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { foldLinesWithConfigAndCancel } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       foldLinesWithConfigAndCancel(
+ *         cancellationFn,
+ *         { encoding: 'latin1' },
+ *         (count, line) => (line.includes('ERROR') ? count + 1 : count),
+ *         0,
+ *         'huge.log'
+ *       )
+ *     )
+ *     ```
+ *
+ *  2. foldLinesWithConfig - Eschews any custom cancellation.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { foldLinesWithConfig } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       foldLinesWithConfig({ encoding: 'latin1' }, (count) => count + 1, 0, 'huge.log')
+ *     )
+ *     ```
+ *
+ *  3. foldLines - Reads `utf8` files only.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { foldLines } from 'destined'
+ *     fork(console.warn)(console.log)(
+ *       foldLines((longest, line) => Math.max(longest, line.length), 0, 'huge.log')
+ *     )
+ *     ```
+ */
+export const foldLinesWithConfigAndCancel = curry(
+  function _foldLinesWithConfigAndCancel(cancel, conf, fn, initial, x) {
+    const { fs = nodeFs, ...streamConf } = conf
+    return abortableWithCancel(cancel, (bad, good, signal) => {
+      let acc = initial
+      let failed = false
+      const fail = (e) => {
+        if (!failed) {
+          failed = true
+          bad(e)
+        }
+      }
+      const input = fs.createReadStream(x, { ...streamConf, signal })
+      const onError = (e) => fail(toDestinedError(`foldLines`, x, e))
+      input.once(`error`, onError)
+      const lines = createInterface({ input, crlfDelay: Infinity })
+      // readline passes its input's errors on, and would throw them without a listener
+      lines.on(`error`, onError)
+      lines.on(`line`, (line) => {
+        try {
+          acc = fn(acc, line)
+        } catch (e) {
+          fail(e)
+          lines.close()
+          input.destroy()
+        }
+      })
+      lines.once(`close`, () => {
+        if (!failed) good(acc)
+      })
+    })
+  },
+)
+export const foldLinesWithConfig = foldLinesWithConfigAndCancel(NO_OP)
+export const foldLines = foldLinesWithConfig({ encoding: `utf8` })
@@ -0,0 +1,133 @@
+import nodeFs from "node:fs"
+import path from "node:path"
+import { both, chain, fork } from "fluture"
+import { pipe } from "ramda"
+import { afterAll, test, expect } from "vitest"
+import { readFile, rimraf } from "./fs.js"
+import {
+  foldLines,
+  foldLinesWithConfigAndCancel,
+  pipeline,
+  readStream,
+  readStreamWithConfig,
+  writeStream,
+} from "./stream.js"
+
+const RAW = path.resolve(__dirname, `fixture/raw.js`)
+const COPY = path.resolve(__dirname, `stream-copy.js`)
+
+test(`pipeline`, () =>
+  new Promise((done) => {
+    pipe(
+      both(readStream(RAW)),
+      chain(pipeline),
+      chain((bytes) => {
+        expect(bytes).toEqual(66)
+        return readFile(COPY)
+      }),
+      fork(done)((x) => {
+        expect(x).toEqual(`const raw = {
+  input: \`this is a fixture\`,
+}
+
+export default raw
+`)
+        done()
+      }),
+    )(writeStream(COPY))
+  }))
+
+test(`readStream - fail`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.tag).toEqual(`NotFound`)
+      expect(e.operation).toEqual(`readStream`)
+      done()
+    })(done)(readStream(path.resolve(__dirname, `coolfilenice.biz`)))
+  }))
+
+test(`readStreamWithConfig - given fs`, () =>
+  new Promise((done) => {
+    const opened = []
+    const fs = {
+      ...nodeFs,
+      createReadStream: (x, conf) => {
+        opened.push(x)
+        return nodeFs.createReadStream(x, conf)
+      },
+    }
+    fork(done)((stream) => {
+      stream.destroy()
+      expect(opened).toEqual([RAW])
+      done()
+    })(readStreamWithConfig({ fs }, RAW))
+  }))
+
+test(`foldLines`, () =>
+  new Promise((done) => {
+    fork(done)((x) => {
+      expect(x).toEqual([`const raw = {`, `}`, `export default raw`])
+      done()
+    })(
+      foldLines(
+        (acc, line) => (line.startsWith(` `) || !line ? acc : [...acc, line]),
+        [],
+        RAW,
+      ),
+    )
+  }))
+
+test(`foldLines - fail`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e.message).toEqual(`bad line`)
+      done()
+    })(done)(
+      foldLines(
+        () => {
+          throw new Error(`bad line`)
+        },
+        null,
+        RAW,
+      ),
+    )
+  }))
+
+test(`foldLines - missing file`, () =>
+  new Promise((done) => {
+    fork((e) => {
+      expect(e).toMatchObject({ tag: `NotFound`, operation: `foldLines` })
+      // anything thrown after rejecting would fail the run by now
+      setTimeout(done, 20)
+    })(done)(foldLines((acc) => acc + 1, 0, `fixture/nope.txt`))
+  }))
+
+test(`foldLinesWithConfigAndCancel - cancel mid-fold`, () =>
+  new Promise((done, failTest) => {
+    let seen = 0
+    const cancel = fork(failTest)(failTest)(
+      foldLinesWithConfigAndCancel(
+        () =>
+          setTimeout(() => {
+            expect(seen).toBeLessThan(3)
+            done()
+          }, 20),
+        // a few bytes at a time, so that there is more to read when it is cancelled
+        { encoding: `utf8`, highWaterMark: 16 },
+        (acc) => {
+          seen += 1
+          if (seen === 1) cancel()
+          return acc + 1
+        },
+        0,
+        RAW,
+      ),
+    )
+  }))
+
+afterAll(
+  () =>
+    new Promise((done) => {
+      fork(done)(() => done())(rimraf(COPY))
+    }),
+)
@@ -0,0 +1,289 @@
+import { Buffer } from "node:buffer"
+import nodeFs from "node:fs"
+import { performance } from "node:perf_hooks"
+import { Future, fork, isFuture } from "fluture"
+import { head, keys, map, mapObjIndexed, propOr } from "ramda"
+import { destinedWith } from "./fs.js"
+
+/**
+ * @pageSummary Opt-in tracing and metrics for every operation, for any sink or a Chrome trace.
+ */
+
+// the path is the last argument, after a cancellation function, configuration, a format,
+// a mode or an algorithm, except for these operations, which take something after it:
+// how many arguments from the end their path is
+const PATH_FROM_END = {
+  appendFile: 1,
+  copyDir: 1,
+  copyFile: 1,
+  move: 1,
+  verifyManifest: 1,
+  withFile: 2,
+  writeFile: 1,
+  writeJSONFile: 1,
+  writeStructured: 1,
+}
+
+// operations given many paths at once, other than as a list: how to list them
+const PATHS_WITHIN = {
+  transaction: map(head),
+  writeFiles: keys,
+}
+
+const isPathLike = (x) => {
+  if (Array.isArray(x)) return typeof x[0] === `string`
+  return typeof x === `string`
+}
+
+// every variant of an operation, like `writeFileWithAutoPathAndConfig`, takes the same
+// arguments at the end as the operation itself
+const pathOf = (operation, args) => {
+  const base = operation.replace(/With.*$/, ``)
+  const x = args[args.length - 1 - propOr(0, base, PATH_FROM_END)]
+  if (PATHS_WITHIN[base] && x) return PATHS_WITHIN[base](x)
+  return isPathLike(x) ? x : null
+}
+
+// operations which resolve with the content they read or wrote
+const CONTENT = /^(read|write)File/
+
+// how many bytes an operation read or wrote, when its result says so
+const bytesOf = (operation, x) => {
+  if (typeof x?.bytesRead === `number`) return x.bytesRead
+  if (!CONTENT.test(operation)) return null
+  if (typeof x === `string`) return Buffer.byteLength(x)
+  if (Buffer.isBuffer(x)) return x.length
+  return null
+}
+
+// run a Future, telling the sink when it starts and how it ends
+const instrument = (sink, nextId, operation, args, future) =>
+  Future((bad, good) => {
+    const id = nextId()
+    const path = pathOf(operation, args)
+    const time = performance.now()
+    const emit = (type, rest) =>
+      sink({
+        type,
+        id,
+        operation,
+        path,
+        time: performance.now(),
+        duration: performance.now() - time,
+        ...rest,
+      })
+    let settled = false
+    sink({ type: `start`, id, operation, path, time })
+    const cancel = fork((e) => {
+      settled = true
+      emit(`failure`, { error: e })
+      bad(e)
+    })((x) => {
+      settled = true
+      emit(`success`, { bytes: bytesOf(operation, x) })
+      good(x)
+    })(future)
+    return () => {
+      if (!settled) emit(`cancel`)
+      cancel()
+    }
+  })
+
+// wrap a curried function, so that whatever Future it finally gives back is instrumented
+const tracing = (sink, nextId, operation, fn, previous = []) =>
+  function withTracing(...args) {
+    const given = [...previous, ...args]
+    const result = fn(...args)
+    if (isFuture(result)) {
+      return instrument(sink, nextId, operation, given, result)
+    }
+    if (typeof result === `function`) {
+      return tracing(sink, nextId, operation, result, given)
+    }
+    return result
+  }
+
+/**
+ * Build the whole `fs` API with tracing, over a given `fs` implementation.
+ * Every operation tells the sink, a function, about itself with an event:
+ *  - `{ type: 'start', id, operation, path, time }` when it is forked
+ *  - `{ type: 'success', ..., duration, bytes }` when it resolves, where `bytes` is how much
+ *    was read or written, when that is known, or `null`
+ *  - `{ type: 'failure', ..., duration, error }` when it rejects
+ *  - `{ type: 'cancel', ..., duration }` when it is cancelled
+ *
+ * Times are in milliseconds, from `performance.now()`, and `id` ties the events of one
+ * operation together. The `path` is the path the operation works upon, like the file
+ * `hashFile` reads rather than its algorithm, or the source of a copy or a move. It is the
+ * list for operations given many paths, like `readFiles`, or the files to be written by
+ * `writeFiles` or `transaction`, and otherwise `null`.
+ *
+ * Only the calls made through this API are traced, not the operations they use in turn:
+ * `copyDir` is one operation, not one for each file it copies. The other modules which take
+ * an `fs`, like {@link pack}, {@link unpack}, {@link scaffold}, {@link applyPlan},
+ * {@link dryRunWith} and {@link watch}, build their own API from it, so nothing they do is
+ * traced at all.
+ * @name tracedWith
+ * @see {@link traced}
+ * @see {@link createChromeTrace}
+ * @see {@link createMetrics}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { createMemoryFs, tracedWith } from 'destined'
+ * const { readFile } = tracedWith(
+ *   (event) => console.log(event.type, event.operation, event.path),
+ *   createMemoryFs({ 'cool.txt': 'so cool' }),
+ * )
+ * fork(console.warn)(console.log)(readFile('cool.txt'))
+ * // start readFile cool.txt
+ * // success readFile cool.txt
+ * // so cool
+ * ```
+ */
+export const tracedWith = (sink, fs) => {
+  let ids = 0
+  const nextId = () => {
+    ids += 1
+    return ids
+  }
+  return mapObjIndexed(
+    (x, operation) =>
+      typeof x === `function` ? tracing(sink, nextId, operation, x) : x,
+    destinedWith(fs),
+  )
+}
+
+/**
+ * Build the whole `fs` API with tracing, over `node:fs`.
+ * @name traced
+ * @see {@link tracedWith}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { createMetrics, traced } from 'destined'
+ * const metrics = createMetrics()
+ * const { readDir } = traced(metrics.sink)
+ * fork(console.warn)(() => console.table(metrics.summary()))(readDir('src/**'))
+ * ```
+ */
+export const traced = (sink) => tracedWith(sink, nodeFs)
+
+/**
+ * Collect events from {@link tracedWith} as a Chrome trace, which can be opened in
+ * `chrome://tracing` or [Perfetto](https://ui.perfetto.dev) to see which operations took
+ * the longest and what ran at the same time. It has:
+ *  - `sink` - the function to give to {@link tracedWith}
+ *  - `trace()` - the trace so far, in the trace event format, ready for `JSON.stringify`
+ *  - `write(path)` - a Future which writes the trace to a JSON file, resolving with the trace
+ *
+ * Configuration:
+ *  - `fs` - where `write` writes to, defaulting to `node:fs`
+ *  - `category` - the category of every event, defaulting to `destined`
+ * @name createChromeTrace
+ * @see {@link tracedWith}
+ * @example
+ * ```js
+ * import { chain, fork } from 'fluture'
+ * import { createChromeTrace, traced } from 'destined'
+ * const chrome = createChromeTrace()
+ * const { copyDir } = traced(chrome.sink)
+ * fork(console.warn)(console.log)(
+ *   chain(() => chrome.write('trace.json'))(copyDir('src', 'dist'))
+ * )
+ * ```
+ */
+export const createChromeTrace = ({
+  fs = nodeFs,
+  category = `destined`,
+} = {}) => {
+  const traceEvents = []
+  // trace event timestamps are in microseconds
+  const toEvent = (phase, { id, operation, time }, args) => ({
+    name: operation,
+    cat: category,
+    ph: phase,
+    id,
+    ts: Math.round(time * 1000),
+    pid: process.pid,
+    tid: 0,
+    args,
+  })
+  const sink = (event) => {
+    const { type, path, bytes, error } = event
+    if (type === `start`) {
+      traceEvents.push(toEvent(`b`, event, { path }))
+      return
+    }
+    traceEvents.push(
+      toEvent(`e`, event, {
+        outcome: type,
+        bytes: bytes ?? null,
+        error: error?.message ?? null,
+      }),
+    )
+  }
+  const trace = () => ({ traceEvents: [...traceEvents], displayTimeUnit: `ms` })
+  const { writeFile } = destinedWith(fs)
+  const write = (path) => {
+    const x = trace()
+    return map(() => x, writeFile(path, JSON.stringify(x)))
+  }
+  return { sink, trace, write }
+}
+
+const EMPTY_METRIC = {
+  count: 0,
+  failures: 0,
+  cancels: 0,
+  bytes: 0,
+  total: 0,
+  max: 0,
+  slowest: null,
+}
+
+/**
+ * Collect events from {@link tracedWith} as metrics, to see which operations are worth
+ * speeding up. It has:
+ *  - `sink` - the function to give to {@link tracedWith}
+ *  - `summary()` - metrics for each operation, keyed by its name, with the `count` of runs
+ *    which finished, how many were `failures` or `cancels`, the `bytes` read or written,
+ *    the `total` and `max` duration in milliseconds, and the `slowest` path
+ *  - `reset()` - forget everything so far
+ * @name createMetrics
+ * @see {@link tracedWith}
+ * @example
+ * ```js
+ * import { fork } from 'fluture'
+ * import { createMetrics, traced } from 'destined'
+ * const metrics = createMetrics()
+ * const { readFiles } = traced(metrics.sink)
+ * fork(console.warn)(() => console.log(metrics.summary()))(readFiles(['a.txt', 'b.txt']))
+ * // { readFiles: { count: 1, failures: 0, cancels: 0, bytes: 0, total: 1.2, max: 1.2, ... } }
+ * ```
+ */
+export const createMetrics = () => {
+  let metrics = {}
+  const sink = ({ type, operation, path, duration, bytes }) => {
+    if (type === `start`) return
+    const was = propOr(EMPTY_METRIC, operation, metrics)
+    const slower = duration > was.max
+    metrics = {
+      ...metrics,
+      [operation]: {
+        count: was.count + 1,
+        failures: was.failures + (type === `failure` ? 1 : 0),
+        cancels: was.cancels + (type === `cancel` ? 1 : 0),
+        bytes: was.bytes + (bytes ?? 0),
+        total: was.total + duration,
+        max: slower ? duration : was.max,
+        slowest: slower ? path : was.slowest,
+      },
+    }
+  }
+  const summary = () => metrics
+  const reset = () => {
+    metrics = {}
+  }
+  return { sink, summary, reset }
+}
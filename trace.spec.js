@@ -0,0 +1,137 @@
+import { chain, coalesce, fork, never, parallel, resolve } from "fluture"
+import { map, pipe, T } from "ramda"
+import { test, expect } from "vitest"
+import { createMemoryFs } from "./memory.js"
+import { createChromeTrace, createMetrics, tracedWith } from "./trace.js"
+
+const seeded = () =>
+  createMemoryFs({ "cool.txt": `so cool`, bin: { "app.sh": `echo cool` } })
+
+test(`tracedWith - start, success and failure events`, () =>
+  new Promise((done) => {
+    const events = []
+    const D = tracedWith((event) => events.push(event), seeded())
+    pipe(
+      chain(() => coalesce(T)(T)(D.readFile(`nope.txt`))),
+      chain(() => D.chmod(0o755, `bin/app.sh`)),
+      fork(done)(() => {
+        expect(
+          map(
+            ({ type, id, operation, path, bytes }) => [
+              type,
+              id,
+              operation,
+              path,
+              bytes,
+            ],
+            events,
+          ),
+        ).toEqual([
+          [`start`, 1, `writeFile`, `new.txt`, undefined],
+          [`success`, 1, `writeFile`, `new.txt`, 6],
+          [`start`, 2, `readFile`, `nope.txt`, undefined],
+          [`failure`, 2, `readFile`, `nope.txt`, undefined],
+          [`start`, 3, `chmod`, `bin/app.sh`, undefined],
+          [`success`, 3, `chmod`, `bin/app.sh`, null],
+        ])
+        expect(events[3].error.tag).toEqual(`NotFound`)
+        expect(events[1].duration).toBeGreaterThanOrEqual(0)
+        done()
+      }),
+    )(D.writeFile(`new.txt`, `héllo`))
+  }))
+
+test(`tracedWith - the path each operation works upon`, () =>
+  new Promise((done) => {
+    const events = []
+    const D = tracedWith((event) => events.push(event), seeded())
+    fork(done)(() => {
+      expect(
+        map(
+          ({ operation, path }) => [operation, path],
+          events.filter(({ type }) => type === `start`),
+        ),
+      ).toEqual([
+        [`readFileWithFormatAndCancel`, `cool.txt`],
+        [`hashFile`, `cool.txt`],
+        [`writeFileWithAutoPath`, `docs/new.txt`],
+        [`copyFile`, `cool.txt`],
+        [`symlink`, `link.txt`],
+        [`truncate`, `copy.txt`],
+        [`withFile`, `cool.txt`],
+        [`readFiles`, [`cool.txt`, `docs/new.txt`]],
+        [`writeFiles`, [`a.txt`, `b.txt`]],
+        [`transaction`, [`c.txt`, `d.txt`]],
+        [`withTempDir`, null],
+      ])
+      done()
+    })(
+      parallel(1)([
+        D.readFileWithFormatAndCancel(() => {}, `utf8`, `cool.txt`),
+        D.hashFile(`sha256`, `cool.txt`),
+        D.writeFileWithAutoPath(`docs/new.txt`, `new`),
+        D.copyFile(`cool.txt`, `copy.txt`),
+        D.symlink(`cool.txt`, `link.txt`),
+        D.truncate(2, `copy.txt`),
+        D.withFile(`cool.txt`, `r`, () => resolve(null)),
+        D.readFiles([`cool.txt`, `docs/new.txt`]),
+        D.writeFiles({ "a.txt": `a`, "b.txt": `b` }),
+        D.transaction([
+          [`c.txt`, `c`],
+          [`d.txt`, `d`],
+        ]),
+        D.withTempDir(() => resolve(null)),
+      ]),
+    )
+  }))
+
+test(`tracedWith - cancel events`, () =>
+  new Promise((done) => {
+    const events = []
+    const D = tracedWith((event) => events.push(event), seeded())
+    const cancel = fork(done)(done)(D.withFile(`cool.txt`, `r`, () => never))
+    setTimeout(() => {
+      cancel()
+      expect(map(({ type }) => type, events)).toEqual([`start`, `cancel`])
+      done()
+    }, 10)
+  }))
+
+test(`createChromeTrace and createMetrics`, () =>
+  new Promise((done) => {
+    const memoryFs = seeded()
+    const chrome = createChromeTrace({ fs: memoryFs })
+    const metrics = createMetrics()
+    const D = tracedWith((event) => {
+      chrome.sink(event)
+      metrics.sink(event)
+    }, memoryFs)
+    pipe(
+      chain(() => chrome.write(`trace.json`)),
+      fork(done)((trace) => {
+        expect(
+          map(
+            ({ name, ph, cat, args }) => [
+              name,
+              ph,
+              cat,
+              args.path ?? args.bytes,
+            ],
+            trace.traceEvents,
+          ),
+        ).toEqual([
+          [`readFile`, `b`, `destined`, `cool.txt`],
+          [`readFile`, `b`, `destined`, `bin/app.sh`],
+          [`readFile`, `e`, `destined`, 7],
+          [`readFile`, `e`, `destined`, 9],
+        ])
+        expect(JSON.parse(memoryFs.snapshot()[`trace.json`])).toEqual(trace)
+        expect(metrics.summary()).toMatchObject({
+          readFile: { count: 2, failures: 0, cancels: 0, bytes: 16 },
+        })
+        metrics.reset()
+        expect(metrics.summary()).toEqual({})
+        done()
+      }),
+    )(parallel(2)([D.readFile(`cool.txt`), D.readFile(`bin/app.sh`)]))
+  }))
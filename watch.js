@@ -0,0 +1,178 @@
+import nodeFs from "node:fs"
+import { posix, resolve as resolvePath, sep } from "node:path"
+import { Future, fork } from "fluture"
+import { hasMagic } from "glob"
+import { minimatch } from "minimatch"
+import { curry, findIndex, map, pipe, slice, split } from "ramda"
+import { toDestinedError } from "./errors.js"
+import { NO_OP, destinedWith } from "./fs.js"
+
+/**
+ * @pageSummary Watch a glob for changes, as a Future that emits events until it is cancelled.
+ */
+
+export const DEFAULT_WATCH_CONFIG = {
+  debounce: 50,
+}
+
+const withoutDot = (x) => x.replace(/^\.\//, ``)
+
+// the directory we need to watch: everything in the glob before its first magic segment
+const globRoot = pipe(withoutDot, split(`/`), (parts) => {
+  const magic = findIndex(hasMagic, parts)
+  const root = slice(0, magic === -1 ? -1 : magic, parts).join(`/`)
+  return root || `.`
+})
+
+// test a path against the same glob and ignore patterns that `readDir` was given
+const globMatcher = (conf, pattern) => {
+  const options = { dot: !!conf.dot }
+  const glob = withoutDot(pattern)
+  const ignores = map(withoutDot, [].concat(conf.ignore ?? []))
+  const ignored = (x) => ignores.some((y) => minimatch(x, y, options))
+  return (x) => minimatch(x, glob, options) && !ignored(x)
+}
+
+// decide what happened to a path, given what we knew about it before
+const classify = (known, path, stats) => {
+  if (!stats) {
+    if (!known.has(path)) return null
+    known.delete(path)
+    return { type: `unlink`, path }
+  }
+  if (!known.has(path)) {
+    known.set(path, stats.mtimeMs)
+    return { type: `add`, path, stats }
+  }
+  if (stats.isDirectory() || known.get(path) === stats.mtimeMs) return null
+  known.set(path, stats.mtimeMs)
+  return { type: `change`, path, stats }
+}
+
+/**
+ * Watch a glob for changes, calling a function with each debounced event.
+ * Events look like `{ type, path, stats }`, where `type` is one of `add`, `change` or `unlink`.
+ * The returned Future never resolves: it rejects if the watcher fails,
+ * and the function returned by `fork` stops watching.
+ * Watching starts before the glob is first read, so nothing which changes meanwhile is missed;
+ * a file which is written to while it's being read may be reported as a `change`.
+ * Configuration is passed to [glob](https://www.npmjs.com/package/glob), with two additions:
+ *  - `debounce` - how many milliseconds to wait for a burst of events to settle
+ *  - `fs` - the `fs` implementation to use, defaulting to `node:fs`; it needs `watch`,
+ *    which {@link createMemoryFs} lacks
+ * @curried
+ *
+ *  1. watchWithConfigAndCancel - Can be given configuration and a cancellation function.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { watchWithConfigAndCancel } from 'destined'
+ *     const stop = fork(console.warn)(NO_OP)(
+ *       watchWithConfigAndCancel(
+ *         cancellationFn,
+ *         { debounce: 200, ignore: ['src/**\/*.spec.js'] },
+ *         ({ type, path }) => console.log(type, path),
+ *         'src/**\/*.js'
+ *       )
+ *     )
+ *     // [...]
+ *     stop()
+ *     ```
+ *
+ *  2. watchWithConfig - Eschews any custom cancellation.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { watchWithConfig } from 'destined'
+ *     const stop = fork(console.warn)(NO_OP)(
+ *       watchWithConfig({ debounce: 200 }, rebuildDocs, 'docs/**\/*.md')
+ *     )
+ *     ```
+ *
+ *  3. watch - Default configuration.
+ *     @example
+ *     ```js
+ *     import { fork } from 'fluture'
+ *     import { watch } from 'destined'
+ *     const stop = fork(console.warn)(NO_OP)(watch(rebuildDocs, 'docs/**\/*.md'))
+ *     ```
+ */
+export const watchWithConfigAndCancel = curry(
+  function _watchWithConfigAndCancel(cancel, conf, fn, pattern) {
+    const {
+      debounce,
+      fs = nodeFs,
+      ...globConf
+    } = { ...DEFAULT_WATCH_CONFIG, ...conf }
+    const { readDirWithConfig } = destinedWith(fs)
+    const cwd = globConf.cwd ?? `.`
+    const root = globRoot(pattern)
+    const matches = globMatcher(globConf, pattern)
+    return Future(function watchF(bad) {
+      const known = new Map()
+      const pending = new Set()
+      let watcher = null
+      let timer = null
+      let closed = false
+      let scanned = false
+      const close = () => {
+        closed = true
+        clearTimeout(timer)
+        if (watcher) watcher.close()
+      }
+      const fail = (e) => {
+        if (closed) return
+        close()
+        bad(e)
+      }
+      const emit = (path) => (e, stats) => {
+        if (closed) return
+        const event = classify(known, path, e ? null : stats)
+        if (!event) return
+        try {
+          fn(event)
+        } catch (err) {
+          fail(err)
+        }
+      }
+      const flush = () => {
+        const paths = [...pending]
+        pending.clear()
+        paths.forEach((path) => fs.stat(resolvePath(cwd, path), emit(path)))
+      }
+      const onChange = (eventType, filename) => {
+        if (!filename) return
+        const path = posix.join(root, filename.split(sep).join(`/`))
+        if (!matches(path)) return
+        pending.add(path)
+        if (scanned) schedule()
+      }
+      const schedule = () => {
+        clearTimeout(timer)
+        timer = setTimeout(flush, debounce)
+      }
+      // watch before the initial scan, holding on to whatever happens during it
+      try {
+        watcher = fs.watch(resolvePath(cwd, root), { recursive: true })
+        watcher.on(`change`, onChange)
+        watcher.on(`error`, (e) => fail(toDestinedError(`watch`, root, e)))
+      } catch (e) {
+        fail(toDestinedError(`watch`, root, e))
+        return cancel
+      }
+      const stopReading = fork(fail)((paths) => {
+        if (closed) return
+        paths.forEach((path) => known.set(path, null))
+        scanned = true
+        if (pending.size) schedule()
+      })(readDirWithConfig(globConf, pattern))
+      return function stopWatching() {
+        stopReading()
+        close()
+        cancel()
+      }
+    })
+  },
+)
+export const watchWithConfig = watchWithConfigAndCancel(NO_OP)
+export const watch = watchWithConfig(DEFAULT_WATCH_CONFIG)
@@ -0,0 +1,95 @@
+import nodeFs from "node:fs"
+import { resolve as resolvePath } from "node:path"
+import { after, chain, fork, resolve } from "fluture"
+import { pipe } from "ramda"
+import { afterAll, beforeAll, test, expect } from "vitest"
+import { mkdirp, rimraf, rm, writeFile } from "./fs.js"
+import { watchWithConfig } from "./watch.js"
+
+const DIR = `watch-dir`
+
+beforeAll(
+  () =>
+    new Promise((done) => {
+      fork(done)(() => done())(mkdirp(`${DIR}/nested`))
+    }),
+)
+
+test(`watchWithConfig`, () =>
+  new Promise((done, fail) => {
+    const events = []
+    const stop = fork(fail)(fail)(
+      watchWithConfig(
+        { debounce: 20, ignore: [`${DIR}/**/*.log`] },
+        ({ type, path }) => events.push([type, path]),
+        `${DIR}/**/*.biz`,
+      ),
+    )
+    const wait = chain(() => after(150)(null))
+    pipe(
+      wait,
+      chain(() => writeFile(`${DIR}/nested/file.biz`, `a`)),
+      chain(() => writeFile(`${DIR}/nested/ignored.log`, `a`)),
+      wait,
+      chain(() => writeFile(`${DIR}/nested/file.biz`, `b`)),
+      wait,
+      chain(() => rm(`${DIR}/nested/file.biz`)),
+      wait,
+      fork(fail)(() => {
+        stop()
+        expect(events).toEqual([
+          [`add`, `${DIR}/nested/file.biz`],
+          [`change`, `${DIR}/nested/file.biz`],
+          [`unlink`, `${DIR}/nested/file.biz`],
+        ])
+        done()
+      }),
+    )(resolve(null))
+  }))
+
+test(`watchWithConfig - given fs`, () =>
+  new Promise((done, fail) => {
+    const watched = []
+    const fs = {
+      ...nodeFs,
+      watch: (x, conf) => {
+        watched.push(x)
+        return nodeFs.watch(x, conf)
+      },
+    }
+    const stop = fork(fail)(fail)(
+      watchWithConfig({ debounce: 20, fs }, () => {}, `${DIR}/**/*.biz`),
+    )
+    fork(fail)(() => {
+      stop()
+      expect(watched).toEqual([resolvePath(DIR)])
+      done()
+    })(after(50)(null))
+  }))
+
+test(`watchWithConfig - changes during the first read are kept`, () =>
+  new Promise((done, fail) => {
+    const events = []
+    const stop = fork(fail)(fail)(
+      watchWithConfig(
+        { debounce: 20 },
+        ({ path }) => events.push(path),
+        `${DIR}/**/*.biz`,
+      ),
+    )
+    pipe(
+      chain(() => after(150)(null)),
+      fork(fail)(() => {
+        stop()
+        expect(events).toEqual([`${DIR}/nested/early.biz`])
+        done()
+      }),
+    )(writeFile(`${DIR}/nested/early.biz`, `a`))
+  }))
+
+afterAll(
+  () =>
+    new Promise((done) => {
+      fork(done)(() => done())(rimraf(DIR))
+    }),
+)